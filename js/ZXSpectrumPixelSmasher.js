@@ -41,6 +41,13 @@
                 normal: this.ZX_COLORS.map(c => this.hexToRgb(c.normal)),
                 bright: this.ZX_COLORS.map(c => this.hexToRgb(c.bright))
             };
+
+            // What drawing tools write: pixel bits, cell attributes, or both
+            this.PAINT_MODES = {
+                both: 'Pixels + attributes',
+                pixels: 'Pixels only',
+                attributes: 'Attributes only'
+            };
         }
 
         /**
@@ -53,7 +60,10 @@
                 bright: false,
                 flash: false,
                 inkEnabled: true,
-                paperEnabled: true
+                paperEnabled: true,
+                brightEnabled: true,
+                flashEnabled: true,
+                paintMode: 'both'
             };
         }
 
@@ -172,6 +182,97 @@
             });
         }
 
+        /**
+         * Switch one attribute field between writing and keeping each cell's existing value
+         * @param {string} field - 'ink', 'paper', 'bright' or 'flash'
+         */
+        toggleAttributeWrite(field) {
+            if (!['ink', 'paper', 'bright', 'flash'].includes(field)) {
+                warn('Invalid attribute field:', field);
+                return;
+            }
+
+            const key = `${field}Enabled`;
+            this.state[key] = !this.state[key];
+            this.eventBus.emit('color-changed', this.state);
+            this.eventBus.emit('status', {
+                message: `${field.toUpperCase()}: ${this.state[key] ? 'WRITE' : 'KEEP existing'}`,
+                type: this.state[key] ? 'success' : 'warning'
+            });
+        }
+
+        /**
+         * Work out the attribute a drawing tool leaves in a cell
+         * Fields whose write toggle is off keep the cell's existing value.
+         * @param {Object} existing - Current cell attribute
+         * @returns {Object} New attribute { ink, paper, bright, flash }
+         */
+        getPaintAttribute(existing) {
+            const state = this.state;
+            return {
+                ink: state.inkEnabled ? state.ink : existing.ink,
+                paper: state.paperEnabled ? state.paper : existing.paper,
+                bright: state.brightEnabled ? state.bright : existing.bright,
+                flash: state.flashEnabled ? state.flash : existing.flash
+            };
+        }
+
+        /**
+         * Set what drawing tools write
+         * @param {string} mode - 'both', 'pixels' or 'attributes'
+         */
+        setPaintMode(mode) {
+            if (!this.PAINT_MODES[mode]) {
+                warn('Invalid paint mode:', mode);
+                return;
+            }
+
+            this.state.paintMode = mode;
+            this.eventBus.emit('color-changed', this.state);
+            this.eventBus.emit('status', {
+                message: `🖌 Paint: ${this.PAINT_MODES[mode]}`,
+                type: 'success'
+            });
+        }
+
+        /**
+         * Load colours picked from a screen cell
+         * Picked colours are enabled even if they were disabled in the palette.
+         * @param {Object} attribute - Cell attribute { ink, paper, bright, flash }
+         * @param {string} mode - 'all', 'ink' (INK only) or 'paper' (PAPER only)
+         */
+        pickColors(attribute, mode = 'all') {
+            const parts = [];
+
+            if (mode === 'all' || mode === 'ink') {
+                this.state.ink = attribute.ink;
+                this.state.inkEnabled = true;
+                parts.push(`Ink: ${this.ZX_COLORS[attribute.ink].name}`);
+            }
+            if (mode === 'all' || mode === 'paper') {
+                this.state.paper = attribute.paper;
+                this.state.paperEnabled = true;
+                parts.push(`Paper: ${this.ZX_COLORS[attribute.paper].name}`);
+            }
+            if (mode === 'all') {
+                this.state.bright = !!attribute.bright;
+                this.state.flash = !!attribute.flash;
+                this.state.brightEnabled = true;
+                this.state.flashEnabled = true;
+                parts.push(`Bright ${this.state.bright ? 'ON' : 'OFF'}`, `Flash ${this.state.flash ? 'ON' : 'OFF'}`);
+            }
+            if (parts.length === 0) {
+                warn('Invalid eyedropper mode:', mode);
+                return;
+            }
+
+            this.eventBus.emit('color-changed', this.state);
+            this.eventBus.emit('status', {
+                message: `⊙ Picked ${parts.join(' • ')}`,
+                type: 'success'
+            });
+        }
+
         /**
          * Get current color state
          * @returns {Object} Color state
@@ -230,6 +331,9 @@
             this.eventBus = eventBus;
             this.colorManager = colorManager;
             this.canvasInitialized = false;
+            // Offscreen image kept beneath previews (onion skin)
+            this.underlayCanvas = null;
+            this.hasUnderlay = false;
             this.initializeConstants();
             this.setupCanvases();
             this.setupFlashAnimation();
@@ -381,8 +485,9 @@
          * @param {Array} pixels - Pixel data
          * @param {Array} attributes - Attribute data
          * @param {Array} colorCache - Color cache
+         * @param {boolean} flashPhase - Flash phase to draw (defaults to the live phase)
          */
-        renderPixels(data, pixels, attributes, colorCaches) {
+        renderPixels(data, pixels, attributes, colorCaches, flashPhase = this.flashPhase) {
             let dataIdx = 0;
             
             for (let y = 0; y < this.SCREEN.HEIGHT; y++) {
@@ -399,7 +504,7 @@
                     let ink = attr.ink;
                     let paper = attr.paper;
                     
-                    if (attr.flash && this.flashPhase) {
+                    if (attr.flash && flashPhase) {
                         [ink, paper] = [paper, ink];
                     }
 
@@ -541,6 +646,7 @@
             }
             
             this.previewCtx.putImageData(imageData, 0, 0);
+            this.drawPreviewUnderlay();
         }
 
         /**
@@ -552,11 +658,98 @@
             }
             try {
                 this.previewCtx.clearRect(0, 0, this.SCREEN.WIDTH, this.SCREEN.HEIGHT);
+                this.drawPreviewUnderlay();
             } catch (err) {
                 error('Error clearing preview canvas:', err);
             }
         }
 
+        /**
+         * Set a persistent image drawn beneath every preview (e.g. onion skin ghosts)
+         * It lives only on the preview canvas, so it never reaches exports or history.
+         * @param {ImageData|null} imageData - RGBA overlay, or null to remove it
+         */
+        setPreviewUnderlay(imageData) {
+            if (imageData) {
+                if (!this.underlayCanvas) {
+                    this.underlayCanvas = document.createElement('canvas');
+                    this.underlayCanvas.width = this.SCREEN.WIDTH;
+                    this.underlayCanvas.height = this.SCREEN.HEIGHT;
+                }
+                this.underlayCanvas.getContext('2d').putImageData(imageData, 0, 0);
+                this.hasUnderlay = true;
+            } else {
+                this.hasUnderlay = false;
+            }
+
+            if (this.previewCtx) this.clearPreview();
+        }
+
+        /**
+         * Draw the preview underlay behind whatever is already on the preview canvas
+         */
+        drawPreviewUnderlay() {
+            if (!this.hasUnderlay || !this.previewCtx) return;
+
+            this.previewCtx.save();
+            this.previewCtx.globalCompositeOperation = 'destination-over';
+            this.previewCtx.drawImage(this.underlayCanvas, 0, 0);
+            this.previewCtx.restore();
+        }
+
+        /**
+         * Render selection marquee and optional floating composite on the preview canvas
+         * @param {Object|null} rect - Selection rectangle { x, y, width, height }
+         * @param {Object|null} composite - Full state with floating pixels stamped in
+         * @param {boolean} isFloating - Whether the selection is floating (lifted/pasted)
+         */
+        renderSelection(rect, composite = null, isFloating = false) {
+            if (!this.previewCtx) return;
+
+            this.previewCtx.globalAlpha = 1.0;
+            this.previewCtx.clearRect(0, 0, this.SCREEN.WIDTH, this.SCREEN.HEIGHT);
+
+            if (composite) {
+                const imageData = this.previewCtx.createImageData(this.SCREEN.WIDTH, this.SCREEN.HEIGHT);
+                this.renderPixels(imageData.data, composite.pixels, composite.attributes, this.colorManager.getAllRgbCache());
+                this.previewCtx.putImageData(imageData, 0, 0);
+            } else {
+                this.drawPreviewUnderlay();
+            }
+
+            if (!rect) return;
+
+            // Two-tone dashed outline stays visible on both ink and paper
+            this.previewCtx.save();
+            this.previewCtx.lineWidth = 1;
+            this.previewCtx.setLineDash([2, 2]);
+            this.previewCtx.strokeStyle = '#000000';
+            this.previewCtx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1);
+            this.previewCtx.lineDashOffset = 2;
+            this.previewCtx.strokeStyle = isFloating ? '#00FFFF' : '#FFFFFF';
+            this.previewCtx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1);
+            this.previewCtx.restore();
+        }
+
+        /**
+         * Outline character cells on top of the preview canvas
+         * @param {Array<Object>} cells - Cells { x, y } in cell coordinates
+         */
+        renderCellHighlights(cells) {
+            if (!this.previewCtx || cells.length === 0) return;
+
+            const size = this.SCREEN.CELL_SIZE;
+            this.previewCtx.save();
+            this.previewCtx.lineWidth = 1;
+            this.previewCtx.fillStyle = 'rgba(239, 68, 68, 0.35)';
+            this.previewCtx.strokeStyle = '#EF4444';
+            cells.forEach(cell => {
+                this.previewCtx.fillRect(cell.x * size, cell.y * size, size, size);
+                this.previewCtx.strokeRect(cell.x * size + 0.5, cell.y * size + 0.5, size - 1, size - 1);
+            });
+            this.previewCtx.restore();
+        }
+
         /**
          * Update zoom level
          * @param {number} zoom - Zoom level
@@ -645,9 +838,14 @@
                 brush: 'brush',
                 fill: 'fill',
                 shapes: 'shapes',
-                select: 'select'
+                select: 'select',
+                glyph: 'glyph',
+                text: 'text',
+                eyedropper: 'eyedropper'
             };
 
+            this.EYEDROPPER_MODES = ['all', 'ink', 'paper'];
+
             this.shapes = {
                 line: 'line',
                 rect: 'rect',
@@ -691,6 +889,7 @@
                 currentShape: 'line',
                 brushSize: 1,
                 brushShape: 'round',
+                eyedropperMode: 'all',
                 drawing: false,
                 preview: false,
                 isRightClick: false,
@@ -793,6 +992,28 @@
             }
         }
 
+        /**
+         * Set what the eyedropper picks up
+         * @param {string} mode - 'all', 'ink' or 'paper'
+         */
+        setEyedropperMode(mode) {
+            if (this.EYEDROPPER_MODES.includes(mode)) {
+                this.state.eyedropperMode = mode;
+            }
+        }
+
+        /**
+         * Pick the colours of the cell under a position
+         * Used by the eyedropper tool and by Alt-click in any tool.
+         * @param {Object} position - Mouse position
+         */
+        pickColor(position) {
+            const { x, y } = position;
+            if (x >= 0 && x <= 255 && y >= 0 && y <= 191) {
+                this.eventBus.emit('eyedropper-pick', { x, y, mode: this.state.eyedropperMode });
+            }
+        }
+
         /**
          * Get cursor for tool
          * @param {string} tool - Tool name
@@ -803,7 +1024,10 @@
                 brush: 'crosshair',
                 fill: 'pointer',
                 shapes: 'crosshair',
-                select: 'crosshair'
+                select: 'crosshair',
+                glyph: 'cell',
+                text: 'text',
+                eyedropper: 'copy'
             };
             return cursors[tool] || 'crosshair';
         }
@@ -816,25 +1040,34 @@
         startDrawing(position, isRightClick = false) {
             // Clear preview canvas at start of any drawing operation
             this.eventBus.emit('clear-preview');
+
+            // Picking colours changes nothing on screen, so there is no stroke to record
+            if (this.state.currentTool === 'eyedropper') {
+                this.pickColor(position);
+                return;
+            }
             
             this.state.drawing = true;
             this.state.lastPos = position;
             this.state.startPos = position;
             this.state.isRightClick = isRightClick;
 
-            if (['brush', 'fill', 'select'].includes(this.state.currentTool)) {
+            // Listeners see the screen as it was before the first dab
+            this.eventBus.emit('drawing-started', {
+                tool: this.state.currentTool,
+                position,
+                isRightClick
+            });
+
+            if (['brush', 'fill', 'glyph', 'text'].includes(this.state.currentTool)) {
                 this.performAction(position.x, position.y);
             } else if (this.state.currentTool === 'shapes') {
                 this.state.preview = true;
                 this.state.previewStart = position;
                 this.state.previewEnd = position;
+            } else if (this.state.currentTool === 'select') {
+                this.eventBus.emit('selection-start', { position, isRightClick });
             }
-
-            this.eventBus.emit('drawing-started', {
-                tool: this.state.currentTool,
-                position,
-                isRightClick
-            });
         }
 
         /**
@@ -842,9 +1075,23 @@
          * @param {Object} position - Mouse position
          */
         continueDrawing(position) {
+            // The text tool outlines where the text would go before it is placed
+            if (this.state.currentTool === 'text' && !this.state.drawing) {
+                this.eventBus.emit('text-hover', position);
+                return;
+            }
+            // Lets the clash overlay show what a click here would recolour
+            if (['brush', 'fill'].includes(this.state.currentTool) && !this.state.drawing) {
+                this.eventBus.emit('tool-hover', {
+                    tool: this.state.currentTool,
+                    position,
+                    brushSize: this.state.brushSize
+                });
+                return;
+            }
             if (!this.state.drawing) return;
 
-            if (['brush', 'select'].includes(this.state.currentTool)) {
+            if (this.state.currentTool === 'brush') {
                 if (this.state.lastPos) {
                     this.eventBus.emit('draw-line', {
                         start: this.state.lastPos,
@@ -853,6 +1100,13 @@
                     });
                 }
                 this.state.lastPos = position;
+            } else if (this.state.currentTool === 'glyph') {
+                // Dragging stamps once per character cell
+                const last = this.state.lastPos;
+                if (!last || last.x >> 3 !== position.x >> 3 || last.y >> 3 !== position.y >> 3) {
+                    this.performAction(position.x, position.y);
+                }
+                this.state.lastPos = position;
             } else if (this.state.currentTool === 'shapes' && this.state.preview) {
                 this.state.previewEnd = position;
                 this.eventBus.emit('preview-updated', {
@@ -862,6 +1116,9 @@
                     filled: this.state.shapeFilled || false,
                     erase: this.state.isRightClick || false
                 });
+            } else if (this.state.currentTool === 'select') {
+                this.state.lastPos = position;
+                this.eventBus.emit('selection-update', { position });
             }
         }
 
@@ -883,6 +1140,8 @@
                     erase: this.state.isRightClick,
                     filled: this.state.shapeFilled || false
                 });
+            } else if (tool === 'select') {
+                this.eventBus.emit('selection-end', { position: this.state.lastPos });
             }
 
             this.state.drawing = false;
@@ -893,8 +1152,10 @@
             this.state.previewEnd = null;
             this.state.isRightClick = false;
             
-            // Clear preview canvas at end of any drawing operation
-            this.eventBus.emit('clear-preview');
+            // Clear preview canvas at end of any drawing operation (the marquee stays visible)
+            if (tool !== 'select') {
+                this.eventBus.emit('clear-preview');
+            }
 
             this.eventBus.emit('drawing-stopped', {
                 tool,
@@ -914,6 +1175,22 @@
                 return;
             }
 
+            // Glyphs snap to character cells; right-click clears the glyph's INK pixels
+            if (this.state.currentTool === 'glyph') {
+                if (x >= 0 && x <= 255 && y >= 0 && y <= 191) {
+                    this.eventBus.emit('glyph-stamp', { x: x & ~7, y: y & ~7, erase: this.state.isRightClick });
+                }
+                return;
+            }
+
+            // Text is laid out by CharsetManager, which knows the snap and size options
+            if (this.state.currentTool === 'text') {
+                if (x >= 0 && x <= 255 && y >= 0 && y <= 191) {
+                    this.eventBus.emit('text-stamp', { x, y, erase: this.state.isRightClick });
+                }
+                return;
+            }
+
             if (this.state.isRightClick) {
                 this.eventBus.emit('draw-brush', { x, y, value: 0, size: this.state.brushSize });
             } else {
@@ -934,9 +1211,6 @@
                             this.eventBus.emit(fillEvent, { x, y, erase: this.state.isRightClick, type: fillType });
                         }
                         break;
-                    case 'select':
-                        this.eventBus.emit('draw-brush', { x, y, value: 1, size: this.state.brushSize });
-                        break;
                 }
             }
         }
@@ -966,8 +1240,19 @@
      * @class FileService
      */
     class FileService {
-        constructor(eventBus) {
+        constructor(eventBus, colorManager) {
             this.eventBus = eventBus;
+            this.tapeFormat = new TapeFormat();
+            this.gifFormat = new GifFormat();
+            this.spriteFormat = new SpriteFormat();
+            this.asmFormat = new AsmFormat();
+            this.cFormat = new CFormat();
+            this.compressionFormat = new CompressionFormat();
+            this.pendingCompression = null;
+            this.snapshotFormat = new SnapshotFormat();
+            this.charsetFormat = new CharsetFormat();
+            this.tileMapFormat = new TileMapFormat();
+            this.imageConverter = new ImageConverter(colorManager);
             this.setupLimits();
         }
 
@@ -1032,9 +1317,7 @@
             // Encode pixel data
             for (let y = 0; y < 192; y++) {
                 for (let charX = 0; charX < 32; charX++) {
-                    const charY = Math.floor(y / 8);
-                    const pixY = y % 8;
-                    const addr = (charY * 256) + (pixY * 32) + charX;
+                    const addr = this.getDisplayAddress(y, charX);
                     
                     let byteVal = 0;
                     for (let bit = 0; bit < 8; bit++) {
@@ -1044,7 +1327,7 @@
                         }
                     }
                     
-                    if (addr < 6144) scrData[addr] = byteVal;
+                    scrData[addr] = byteVal;
                 }
             }
             
@@ -1066,1115 +1349,2847 @@
         }
 
         /**
-         * Export assembly code
+         * Get display file offset of a pixel byte
+         * The screen is stored in thirds: bits of y are interleaved as
+         * 010T TSSS LLLC CCCC (T=third, S=scanline, L=character row, C=column).
+         * @param {number} y - Pixel row (0-191)
+         * @param {number} charX - Byte column (0-31)
+         * @returns {number} Offset from the start of the display file
+         */
+        getDisplayAddress(y, charX) {
+            return ((y & 0xC0) << 5) | ((y & 0x07) << 8) | ((y & 0x38) << 2) | charX;
+        }
+
+        /**
+         * Save TAP file holding the screen as a SCREEN$ CODE block
          * @param {Array} pixels - Pixel data
          * @param {Array} attributes - Attribute data
+         * @param {Object} options - { includeLoader } - prepend a BASIC loader (default true)
          */
-        async exportASM(pixels, attributes) {
+        async saveTAP(pixels, attributes, options = {}) {
             try {
-                const asmCode = this.generateASMCode(pixels, attributes);
-                const blob = new Blob([asmCode], { type: 'text/plain' });
+                const includeLoader = options.includeLoader !== false;
+                const tapData = this.generateTAPData(pixels, attributes, { includeLoader });
+                const blob = new Blob([tapData], { type: 'application/octet-stream' });
                 const link = document.createElement('a');
                 
                 link.href = URL.createObjectURL(blob);
-                link.download = `zx_pixel_smoosher_${Date.now()}.asm`;
+                link.download = `zx_pixel_smoosher_${Date.now()}.tap`;
                 link.click();
                 
                 URL.revokeObjectURL(link.href);
-                this.eventBus.emit('status', { message: '⬇ ASM exported', type: 'success' });
+                this.eventBus.emit('status', {
+                    message: includeLoader ? '⬇ TAP saved with BASIC loader' : '⬇ TAP saved (SCREEN$ block only)',
+                    type: 'success'
+                });
             } catch (error) {
-                this.eventBus.emit('error', { title: 'Export ASM Failed', message: error.message });
+                this.eventBus.emit('error', { title: 'Save TAP Failed', message: error.message });
             }
         }
 
         /**
-         * Generate assembly code
-         * @param {Array} pixels - Pixel data
-         * @param {Array} attributes - Attribute data
-         * @returns {string} Assembly code
+         * Save animated GIF with both FLASH phases
+         * @param {Array<Uint8ClampedArray>} frames - RGBA frames from CanvasService.renderPixels()
+         * @param {Object} colorCaches - Palette RGB caches { normal, bright }
          */
-        generateASMCode(pixels, attributes) {
-            let asm = `; ZX Spectrum Screen Data\n; Generated by ZX Pixel Smoosher\n; Created by D0k^RA - GPL v3.0\n\nSCREEN_DATA:\n`;
-            
-            // Generate screen data
-            for (let y = 0; y < 192; y++) {
-                for (let charX = 0; charX < 32; charX++) {
-                    let byteVal = 0;
-                    for (let bit = 0; bit < 8; bit++) {
-                        const pixX = charX * 8 + bit;
-                        if (pixels[y] && pixels[y][pixX]) {
-                            byteVal |= (1 << (7 - bit));
-                        }
-                    }
-                    
-                    if (charX === 0) asm += `    DB `;
-                    asm += `${byteVal.toString(16).toUpperCase().padStart(2, '0')}`;
-                    asm += charX < 31 ? `, ` : `;    ; Line ${y}\n`;
-                }
-            }
-            
-            // Generate attribute data
-            asm += `\nATTRIBUTE_DATA:\n`;
-            for (let charY = 0; charY < 24; charY++) {
-                asm += `    DB `;
-                for (let charX = 0; charX < 32; charX++) {
-                    const attr = attributes[charY][charX];
-                    let attrByte = attr.ink | (attr.paper << 3);
-                    if (attr.bright) attrByte |= 0x40;
-                    if (attr.flash) attrByte |= 0x80;
-                    
-                    asm += `${attrByte.toString(16).toUpperCase().padStart(2, '0')}`;
-                    if (charX < 31) asm += `, `;
-                }
-                asm += `    ; Attr line ${charY}\n`;
+        async saveGIF(frames, colorCaches) {
+            try {
+                const gifData = this.generateGIFData(frames, colorCaches);
+                const blob = new Blob([gifData], { type: 'image/gif' });
+                const link = document.createElement('a');
+                
+                link.href = URL.createObjectURL(blob);
+                link.download = `zx_pixel_smoosher_${Date.now()}.gif`;
+                link.click();
+                
+                URL.revokeObjectURL(link.href);
+                this.eventBus.emit('status', {
+                    message: frames.length > 1 ? '⬇ GIF saved with FLASH animation' : '⬇ GIF saved (no FLASH cells, single frame)',
+                    type: 'success'
+                });
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'Save GIF Failed', message: error.message });
             }
-            
-            return asm;
         }
 
         /**
-         * Load file dialog
+         * Generate GIF data from rendered frames
+         * The Spectrum swaps FLASH colours every 16 frames at 50Hz, so each phase lasts 0.32s.
+         * @param {Array<Uint8ClampedArray>} frames - RGBA frames, 256×192
+         * @param {Object} colorCaches - Palette RGB caches { normal, bright }
+         * @returns {Uint8Array} GIF data
          */
-        loadFile() {
-            const input = document.createElement('input');
-            input.type = 'file';
-            input.accept = '.scr,.png,.jpg,.jpeg,.gif,.bmp,.webp';
-            input.style.display = 'none';
+        generateGIFData(frames, colorCaches) {
+            const FLASH_FRAMES = 16;
+            const FRAME_RATE = 50;
+            const delay = Math.round(FLASH_FRAMES * 100 / FRAME_RATE);
             
-            input.onchange = (e) => {
-                const file = e.target.files[0];
-                if (file) {
-                    this.handleFileLoad(file);
+            // One palette entry per Spectrum colour, normal then bright
+            const palette = [...colorCaches.normal, ...colorCaches.bright];
+            const lookup = new Map();
+            palette.forEach((color, index) => {
+                const key = (color.r << 16) | (color.g << 8) | color.b;
+                if (!lookup.has(key)) lookup.set(key, index);
+            });
+            
+            const indexedFrames = frames.map(rgba => {
+                const indices = new Uint8Array(rgba.length / 4);
+                for (let i = 0; i < indices.length; i++) {
+                    const key = (rgba[i * 4] << 16) | (rgba[i * 4 + 1] << 8) | rgba[i * 4 + 2];
+                    const index = lookup.get(key);
+                    if (index === undefined) {
+                        throw new Error(`Colour at pixel ${i} is not a Spectrum colour`);
+                    }
+                    indices[i] = index;
                 }
-                document.body.removeChild(input);
-            };
+                return { indices, delay };
+            });
             
-            document.body.appendChild(input);
-            input.click();
+            return this.gifFormat.encode({ width: 256, height: 192, palette, frames: indexedFrames, loop: 0 });
         }
 
         /**
-         * Handle file loading
-         * @param {File} file - File to load
+         * Generate TAP data from pixels and attributes
+         * @param {Array} pixels - Pixel data
+         * @param {Array} attributes - Attribute data
+         * @param {Object} options - { includeLoader, name }
+         * @returns {Uint8Array} TAP data
          */
-        async handleFileLoad(file) {
+        generateTAPData(pixels, attributes, options = {}) {
+            const scrData = this.generateSCRData(pixels, attributes);
+            return this.tapeFormat.createScreenTape(scrData, options);
+        }
+
+        /**
+         * Export assembly code
+         * @param {Array} pixels - Pixel data
+         * @param {Array} attributes - Attribute data
+         * @param {Object} options - { dialect, base, bytesPerLine, labelPrefix, org, order }
+         */
+        async exportASM(pixels, attributes, options = {}) {
             try {
-                this.validateFile(file);
+                const asmCode = this.generateASMCode(pixels, attributes, options);
+                const blob = new Blob([asmCode], { type: 'text/plain' });
+                const link = document.createElement('a');
                 
-                const isSCR = file.name.toLowerCase().endsWith('.scr');
-                if (isSCR) {
-                    await this.loadSCR(file);
-                } else {
-                    await this.loadImage(file);
-                }
+                link.href = URL.createObjectURL(blob);
+                link.download = `zx_pixel_smoosher_${Date.now()}.asm`;
+                link.click();
+                
+                URL.revokeObjectURL(link.href);
+                this.eventBus.emit('status', { message: '⬇ ASM exported', type: 'success' });
             } catch (error) {
-                this.eventBus.emit('error', { title: 'File Load Failed', message: error.message });
+                this.eventBus.emit('error', { title: 'Export ASM Failed', message: error.message });
             }
         }
 
         /**
-         * Validate file
-         * @param {File} file - File to validate
+         * Export a screen region as a Sinclair BASIC DATA/POKE listing
+         * @param {Array} pixels - Pixel data
+         * @param {Array} attributes - Attribute data
+         * @param {Object} region - { x, y, width, height } in pixels
+         * @param {Object} options - { output: 'text'|'tap', valuesPerLine, includeAttributes }
          */
-        validateFile(file) {
-            if (file.size > this.LIMITS.MAX_FILE_SIZE) {
-                throw new Error(`File too large (${(file.size / 1024 / 1024).toFixed(1)}MB). Max ${this.LIMITS.MAX_FILE_SIZE / 1024 / 1024}MB.`);
-            }
-            
-            if (file.size > this.LIMITS.PERF_WARNING_SIZE) {
-                this.eventBus.emit('performance-warning', file.size);
-            }
-            
-            const validImg = /^image\/(png|jpe?g|gif|bmp|webp)$/i;
-            const isSCR = file.name.toLowerCase().endsWith('.scr');
-            const isValidImg = validImg.test(file.type);
-            
-            if (!isSCR && !isValidImg) {
-                throw new Error('Invalid file type. Use SCR or image files.');
+        async exportBasic(pixels, attributes, region, options = {}) {
+            try {
+                const lines = this.generateBasicListing(pixels, attributes, region, options);
+                const program = this.tapeFormat.tokenizeProgram(lines);
+                const isTAP = options.output === 'tap';
+                const blob = isTAP
+                    ? new Blob([this.tapeFormat.concat(this.tapeFormat.createProgramBlocks('screen', program, 10))], { type: 'application/octet-stream' })
+                    : new Blob([lines.join('\n') + '\n'], { type: 'text/plain' });
+                const link = document.createElement('a');
+                
+                link.href = URL.createObjectURL(blob);
+                link.download = `zx_pixel_smoosher_${Date.now()}.${isTAP ? 'tap' : 'bas.txt'}`;
+                link.click();
+                
+                URL.revokeObjectURL(link.href);
+
+                if (program.length > this.tapeFormat.BASIC_FREE_48K) {
+                    this.eventBus.emit('status', {
+                        message: `⚠ BASIC exported, but the ${program.length}-byte program is too big for a 48K Spectrum - select a smaller area`,
+                        type: 'warning'
+                    });
+                } else {
+                    this.eventBus.emit('status', { message: `⬇ BASIC ${isTAP ? 'tape' : 'listing'} exported (${program.length} bytes)`, type: 'success' });
+                }
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'Export BASIC Failed', message: error.message });
             }
         }
 
         /**
-         * Load SCR file
-         * @param {File} file - SCR file
-         */
-        async loadSCR(file) {
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                
-                reader.onload = (e) => {
-                    try {
-                        const data = new Uint8Array(e.target.result);
-                        if (data.length !== 6912) {
-                            throw new Error('Invalid SCR file size');
-                        }
-                        
-                        const { pixels, attributes } = this.parseSCR(data);
-                        this.eventBus.emit('file-loaded', { pixels, attributes, type: 'scr' });
-                        this.eventBus.emit('status', { message: '⬆ SCR loaded', type: 'success' });
-                        resolve();
-                    } catch (error) {
-                        reject(error);
-                    }
-                };
-                
-                reader.onerror = () => reject(new Error('Failed to read SCR file'));
-                reader.readAsArrayBuffer(file);
-            });
-        }
-
-        /**
-         * Parse SCR data
-         * @param {Uint8Array} data - SCR data
-         * @returns {Object} Parsed pixels and attributes
-         */
-        parseSCR(data) {
-            // Optimized array creation
-            const pixels = new Array(192);
-            for (let row = 0; row < 192; row++) {
-                pixels[row] = new Uint8Array(256);
-            }
-            
-            const attributes = new Array(24);
-            for (let blockRow = 0; blockRow < 24; blockRow++) {
-                attributes[blockRow] = new Array(32);
-                for (let blockCol = 0; blockCol < 32; blockCol++) {
-                    attributes[blockRow][blockCol] = {};
+         * Generate a BASIC listing that POKEs a region back into screen memory
+         * Pixel rows are read from the linear layout of generateSCRData(), whole bytes wide,
+         * and the loop works out each row's display-file address. Attributes cover every
+         * cell the region touches.
+         * @param {Array} pixels - Pixel data
+         * @param {Array} attributes - Attribute data
+         * @param {Object} region - { x, y, width, height } in pixels
+         * @param {Object} options - { valuesPerLine, includeAttributes }
+         * @returns {Array<string>} Listing lines
+         */
+        generateBasicListing(pixels, attributes, region, options = {}) {
+            const valuesPerLine = options.valuesPerLine || 16;
+            const includeAttributes = options.includeAttributes !== false;
+            if (!Number.isInteger(valuesPerLine) || valuesPerLine < 1 || valuesPerLine > 64) {
+                throw new Error('DATA values per line must be 1-64');
+            }
+
+            const screen = this.getScreenBytes(pixels, attributes, 'linear');
+            const firstColumn = Math.floor(region.x / 8);
+            const lastColumn = Math.floor((region.x + region.width - 1) / 8);
+            const firstRow = region.y;
+            const lastRow = region.y + region.height - 1;
+            const firstCellRow = Math.floor(firstRow / 8);
+            const lastCellRow = Math.floor(lastRow / 8);
+
+            const values = [];
+            for (let y = firstRow; y <= lastRow; y++) {
+                for (let column = firstColumn; column <= lastColumn; column++) values.push(screen.pixels[y * 32 + column]);
+            }
+            if (includeAttributes) {
+                for (let row = firstCellRow; row <= lastCellRow; row++) {
+                    for (let column = firstColumn; column <= lastColumn; column++) values.push(screen.attributes[row * 32 + column]);
                 }
             }
-            
-            // Parse pixel data
-            for (let y = 0; y < 192; y++) {
-                for (let charX = 0; charX < 32; charX++) {
-                    const charY = Math.floor(y / 8);
-                    const pixY = y % 8;
-                    const addr = (charY * 256) + (pixY * 32) + charX;
-                    
-                    if (addr < 6144) {
-                        const byteVal = data[addr];
-                        for (let bit = 0; bit < 8; bit++) {
-                            const pixX = charX * 8 + bit;
-                            pixels[y][pixX] = (byteVal & (1 << (7 - bit))) ? 1 : 0;
-                        }
-                    }
-                }
+
+            const lines = [
+                `10 FOR y=${firstRow} TO ${lastRow}: LET a=16384+2048*INT (y/64)+256*(y-8*INT (y/8))+32*(INT (y/8)-8*INT (y/64)): FOR x=${firstColumn} TO ${lastColumn}: READ b: POKE a+x,b: NEXT x: NEXT y`
+            ];
+            if (includeAttributes) {
+                lines.push(`20 FOR y=${firstCellRow} TO ${lastCellRow}: FOR x=${firstColumn} TO ${lastColumn}: READ b: POKE 22528+32*y+x,b: NEXT x: NEXT y`);
             }
-            
-            // Parse attribute data
-            for (let charY = 0; charY < 24; charY++) {
-                for (let charX = 0; charX < 32; charX++) {
-                    const attrAddr = 6144 + (charY * 32) + charX;
-                    const attrByte = data[attrAddr];
-                    
-                    attributes[charY][charX] = {
-                        ink: attrByte & 0x07,
-                        paper: (attrByte >> 3) & 0x07,
-                        bright: (attrByte & 0x40) !== 0,
-                        flash: (attrByte & 0x80) !== 0
-                    };
+            // Keep the screen up: the end-of-program report would clear the bottom two rows
+            lines.push('30 PAUSE 0');
+
+            for (let offset = 0, lineNumber = 100; offset < values.length; offset += valuesPerLine, lineNumber += 10) {
+                if (lineNumber > this.tapeFormat.MAX_LINE_NUMBER) {
+                    throw new Error(`Listing runs past line ${this.tapeFormat.MAX_LINE_NUMBER} - use more DATA values per line or a smaller area`);
                 }
+                lines.push(`${lineNumber} DATA ${values.slice(offset, offset + valuesPerLine).join(',')}`);
             }
-            
-            return { pixels, attributes };
+
+            return lines;
         }
 
         /**
-         * Load image file
-         * @param {File} file - Image file
+         * Size of the screen once packed, for comparing two versions of it
+         * @param {Array} pixels - Pixel data
+         * @param {Array} attributes - Attribute data
+         * @param {string} method - Compression method id
+         * @returns {number} Packed size in bytes
          */
-        async loadImage(file) {
-            return new Promise((resolve, reject) => {
-                const reader = new FileReader();
-                
-                reader.onload = (e) => {
-                    const img = new Image();
-                    
-                    img.onload = () => {
-                        try {
-                            const { pixels, attributes } = this.convertImage(img);
-                            this.eventBus.emit('file-loaded', { pixels, attributes, type: 'image' });
-                            this.eventBus.emit('status', { message: '⬆ Image converted', type: 'success' });
-                            resolve();
-                        } catch (error) {
-                            reject(error);
-                        }
-                    };
-                    
-                    img.onerror = () => reject(new Error('Failed to load image'));
-                    img.src = e.target.result;
-                };
-                
-                reader.onerror = () => reject(new Error('Failed to read image file'));
-                reader.readAsDataURL(file);
-            });
+        getPackedSize(pixels, attributes, method = 'zx0') {
+            return this.compressionFormat.compress(method, this.generateSCRData(pixels, attributes)).length;
         }
 
         /**
-         * Convert image to pixel data
-         * @param {Image} img - Image element
-         * @returns {Object} Converted pixels and attributes
+         * Pack the screen with every compression method so the dialog can show sizes
+         * The packed data is kept until the export is confirmed or cancelled.
+         * @param {Array} pixels - Pixel data
+         * @param {Array} attributes - Attribute data
+         * @returns {Array<Object>} Results { id, name, size }
          */
-        convertImage(img) {
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            
-            canvas.width = 256;
-            canvas.height = 192;
-            ctx.drawImage(img, 0, 0, 256, 192);
-            
-            const imageData = ctx.getImageData(0, 0, 256, 192);
-            
-            // Optimized array creation
-            const pixels = new Array(192);
-            for (let row = 0; row < 192; row++) {
-                pixels[row] = new Uint8Array(256);
-            }
-            
-            const attributes = new Array(24);
-            for (let blockRow = 0; blockRow < 24; blockRow++) {
-                attributes[blockRow] = new Array(32);
-                for (let blockCol = 0; blockCol < 32; blockCol++) {
-                    attributes[blockRow][blockCol] = {
-                        ink: 0,
-                        paper: 7,
-                        bright: false,
-                        flash: false
-                    };
-                }
-            }
-            
-            // Convert to monochrome
-            for (let y = 0; y < 192; y++) {
-                for (let x = 0; x < 256; x++) {
-                    const i = (y * 256 + x) * 4;
-                    const gray = (imageData.data[i] + imageData.data[i + 1] + imageData.data[i + 2]) / 3;
-                    pixels[y][x] = gray > 128 ? 1 : 0;
-                }
-            }
-            
-            return { pixels, attributes };
-        }
-    }
+        prepareCompressedExport(pixels, attributes) {
+            const scrData = this.generateSCRData(pixels, attributes);
+            const results = this.compressionFormat.getMethods().map(method => ({
+                ...method,
+                packed: this.compressionFormat.compress(method.id, scrData)
+            }));
 
-    /**
-     * Application state manager
-     * @class StateManager
-     */
-    class StateManager {
-        constructor(eventBus, historyManager) {
-            this.eventBus = eventBus;
-            this.history = historyManager;
-            this.initializeState();
+            this.pendingCompression = { originalSize: scrData.length, results };
+            return results.map(result => ({ id: result.id, name: result.name, size: result.packed.length }));
         }
 
         /**
-         * Initialize application state
-         * Optimized array creation to reduce memory allocation overhead
+         * Export the packed screen as binary or assembly
+         * @param {Object} options - { method, output: 'binary'|'asm', dialect, labelPrefix, includeDepacker }
          */
-        initializeState() {
-            // Pre-allocate pixel array efficiently
-            const pixels = new Array(192);
-            for (let row = 0; row < 192; row++) {
-                pixels[row] = new Uint8Array(256);
-            }
-            
-            // Pre-allocate attribute array efficiently
-            const attributes = new Array(24);
-            for (let blockRow = 0; blockRow < 24; blockRow++) {
-                attributes[blockRow] = new Array(32);
-                for (let blockCol = 0; blockCol < 32; blockCol++) {
-                    attributes[blockRow][blockCol] = {
-                        ink: 0,
-                        paper: 7,
-                        bright: false,
-                        flash: false
-                    };
+        async exportCompressed(options) {
+            try {
+                if (!this.pendingCompression) {
+                    throw new Error('No packed screen is waiting to be exported');
                 }
-            }
-            
-            this.state = {
-                pixels: pixels,
-                attributes: attributes,
-                zoom: 2,
-                grids: {
-                    '1x1': false,
-                    '8x8': false,
-                    '16x16': false
+                const result = this.pendingCompression.results.find(entry => entry.id === options.method);
+                if (!result) {
+                    throw new Error(`Unknown compression method "${options.method}"`);
                 }
-            };
-        }
 
-        /**
-         * Get current state
-         * @returns {Object} Current state
-         */
-        getState() {
-            return {
-                pixels: this.state.pixels.map(row => new Uint8Array(row)),
-                attributes: this.state.attributes.map(row => row.map(attr => ({ ...attr }))),
-                zoom: this.state.zoom,
-                grids: { ...this.state.grids }
-            };
+                const isASM = options.output === 'asm';
+                const data = isASM ? this.generateCompressedASM(result, options) : result.packed;
+                const blob = new Blob([data], { type: isASM ? 'text/plain' : 'application/octet-stream' });
+                const link = document.createElement('a');
+                
+                link.href = URL.createObjectURL(blob);
+                link.download = `zx_pixel_smoosher_${Date.now()}.${isASM ? 'asm' : result.extension}`;
+                link.click();
+                
+                URL.revokeObjectURL(link.href);
+                this.pendingCompression = null;
+                this.eventBus.emit('status', { message: `⬇ ${result.name} screen exported (${result.packed.length} bytes)`, type: 'success' });
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'Export Compressed Failed', message: error.message });
+            }
         }
 
         /**
-         * Set pixels without emitting events (internal use)
-         * @param {Array} pixels - Pixel data
+         * Generate assembly for a packed screen, optionally with its depacker
+         * @param {Object} result - { id, name, packed }
+         * @param {Object} options - { dialect, labelPrefix, includeDepacker }
+         * @returns {string} Assembly code
          */
-        setPixels(pixels) {
-            this.state.pixels = pixels.map(row => new Uint8Array(row));
+        generateCompressedASM(result, options) {
+            const label = this.asmFormat.formatLabel(options.labelPrefix) || 'SCREEN_PACKED';
+            const header = [
+                'ZX Spectrum Screen Data',
+                'Generated by ZX Pixel Smoosher',
+                'Created by D0k^RA - GPL v3.0',
+                `Packed with ${result.name}: ${this.pendingCompression.originalSize} -> ${result.packed.length} bytes`
+            ];
+
+            const routines = [];
+            if (options.includeDepacker) {
+                const depacker = this.compressionFormat.getDepacker(result.id);
+                routines.push(depacker);
+                header.push(
+                    '',
+                    'To show it:',
+                    `    ld hl, ${label}`,
+                    '    ld de, 16384',
+                    ...(result.id === 'lz4' ? [`    ld bc, ${result.packed.length}`] : []),
+                    `    call ${depacker.label}`
+                );
+            }
+
+            return this.asmFormat.generate({
+                header,
+                blocks: [{ label, bytes: result.packed }],
+                routines
+            }, { dialect: options.dialect, base: 'hex', bytesPerLine: 16 });
         }
 
         /**
-         * Set attributes without emitting events (internal use)
-         * @param {Array} attributes - Attribute data
+         * Drop packed data from a cancelled compressed export
          */
-        setAttributes(attributes) {
-            this.state.attributes = attributes.map(row => row.map(attr => ({ ...attr })));
+        clearPendingCompression() {
+            this.pendingCompression = null;
         }
 
         /**
-         * Update pixels and emit state change
+         * Export a screen region as sprite frames in assembly
          * @param {Array} pixels - Pixel data
+         * @param {Object} region - { x, y, width, height } to cut frames from
+         * @param {Object} options - { frameWidth, frameHeight, frameOrder, byteOrder, mask, shifts, labelPrefix }
          */
-        updatePixels(pixels) {
-            this.setPixels(pixels);
-            this.eventBus.emit('state-changed', { pixels: this.state.pixels });
+        async exportSprites(pixels, region, options) {
+            try {
+                const frames = this.spriteFormat.cutFrames(pixels, region, options);
+                const asmCode = this.spriteFormat.generateASM(frames, options);
+                const blob = new Blob([asmCode], { type: 'text/plain' });
+                const link = document.createElement('a');
+                
+                link.href = URL.createObjectURL(blob);
+                link.download = `zx_pixel_smoosher_sprites_${Date.now()}.asm`;
+                link.click();
+                
+                URL.revokeObjectURL(link.href);
+
+                const copies = frames.length * frames[0].copies.length;
+                const bytes = copies * frames[0].bytesPerRow * frames[0].height * (options.mask === 'none' ? 1 : 2);
+                this.eventBus.emit('status', { message: `⬇ ${frames.length} sprite frame(s) exported (${bytes} bytes)`, type: 'success' });
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'Export Sprites Failed', message: error.message });
+            }
         }
 
         /**
-         * Update attributes and emit state change
+         * Generate assembly code
+         * @param {Array} pixels - Pixel data
          * @param {Array} attributes - Attribute data
+         * @param {Object} options - { dialect, base, bytesPerLine, labelPrefix, org, order }
+         * @returns {string} Assembly code
          */
-        updateAttributes(attributes) {
-            this.setAttributes(attributes);
-            this.eventBus.emit('state-changed', { attributes: this.state.attributes });
+        generateASMCode(pixels, attributes, options = {}) {
+            const order = options.order || 'linear';
+            const screen = this.getScreenBytes(pixels, attributes, order);
+            const comments = this.getScreenLineComments(order);
+            const prefix = this.asmFormat.formatLabel(options.labelPrefix);
+            const label = (name) => prefix ? `${prefix}_${name}` : name;
+
+            return this.asmFormat.generate({
+                header: this.getSourceHeader(order),
+                blocks: [
+                    { label: label('SCREEN_DATA'), bytes: screen.pixels, lineComment: comments.pixels },
+                    { label: label('ATTRIBUTE_DATA'), bytes: screen.attributes, lineComment: comments.attributes }
+                ]
+            }, options);
         }
 
         /**
-         * Set zoom level
-         * @param {number} zoom - Zoom level
+         * Export C as a header and source pair, or as a single header
+         * Both halves of a pair download together and share one file name, which the .c includes.
+         * @param {Array} pixels - Pixel data
+         * @param {Array} attributes - Attribute data
+         * @param {Object} options - { cFile: 'pair'|'single', fileName, base, bytesPerLine, labelPrefix, order }
          */
-        setZoom(zoom) {
-            this.state.zoom = Math.max(1, Math.min(16, zoom));
-            this.eventBus.emit('zoom-changed', this.state.zoom);
+        async exportC(pixels, attributes, options = {}) {
+            try {
+                const fileName = this.cFormat.formatIdentifier(options.fileName) || 'zx_pixel_smoosher';
+                const files = this.getCFiles(this.generateCCode(pixels, attributes, { ...options, fileName }), fileName, options.cFile);
+
+                this.downloadFiles(files);
+                this.eventBus.emit('status', { message: `⬇ C exported: ${files.map(file => file.name).join(', ')}`, type: 'success' });
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'Export C Failed', message: error.message });
+            }
         }
 
         /**
-         * Toggle grid
-         * @param {string} type - Grid type
+         * Pick the files to download from generated C code
+         * @param {Object} code - { header, source, single }
+         * @param {string} fileName - Base name shared by the files
+         * @param {string} cFile - 'pair' (default) or 'single'
+         * @returns {Array<Object>} { name, data }
          */
-        toggleGrid(type) {
-            log('StateManager toggleGrid called with:', type);
-            if (this.state.grids.hasOwnProperty(type)) {
-                this.state.grids[type] = !this.state.grids[type];
-                log(`Grid ${type} state changed to:`, this.state.grids[type]);
-                this.eventBus.emit('grid-changed', { type, enabled: this.state.grids[type] });
-                log('grid-changed event emitted');
-            } else {
-                error('Invalid grid type:', type, 'Available types:', Object.keys(this.state.grids));
+        getCFiles(code, fileName, cFile = 'pair') {
+            if (cFile === 'pair') {
+                return [
+                    { name: `${fileName}.h`, data: code.header },
+                    { name: `${fileName}.c`, data: code.source }
+                ];
+            }
+            if (cFile === 'single') {
+                return [{ name: `${fileName}.h`, data: code.single }];
             }
+            throw new Error(`Unknown C file "${cFile}"`);
         }
 
         /**
-         * Save state to history
-         * @param {string} type - State type
+         * Download files one after another from a single action
+         * @param {Array<Object>} files - { name, data } with text or bytes as data
          */
-        saveState(type = 'draw') {
-            if (this.history) {
-                log('Saving state with type:', type);
-                this.history.saveState(this.state.pixels, this.state.attributes, type);
-                this.eventBus.emit('history-saved', type);
-                log('State saved - history info:', this.history.getInfo());
-            }
+        downloadFiles(files) {
+            files.forEach(({ name, data }) => {
+                const isText = typeof data === 'string';
+                const blob = new Blob([data], { type: isText ? 'text/plain' : 'application/octet-stream' });
+                const link = document.createElement('a');
+
+                link.href = URL.createObjectURL(blob);
+                link.download = name;
+                link.click();
+
+                URL.revokeObjectURL(link.href);
+            });
         }
 
         /**
-         * Undo last action
+         * Generate C header and source, plus the single-header alternative
+         * @param {Array} pixels - Pixel data
+         * @param {Array} attributes - Attribute data
+         * @param {Object} options - { base, bytesPerLine, labelPrefix, order, fileName }
+         * @returns {Object} { header, source, single }
+         */
+        generateCCode(pixels, attributes, options = {}) {
+            const order = options.order || 'linear';
+            const screen = this.getScreenBytes(pixels, attributes, order);
+            const comments = this.getScreenLineComments(order);
+            const prefix = this.cFormat.formatIdentifier(options.labelPrefix);
+            const name = (base) => prefix ? `${prefix}_${base}` : base;
+
+            const source = {
+                header: this.getSourceHeader(order),
+                blocks: [
+                    { name: name('screen_data'), bytes: screen.pixels, lineComment: comments.pixels },
+                    { name: name('attribute_data'), bytes: screen.attributes, lineComment: comments.attributes }
+                ]
+            };
+            return { ...this.cFormat.generate(source, options), single: this.cFormat.generateSingle(source, options) };
+        }
+
+        /**
+         * Header lines shared by the source exports
+         * @param {string} order - 'linear' or 'display'
+         * @returns {Array<string>} Header lines
          */
-        undo() {
-            if (!this.history || !this.history.canUndo()) {
-                this.eventBus.emit('status', { message: 'Nothing to undo', type: 'warning' });
-                return;
-            }
+        getSourceHeader(order) {
+            return [
+                'ZX Spectrum Screen Data',
+                'Generated by ZX Pixel Smoosher',
+                'Created by D0k^RA - GPL v3.0',
+                `Pixel rows in ${order === 'display' ? 'display-file' : 'linear'} order`
+            ];
+        }
 
-            log('Undo called - current history info:', this.history.getInfo());
-            const result = this.history.undo();
-            if (result) {
-                log('Undo successful - restored action type:', result.metadata?.actionType);
-                this.state.pixels = result.pixels;
-                this.state.attributes = result.attributes;
-                
-                log('Clearing preview canvas after undo...');
-                this.eventBus.emit('clear-preview');
-                
-                log('Emitting state-changed event after undo...');
-                this.eventBus.emit('state-changed', {
-                    pixels: this.state.pixels,
-                    attributes: this.state.attributes
-                });
-                log('State-changed event emitted');
-                
-                const info = result.info;
-                let message = `↶ Undo (${info.undoCount} more`;
-                if (info.redoCount > 0) message += `, ${info.redoCount} redo`;
-                if (info.hasPendingRedo) message += `, smart redo`;
-                message += ')';
-                
-                this.eventBus.emit('status', { message, type: 'success' });
-            } else {
-                log('Undo failed - no result returned');
-            }
+        /**
+         * Line comments marking pixel rows (or display-file thirds) and attribute rows
+         * @param {string} order - 'linear' or 'display'
+         * @returns {Object} { pixels, attributes } - offset => comment or null
+         */
+        getScreenLineComments(order) {
+            return {
+                pixels: order === 'display'
+                    ? (offset) => offset % 2048 === 0 ? `Third ${offset / 2048}` : null
+                    : (offset) => offset % 32 === 0 ? `Line ${offset / 32}` : null,
+                attributes: (offset) => offset % 32 === 0 ? `Attr line ${offset / 32}` : null
+            };
         }
 
         /**
-         * Redo last undone action
+         * Split SCR data into pixel and attribute bytes for source exports
+         * @param {Array} pixels - Pixel data
+         * @param {Array} attributes - Attribute data
+         * @param {string} order - 'display' keeps the display-file interleave, 'linear' stores rows top to bottom
+         * @returns {Object} { pixels: Uint8Array(6144), attributes: Uint8Array(768) }
          */
-        redo() {
-            if (!this.history || !this.history.canRedo()) {
-                this.eventBus.emit('status', { message: 'Nothing to redo', type: 'warning' });
-                return;
+        getScreenBytes(pixels, attributes, order = 'linear') {
+            if (order !== 'linear' && order !== 'display') {
+                throw new Error(`Unknown row order "${order}"`);
             }
 
-            const result = this.history.redo();
-            if (result) {
-                this.state.pixels = result.pixels;
-                this.state.attributes = result.attributes;
-                
-                this.eventBus.emit('state-changed', {
-                    pixels: this.state.pixels,
-                    attributes: this.state.attributes
-                });
-                
-                const info = result.info;
-                let message = `↷ Redo (${info.undoCount} undo`;
-                if (info.redoCount > 0) message += `, ${info.redoCount} more redo`;
-                message += ')';
-                
-                this.eventBus.emit('status', { message, type: 'success' });
+            const scrData = this.generateSCRData(pixels, attributes);
+            const attributeBytes = scrData.slice(6144);
+            if (order === 'display') {
+                return { pixels: scrData.slice(0, 6144), attributes: attributeBytes };
             }
+
+            const linear = new Uint8Array(6144);
+            for (let y = 0; y < 192; y++) {
+                for (let charX = 0; charX < 32; charX++) {
+                    linear[y * 32 + charX] = scrData[this.getDisplayAddress(y, charX)];
+                }
+            }
+            return { pixels: linear, attributes: attributeBytes };
         }
 
         /**
-         * Clear canvas
+         * Load file dialog
          */
-        clearCanvas() {
-            this.initializeState();
-            this.eventBus.emit('state-changed', {
-                pixels: this.state.pixels,
-                attributes: this.state.attributes
-            });
-            this.eventBus.emit('status', { message: '+ Canvas cleared', type: 'success' });
+        loadFile() {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.scr,.tap,.tzx,.sna,.z80,.ch8,.udg,.png,.jpg,.jpeg,.gif,.bmp,.webp';
+            input.style.display = 'none';
+            
+            input.onchange = (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.handleFileLoad(file);
+                }
+                document.body.removeChild(input);
+            };
+            
+            document.body.appendChild(input);
+            input.click();
         }
 
         /**
-         * Reset to initial state
+         * Handle file loading
+         * @param {File} file - File to load
          */
-        reset() {
-            this.initializeState();
-            if (this.history) {
-                this.history.clear();
+        async handleFileLoad(file) {
+            try {
+                this.validateFile(file);
+                
+                const fileName = file.name.toLowerCase();
+                if (fileName.endsWith('.scr')) {
+                    await this.loadSCR(file);
+                } else if (fileName.endsWith('.tap') || fileName.endsWith('.tzx')) {
+                    await this.loadTape(file);
+                } else if (fileName.endsWith('.sna') || fileName.endsWith('.z80')) {
+                    await this.loadSnapshot(file);
+                } else if (fileName.endsWith('.ch8') || fileName.endsWith('.udg')) {
+                    await this.readCharset(file);
+                } else {
+                    await this.loadImage(file);
+                }
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'File Load Failed', message: error.message });
             }
-            
-            this.eventBus.emit('state-changed', {
-                pixels: this.state.pixels,
-                attributes: this.state.attributes,
-                zoom: this.state.zoom,
-                grids: this.state.grids
-            });
-            
-            this.eventBus.emit('status', { message: '↻ Full Reset Complete', type: 'success' });
         }
-    }
 
-    /**
-     * UI controller for DOM manipulation and event handling
-     * @class UIController
-     */
-    class UIController {
-        constructor(eventBus, colorManager, toolManager, canvasService) {
-            this.eventBus = eventBus;
-            this.colorManager = colorManager;
-            this.toolManager = toolManager;
-            this.canvasService = canvasService;
-            this.setupEventListeners();
-            this.setupTooltips();
+        /**
+         * Validate file
+         * @param {File} file - File to validate
+         */
+        validateFile(file) {
+            if (file.size > this.LIMITS.MAX_FILE_SIZE) {
+                throw new Error(`File too large (${(file.size / 1024 / 1024).toFixed(1)}MB). Max ${this.LIMITS.MAX_FILE_SIZE / 1024 / 1024}MB.`);
+            }
+            
+            if (file.size > this.LIMITS.PERF_WARNING_SIZE) {
+                this.eventBus.emit('performance-warning', file.size);
+            }
+            
+            const validImg = /^image\/(png|jpe?g|gif|bmp|webp)$/i;
+            const isSCR = file.name.toLowerCase().endsWith('.scr');
+            const isTape = /\.(tap|tzx)$/i.test(file.name);
+            const isSnapshot = /\.(sna|z80)$/i.test(file.name);
+            const isCharset = /\.(ch8|udg)$/i.test(file.name);
+            const isValidImg = validImg.test(file.type);
+            
+            if (!isSCR && !isTape && !isSnapshot && !isCharset && !isValidImg) {
+                throw new Error('Invalid file type. Use SCR, TAP, TZX, SNA, Z80, CH8, UDG or image files.');
+            }
         }
 
         /**
-         * Setup event listeners
+         * Load font/UDG dialog
+         * Any extension is accepted here since raw fonts come as .bin, .fnt and more.
          */
-        setupEventListeners() {
-            this.eventBus.on('color-changed', (colorState) => {
-                this.updateColorUI(colorState);
-            });
-            this.eventBus.on('tool-changed', (toolData) => this.updateToolUI(toolData));
-            this.eventBus.on('shape-changed', (shape) => this.updateShapeUI(shape));
-            this.eventBus.on('zoom-changed', (zoom) => this.updateZoomUI(zoom));
-            this.eventBus.on('grid-changed', (gridData) => this.updateGridUI(gridData));
-            this.eventBus.on('status', (statusData) => this.updateStatus(statusData));
-            this.eventBus.on('error', (errorData) => this.showError(errorData));
-            this.eventBus.on('brush-size-changed', (size) => this.updateBrushSizeUI(size));
-            this.eventBus.on('zoom-updated', (zoom) => this.updateGridOverlaySizes(zoom));
-            
-            this.setupDOMEventListeners();
+        loadCharset() {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.ch8,.udg,.fnt,.bin,.chr';
+            input.style.display = 'none';
+
+            input.onchange = async (e) => {
+                const file = e.target.files[0];
+                document.body.removeChild(input);
+                if (!file) return;
+
+                try {
+                    await this.readCharset(file);
+                } catch (error) {
+                    this.eventBus.emit('error', { title: 'Font Load Failed', message: error.message });
+                }
+            };
+
+            document.body.appendChild(input);
+            input.click();
         }
 
         /**
-         * Setup DOM event listeners
+         * Read a font or UDG file and hand it to the charset editor
+         * @param {File} file - Font (.ch8, raw 768 or 2048 bytes) or UDG file
          */
-        setupDOMEventListeners() {
-            log('setupDOMEventListeners called');
-            // Tool selection
-            document.querySelectorAll('.tool').forEach(tool => {
-                // Prevent duplicate event listeners
-                if (tool.hasAttribute('data-listeners-attached')) return;
-                tool.setAttribute('data-listeners-attached', 'true');
-                
-                const handler = (e) => {
+        async readCharset(file) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+
+                reader.onload = (e) => {
                     try {
-                        this.toolManager.selectTool(e.currentTarget.dataset.tool);
-                    } catch (err) {
-                        error('Error selecting tool:', err);
-                        this.eventBus.emit('error', { 
-                            title: 'Tool Selection Error', 
-                            message: 'Failed to select tool: ' + error.message 
-                        });
+                        const { type, bytes } = this.charsetFormat.parse(new Uint8Array(e.target.result), file.name);
+                        this.eventBus.emit('charset-loaded', { type, bytes, fileName: file.name });
+                        resolve();
+                    } catch (error) {
+                        reject(error);
                     }
                 };
-                tool.addEventListener('click', handler);
-                tool.addEventListener('keydown', (e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                        e.preventDefault();
-                        handler(e);
-                    }
-                });
-                
-                // Special handling for fill tool - right-click shows advanced fill options
-                if (tool.dataset.tool === 'fill') {
-                    tool.addEventListener('contextmenu', (e) => {
-                        e.preventDefault();
-                        this.showFillContextMenu(e);
-                    });
-                }
+
+                reader.onerror = () => reject(new Error('Failed to read font file'));
+                reader.readAsArrayBuffer(file);
             });
+        }
 
-            // Shape selection
-            document.querySelectorAll('.shape-tool').forEach(tool => {
-                // Prevent duplicate event listeners
-                if (tool.hasAttribute('data-shape-listeners-attached')) return;
-                tool.setAttribute('data-shape-listeners-attached', 'true');
-                
-                const handler = (e) => {
-                    try {
-                        // Left-click selects outlined/normal shape
-                        const shapeType = e.currentTarget.dataset.shape;
-                        this.toolManager.selectShape(shapeType, { filled: false });
-                        
-                        // Update visual feedback for normal mode selection
-                        document.querySelectorAll('.shape-tool').forEach(t => {
-                            t.classList.remove('active', 'filled-mode');
-                        });
-                        e.currentTarget.classList.add('active');
-                        
-                    } catch (err) {
-                        error('Error selecting shape:', err);
-                        this.eventBus.emit('error', { 
-                            title: 'Shape Selection Error', 
-                            message: 'Failed to select shape: ' + error.message 
-                        });
+        /**
+         * Save a font as .ch8 or a UDG set as .udg
+         * @param {Uint8Array} bytes - 768 font bytes or 168 UDG bytes
+         * @param {string} type - 'font' or 'udg'
+         */
+        async exportCharset(bytes, type) {
+            try {
+                const extension = type === 'udg' ? 'udg' : 'ch8';
+                const blob = new Blob([bytes], { type: 'application/octet-stream' });
+                const link = document.createElement('a');
+
+                link.href = URL.createObjectURL(blob);
+                link.download = `zx_pixel_smoosher_${Date.now()}.${extension}`;
+                link.click();
+
+                URL.revokeObjectURL(link.href);
+                this.eventBus.emit('status', {
+                    message: `⬇ ${type === 'udg' ? 'UDG set' : 'Font'} saved (${bytes.length} bytes)`,
+                    type: 'success'
+                });
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'Save Font Failed', message: error.message });
+            }
+        }
+
+        /**
+         * Export the screen as a tileset and a map
+         * Binary exports write every block (tiles, attrs and map) or just one; C writes files as for exportC().
+         * @param {Array} pixels - Pixel data
+         * @param {Array} attributes - Attribute data
+         * @param {Object} options - { tileSize, format: 'asm'|'c'|'bin', block: 'all'|'tiles'|'attrs'|'map', cFile, fileName, dialect, base, labelPrefix, includeAttributes }
+         */
+        async exportTileMap(pixels, attributes, options = {}) {
+            try {
+                const fileName = this.cFormat.formatIdentifier(options.fileName) || 'zx_pixel_smoosher_tiles';
+                const analysis = this.tileMapFormat.analyse(pixels, attributes, options.tileSize);
+
+                let blocks, files;
+                if (options.format === 'bin') {
+                    const block = options.block || 'all';
+                    blocks = this.getTileMapBlocks(analysis, true).filter(entry => block === 'all' || entry.file === block);
+                    if (blocks.length === 0) {
+                        throw new Error(`Unknown tile map block "${block}"`);
+                    }
+                    files = blocks.map(entry => ({ name: `${fileName}_${entry.file}.bin`, data: entry.bytes }));
+                } else if (options.format === 'c') {
+                    blocks = this.getTileMapBlocks(analysis, options.includeAttributes);
+                    files = this.getCFiles(this.generateTileMapC(analysis, blocks, { ...options, fileName }), fileName, options.cFile);
+                } else {
+                    blocks = this.getTileMapBlocks(analysis, options.includeAttributes);
+                    files = [{ name: `${fileName}.asm`, data: this.generateTileMapASM(analysis, blocks, options) }];
+                }
+
+                this.downloadFiles(files);
+
+                const bytes = blocks.reduce((total, entry) => total + entry.bytes.length, 0);
+                this.eventBus.emit('status', {
+                    message: `⬇ Tile map exported: ${analysis.tiles.length} unique tile(s), ${bytes} bytes in ${files.length} file(s)`,
+                    type: 'success'
+                });
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'Export Tile Map Failed', message: error.message });
+            }
+        }
+
+        /**
+         * Byte blocks for a tile map export
+         * Source lines hold one tile's worth of bytes (two lines for 16×16 pixels).
+         * @param {Object} analysis - Result of TileMapFormat.analyse()
+         * @param {boolean} includeAttributes - Add the tile attribute block
+         * @returns {Array<Object>} { id, file, bytes, lineComment }
+         */
+        getTileMapBlocks(analysis, includeAttributes = true) {
+            const tileset = this.tileMapFormat.getTileset(analysis);
+            const map = this.tileMapFormat.getMapBytes(analysis);
+            const rowBytes = analysis.columns * map.entrySize;
+
+            const blocks = [{
+                id: 'tileset',
+                file: 'tiles',
+                bytes: tileset.pixels,
+                lineComment: (offset) => offset % tileset.bytesPerTile === 0 ? `Tile ${offset / tileset.bytesPerTile}` : null
+            }];
+            if (includeAttributes) {
+                blocks.push({
+                    id: 'tileset_attributes',
+                    file: 'attrs',
+                    bytes: tileset.attributes,
+                    lineComment: (offset) => `Tile ${offset / tileset.attributesPerTile}`
+                });
+            }
+            blocks.push({
+                id: 'tile_map',
+                file: 'map',
+                bytes: map.bytes,
+                lineComment: (offset) => offset % rowBytes === 0 ? `Row ${offset / rowBytes}` : null
+            });
+            return blocks;
+        }
+
+        /**
+         * Header lines for tile map source exports
+         * @param {Object} analysis - Result of TileMapFormat.analyse()
+         * @returns {Array<string>} Header lines
+         */
+        getTileMapHeader(analysis) {
+            const { tileSize, columns, rows, tiles } = analysis;
+            const entrySize = this.tileMapFormat.getMapBytes(analysis).entrySize;
+
+            return [
+                'ZX Spectrum Tile Map',
+                'Generated by ZX Pixel Smoosher',
+                'Created by D0k^RA - GPL v3.0',
+                `${tiles.length} unique ${tileSize}x${tileSize} tile(s), map ${columns}x${rows}`,
+                'Tile pixels row by row, attributes cell by cell',
+                `Map entries are ${entrySize === 1 ? 'bytes' : 'little-endian words'}, rows top to bottom`
+            ];
+        }
+
+        /**
+         * Generate assembly for a tile map
+         * @param {Object} analysis - Result of TileMapFormat.analyse()
+         * @param {Array<Object>} blocks - From getTileMapBlocks()
+         * @param {Object} options - { dialect, base, labelPrefix }
+         * @returns {string} Assembly code
+         */
+        generateTileMapASM(analysis, blocks, options = {}) {
+            const prefix = this.asmFormat.formatLabel(options.labelPrefix);
+            const label = (name) => prefix ? `${prefix}_${name}` : name;
+
+            return this.asmFormat.generate({
+                header: this.getTileMapHeader(analysis),
+                blocks: blocks.map(block => ({ label: label(block.id.toUpperCase()), bytes: block.bytes, lineComment: block.lineComment }))
+            }, { dialect: options.dialect, base: options.base, bytesPerLine: analysis.tileSize });
+        }
+
+        /**
+         * Generate a C header and source pair for a tile map, plus the single-header alternative
+         * @param {Object} analysis - Result of TileMapFormat.analyse()
+         * @param {Array<Object>} blocks - From getTileMapBlocks()
+         * @param {Object} options - { base, labelPrefix, fileName }
+         * @returns {Object} { header, source, single }
+         */
+        generateTileMapC(analysis, blocks, options = {}) {
+            const prefix = this.cFormat.formatIdentifier(options.labelPrefix);
+            const name = (base) => prefix ? `${prefix}_${base}` : base;
+
+            const source = {
+                header: this.getTileMapHeader(analysis),
+                blocks: blocks.map(block => ({ name: name(block.id), bytes: block.bytes, lineComment: block.lineComment }))
+            };
+            const layout = { base: options.base, bytesPerLine: analysis.tileSize, fileName: options.fileName };
+            return { ...this.cFormat.generate(source, layout), single: this.cFormat.generateSingle(source, layout) };
+        }
+
+        /**
+         * Load SCR file
+         * @param {File} file - SCR file
+         */
+        async loadSCR(file) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                
+                reader.onload = (e) => {
+                    try {
+                        const data = new Uint8Array(e.target.result);
+                        if (data.length !== 6912) {
+                            throw new Error('Invalid SCR file size');
+                        }
+                        
+                        const { pixels, attributes } = this.parseSCR(data);
+                        this.eventBus.emit('file-loaded', { pixels, attributes, type: 'scr' });
+                        this.eventBus.emit('status', { message: '⬆ SCR loaded', type: 'success' });
+                        resolve();
+                    } catch (error) {
+                        reject(error);
                     }
                 };
-                tool.addEventListener('click', handler);
                 
-                // Right-click for filled shape selection
-                tool.addEventListener('contextmenu', (e) => {
-                    e.preventDefault(); // Prevent context menu
+                reader.onerror = () => reject(new Error('Failed to read SCR file'));
+                reader.readAsArrayBuffer(file);
+            });
+        }
+
+        /**
+         * Load TAP/TZX tape image and find SCREEN$ blocks
+         * A single screen loads straight away, several are offered for selection.
+         * @param {File} file - Tape file
+         */
+        async loadTape(file) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                
+                reader.onload = (e) => {
                     try {
-                        // Right-click selects filled/solid shape
-                        const shapeType = e.currentTarget.dataset.shape;
-                        this.toolManager.selectShape(shapeType, { filled: true });
+                        const data = new Uint8Array(e.target.result);
+                        const type = this.tapeFormat.isTZX(data) ? 'tzx' : 'tap';
+                        const blocks = type === 'tzx' ? this.tapeFormat.parseTZX(data) : this.tapeFormat.parseTAP(data);
+                        const screens = this.tapeFormat.findScreenBlocks(blocks);
                         
-                        // Visual feedback for filled mode selection
-                        document.querySelectorAll('.shape-tool').forEach(t => {
-                            t.classList.remove('active', 'filled-mode');
-                        });
-                        e.currentTarget.classList.add('active', 'filled-mode');
+                        if (screens.length === 0) {
+                            throw new Error(`No SCREEN$ blocks found in ${file.name} (${blocks.length} blocks scanned)`);
+                        }
                         
-                        log(`Shape selected in filled mode: ${shapeType}`);
-                    } catch (err) {
-                        error('Error selecting filled shape:', err);
-                        this.eventBus.emit('error', { 
-                            title: 'Shape Filled Mode Error', 
-                            message: 'Failed to select filled shape: ' + error.message 
-                        });
+                        this.offerScreens(file.name, type, screens.map(screen => ({
+                            name: screen.name,
+                            label: `#${screen.index} "${screen.name}" - ${screen.length} bytes` +
+                                `${screen.start !== null ? ` @ ${screen.start}` : ''} (${screen.source})`,
+                            warning: screen.checksumValid ? null : 'checksum mismatch',
+                            data: screen.data
+                        })));
+                        resolve();
+                    } catch (error) {
+                        reject(error);
                     }
-                });
+                };
                 
-                tool.addEventListener('keydown', (e) => {
-                    if (e.key === 'Enter' || e.key === ' ') {
-                        e.preventDefault();
-                        handler(e);
+                reader.onerror = () => reject(new Error('Failed to read tape file'));
+                reader.readAsArrayBuffer(file);
+            });
+        }
+
+        /**
+         * Load SNA/Z80 snapshot and extract screen memory
+         * 128K snapshots offer the normal (bank 5) and shadow (bank 7) screens.
+         * @param {File} file - Snapshot file
+         */
+        async loadSnapshot(file) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                
+                reader.onload = (e) => {
+                    try {
+                        const data = new Uint8Array(e.target.result);
+                        const type = file.name.toLowerCase().endsWith('.sna') ? 'sna' : 'z80';
+                        const snapshot = this.snapshotFormat.parse(data, type);
+                        const screens = this.snapshotFormat.getScreens(snapshot);
+                        const model = snapshot.is128K ? '128K' : '48K';
+                        
+                        this.offerScreens(file.name, type, screens.map(screen => ({
+                            name: screen.name,
+                            label: `${screen.name} - ${model} ${type.toUpperCase()} v${snapshot.version}`,
+                            warning: null,
+                            data: screen.data
+                        })));
+                        resolve();
+                    } catch (error) {
+                        reject(error);
                     }
-                });
+                };
+                
+                reader.onerror = () => reject(new Error('Failed to read snapshot file'));
+                reader.readAsArrayBuffer(file);
             });
+        }
 
-            // Brush size
-            const brushSize = document.getElementById('brush-size');
-            if (brushSize) {
-                brushSize.addEventListener('input', (e) => {
-                    this.toolManager.setBrushSize(parseInt(e.target.value));
-                });
+        /**
+         * Load a single screen straight away or let the user pick one of several
+         * @param {string} fileName - Source file name
+         * @param {string} type - File type used for the history entry
+         * @param {Array<Object>} candidates - Screens { name, label, warning, data }
+         */
+        offerScreens(fileName, type, candidates) {
+            this.pendingScreens = {
+                type,
+                screens: candidates.map(candidate => ({ ...candidate, ...this.parseSCR(candidate.data) }))
+            };
+            
+            if (candidates.length === 1) {
+                this.loadFoundScreen(0);
+                return;
+            }
+            
+            this.eventBus.emit('screens-found', {
+                fileName,
+                type,
+                screens: this.pendingScreens.screens
+            });
+            this.eventBus.emit('status', { message: `⏏ ${candidates.length} screens found - pick one to load`, type: 'info' });
+        }
+
+        /**
+         * Load one of the screens offered by offerScreens()
+         * @param {number} index - Index into the found screens
+         */
+        loadFoundScreen(index) {
+            const found = this.pendingScreens;
+            const screen = found && found.screens[index];
+            if (!screen) {
+                this.eventBus.emit('error', { title: 'Screen Load Failed', message: 'Selected screen is no longer available' });
+                return;
+            }
+            
+            this.eventBus.emit('file-loaded', { pixels: screen.pixels, attributes: screen.attributes, type: found.type });
+            this.eventBus.emit('status', {
+                message: `⬆ ${found.type.toUpperCase()} screen "${screen.name}" loaded${screen.warning ? ` (${screen.warning})` : ''}`,
+                type: screen.warning ? 'warning' : 'success'
+            });
+            this.pendingScreens = null;
+        }
+
+        /**
+         * Forget screens offered by the last tape or snapshot file
+         */
+        clearPendingScreens() {
+            this.pendingScreens = null;
+        }
+
+        /**
+         * Parse SCR data
+         * @param {Uint8Array} data - SCR data
+         * @returns {Object} Parsed pixels and attributes
+         */
+        parseSCR(data) {
+            // Optimized array creation
+            const pixels = new Array(192);
+            for (let row = 0; row < 192; row++) {
+                pixels[row] = new Uint8Array(256);
+            }
+            
+            const attributes = new Array(24);
+            for (let blockRow = 0; blockRow < 24; blockRow++) {
+                attributes[blockRow] = new Array(32);
+                for (let blockCol = 0; blockCol < 32; blockCol++) {
+                    attributes[blockRow][blockCol] = {};
+                }
+            }
+            
+            // Parse pixel data
+            for (let y = 0; y < 192; y++) {
+                for (let charX = 0; charX < 32; charX++) {
+                    const byteVal = data[this.getDisplayAddress(y, charX)];
+                    for (let bit = 0; bit < 8; bit++) {
+                        const pixX = charX * 8 + bit;
+                        pixels[y][pixX] = (byteVal & (1 << (7 - bit))) ? 1 : 0;
+                    }
+                }
+            }
+            
+            // Parse attribute data
+            for (let charY = 0; charY < 24; charY++) {
+                for (let charX = 0; charX < 32; charX++) {
+                    const attrAddr = 6144 + (charY * 32) + charX;
+                    const attrByte = data[attrAddr];
+                    
+                    attributes[charY][charX] = {
+                        ink: attrByte & 0x07,
+                        paper: (attrByte >> 3) & 0x07,
+                        bright: (attrByte & 0x40) !== 0,
+                        flash: (attrByte & 0x80) !== 0
+                    };
+                }
+            }
+            
+            return { pixels, attributes };
+        }
+
+        /**
+         * Load image file and open the import dialog
+         * Nothing is written to the canvas until the import is confirmed.
+         * @param {File} file - Image file
+         */
+        async loadImage(file) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                
+                reader.onload = (e) => {
+                    const img = new Image();
+                    
+                    img.onload = () => {
+                        try {
+                            this.pendingImage = { fileName: file.name, img };
+                            this.eventBus.emit('image-import-started', {
+                                fileName: file.name,
+                                ditherModes: this.imageConverter.getDitherModes()
+                            });
+                            resolve();
+                        } catch (error) {
+                            reject(error);
+                        }
+                    };
+                    
+                    img.onerror = () => reject(new Error('Failed to load image'));
+                    img.src = e.target.result;
+                };
+                
+                reader.onerror = () => reject(new Error('Failed to read image file'));
+                reader.readAsDataURL(file);
+            });
+        }
+
+        /**
+         * Convert the pending image with the dialog options for the before/after preview
+         * @param {Object} options - Import options (placement, tone and dither)
+         */
+        previewImageImport(options) {
+            if (!this.pendingImage) return;
+            
+            try {
+                const source = this.prepareImage(this.pendingImage.img, options);
+                const { pixels, attributes } = this.imageConverter.convert(source, options);
+                this.eventBus.emit('image-import-preview', { source, pixels, attributes });
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'Image Conversion Failed', message: error.message });
+            }
+        }
+
+        /**
+         * Convert the pending image and load it onto the canvas
+         * @param {Object} options - Import options (placement, tone and dither)
+         */
+        confirmImageImport(options) {
+            if (!this.pendingImage) {
+                this.eventBus.emit('error', { title: 'Image Import Failed', message: 'No image is waiting to be imported' });
+                return;
+            }
+            
+            try {
+                const { pixels, attributes } = this.convertImage(this.pendingImage.img, options);
+                this.eventBus.emit('file-loaded', { pixels, attributes, type: 'image' });
+                this.eventBus.emit('status', { message: `⬆ Image "${this.pendingImage.fileName}" converted`, type: 'success' });
+                this.pendingImage = null;
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'Image Conversion Failed', message: error.message });
+            }
+        }
+
+        /**
+         * Forget the image waiting in the import dialog
+         */
+        clearPendingImage() {
+            this.pendingImage = null;
+        }
+
+        /**
+         * Place an image on a 256×192 screen and apply the tone adjustments
+         * Areas the image does not cover (fit mode or offsets) are black.
+         * @param {Image} img - Image element
+         * @param {Object} options - { fit, offsetX, offsetY, snapToCells, brightness, contrast, gamma, saturation }
+         * @returns {ImageData} 256×192 image data
+         */
+        prepareImage(img, options = {}) {
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            
+            canvas.width = 256;
+            canvas.height = 192;
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(0, 0, 256, 192);
+            
+            const place = this.imageConverter.getPlacement(img.naturalWidth || img.width, img.naturalHeight || img.height, options);
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(img, place.x, place.y, place.width, place.height);
+            
+            const imageData = ctx.getImageData(0, 0, 256, 192);
+            this.imageConverter.adjustTone(imageData.data, options);
+            return imageData;
+        }
+
+        /**
+         * Convert image to pixel data
+         * Picks the best INK/PAPER/BRIGHT per 8×8 cell from the real Spectrum colours.
+         * @param {Image} img - Image element
+         * @param {Object} options - Import options (placement, tone and dither)
+         * @returns {Object} Converted pixels and attributes
+         */
+        convertImage(img, options = {}) {
+            return this.imageConverter.convert(this.prepareImage(img, options), options);
+        }
+    }
+
+    /**
+     * Application state manager
+     * @class StateManager
+     */
+    class StateManager {
+        constructor(eventBus, historyManager) {
+            this.eventBus = eventBus;
+            this.history = historyManager;
+            this.initializeState();
+        }
+
+        /**
+         * Initialize application state
+         */
+        initializeState() {
+            const { pixels, attributes } = this.createBlankScreen();
+            
+            this.state = {
+                pixels: pixels,
+                attributes: attributes,
+                zoom: 2,
+                grids: {
+                    '1x1': false,
+                    '8x8': false,
+                    '16x16': false
+                }
+            };
+        }
+
+        /**
+         * Create an empty screen (black INK on white PAPER)
+         * Optimized array creation to reduce memory allocation overhead
+         * @returns {Object} { pixels, attributes }
+         */
+        createBlankScreen() {
+            // Pre-allocate pixel array efficiently
+            const pixels = new Array(192);
+            for (let row = 0; row < 192; row++) {
+                pixels[row] = new Uint8Array(256);
+            }
+            
+            // Pre-allocate attribute array efficiently
+            const attributes = new Array(24);
+            for (let blockRow = 0; blockRow < 24; blockRow++) {
+                attributes[blockRow] = new Array(32);
+                for (let blockCol = 0; blockCol < 32; blockCol++) {
+                    attributes[blockRow][blockCol] = {
+                        ink: 0,
+                        paper: 7,
+                        bright: false,
+                        flash: false
+                    };
+                }
+            }
+            
+            return { pixels, attributes };
+        }
+
+        /**
+         * Get current state
+         * @returns {Object} Current state
+         */
+        getState() {
+            return {
+                pixels: this.state.pixels.map(row => new Uint8Array(row)),
+                attributes: this.state.attributes.map(row => row.map(attr => ({ ...attr }))),
+                zoom: this.state.zoom,
+                grids: { ...this.state.grids }
+            };
+        }
+
+        /**
+         * Set pixels without emitting events (internal use)
+         * @param {Array} pixels - Pixel data
+         */
+        setPixels(pixels) {
+            this.state.pixels = pixels.map(row => new Uint8Array(row));
+        }
+
+        /**
+         * Set attributes without emitting events (internal use)
+         * @param {Array} attributes - Attribute data
+         */
+        setAttributes(attributes) {
+            this.state.attributes = attributes.map(row => row.map(attr => ({ ...attr })));
+        }
+
+        /**
+         * Switch to another animation frame's screen and undo history
+         * @param {Array} pixels - Pixel data
+         * @param {Array} attributes - Attribute data
+         * @param {Object} history - The frame's OptimizedHistoryManager
+         */
+        setActiveFrame(pixels, attributes, history) {
+            this.history = history;
+            this.setPixels(pixels);
+            this.setAttributes(attributes);
+            this.eventBus.emit('state-changed', {
+                pixels: this.state.pixels,
+                attributes: this.state.attributes
+            });
+        }
+
+        /**
+         * Update pixels and emit state change
+         * @param {Array} pixels - Pixel data
+         */
+        updatePixels(pixels) {
+            this.setPixels(pixels);
+            this.eventBus.emit('state-changed', { pixels: this.state.pixels });
+        }
+
+        /**
+         * Update attributes and emit state change
+         * @param {Array} attributes - Attribute data
+         */
+        updateAttributes(attributes) {
+            this.setAttributes(attributes);
+            this.eventBus.emit('state-changed', { attributes: this.state.attributes });
+        }
+
+        /**
+         * Set zoom level
+         * @param {number} zoom - Zoom level
+         */
+        setZoom(zoom) {
+            this.state.zoom = Math.max(1, Math.min(16, zoom));
+            this.eventBus.emit('zoom-changed', this.state.zoom);
+        }
+
+        /**
+         * Toggle grid
+         * @param {string} type - Grid type
+         */
+        toggleGrid(type) {
+            log('StateManager toggleGrid called with:', type);
+            if (this.state.grids.hasOwnProperty(type)) {
+                this.state.grids[type] = !this.state.grids[type];
+                log(`Grid ${type} state changed to:`, this.state.grids[type]);
+                this.eventBus.emit('grid-changed', { type, enabled: this.state.grids[type] });
+                log('grid-changed event emitted');
+            } else {
+                error('Invalid grid type:', type, 'Available types:', Object.keys(this.state.grids));
+            }
+        }
+
+        /**
+         * Save state to history
+         * @param {string} type - State type
+         */
+        saveState(type = 'draw') {
+            if (this.history) {
+                log('Saving state with type:', type);
+                this.history.saveState(this.state.pixels, this.state.attributes, type);
+                this.eventBus.emit('history-saved', type);
+                log('State saved - history info:', this.history.getInfo());
+            }
+        }
+
+        /**
+         * Undo last action
+         */
+        undo() {
+            if (!this.history || !this.history.canUndo()) {
+                this.eventBus.emit('status', { message: 'Nothing to undo', type: 'warning' });
+                return;
+            }
+
+            log('Undo called - current history info:', this.history.getInfo());
+            const result = this.history.undo();
+            if (result) {
+                log('Undo successful - restored action type:', result.metadata?.actionType);
+                this.state.pixels = result.pixels;
+                this.state.attributes = result.attributes;
+                
+                log('Clearing preview canvas after undo...');
+                this.eventBus.emit('clear-preview');
+                
+                log('Emitting state-changed event after undo...');
+                this.eventBus.emit('state-changed', {
+                    pixels: this.state.pixels,
+                    attributes: this.state.attributes
+                });
+                log('State-changed event emitted');
+                
+                const info = result.info;
+                let message = `↶ Undo (${info.undoCount} more`;
+                if (info.redoCount > 0) message += `, ${info.redoCount} redo`;
+                if (info.hasPendingRedo) message += `, smart redo`;
+                message += ')';
+                
+                this.eventBus.emit('status', { message, type: 'success' });
+            } else {
+                log('Undo failed - no result returned');
+            }
+        }
+
+        /**
+         * Redo last undone action
+         */
+        redo() {
+            if (!this.history || !this.history.canRedo()) {
+                this.eventBus.emit('status', { message: 'Nothing to redo', type: 'warning' });
+                return;
+            }
+
+            const result = this.history.redo();
+            if (result) {
+                this.state.pixels = result.pixels;
+                this.state.attributes = result.attributes;
+                
+                this.eventBus.emit('state-changed', {
+                    pixels: this.state.pixels,
+                    attributes: this.state.attributes
+                });
+                
+                const info = result.info;
+                let message = `↷ Redo (${info.undoCount} undo`;
+                if (info.redoCount > 0) message += `, ${info.redoCount} more redo`;
+                message += ')';
+                
+                this.eventBus.emit('status', { message, type: 'success' });
+            }
+        }
+
+        /**
+         * Clear canvas
+         */
+        clearCanvas() {
+            this.initializeState();
+            this.eventBus.emit('state-changed', {
+                pixels: this.state.pixels,
+                attributes: this.state.attributes
+            });
+            this.eventBus.emit('status', { message: '+ Canvas cleared', type: 'success' });
+        }
+
+        /**
+         * Reset to initial state
+         */
+        reset() {
+            this.initializeState();
+            if (this.history) {
+                this.history.clear();
+            }
+            
+            this.eventBus.emit('state-changed', {
+                pixels: this.state.pixels,
+                attributes: this.state.attributes,
+                zoom: this.state.zoom,
+                grids: this.state.grids
+            });
+            
+            this.eventBus.emit('status', { message: '↻ Full Reset Complete', type: 'success' });
+        }
+    }
+
+    /**
+     * UI controller for DOM manipulation and event handling
+     * @class UIController
+     */
+    class UIController {
+        constructor(eventBus, colorManager, toolManager, canvasService, selectionManager) {
+            this.eventBus = eventBus;
+            this.colorManager = colorManager;
+            this.toolManager = toolManager;
+            this.canvasService = canvasService;
+            this.selectionManager = selectionManager;
+
+            // Glyph picker layout: 8×8 glyphs with a 1px border, 16 to a row
+            this.CHARSET_PICKER_COLUMNS = 16;
+            this.CHARSET_PICKER_CELL = 10;
+
+            this.setupEventListeners();
+            this.setupTooltips();
+        }
+
+        /**
+         * Setup event listeners
+         */
+        setupEventListeners() {
+            this.eventBus.on('color-changed', (colorState) => {
+                this.updateColorUI(colorState);
+            });
+            this.eventBus.on('tool-changed', (toolData) => this.updateToolUI(toolData));
+            this.eventBus.on('shape-changed', (shape) => this.updateShapeUI(shape));
+            this.eventBus.on('zoom-changed', (zoom) => this.updateZoomUI(zoom));
+            this.eventBus.on('grid-changed', (gridData) => this.updateGridUI(gridData));
+            this.eventBus.on('status', (statusData) => this.updateStatus(statusData));
+            this.eventBus.on('error', (errorData) => this.showError(errorData));
+            this.eventBus.on('screens-found', (foundData) => this.showScreenPicker(foundData));
+            this.eventBus.on('frames-changed', (framesData) => this.updateTimeline(framesData));
+            this.eventBus.on('frame-updated', (data) => this.updateFrameThumbnail(data.index, data.frame));
+            this.eventBus.on('charset-changed', (charsetData) => this.updateCharsetPanel(charsetData));
+            this.eventBus.on('tile-map-updated', (summary) => this.updateTileMapPanel(summary));
+            this.eventBus.on('clash-overlay-changed', (data) => this.updateClashToggle(data.enabled));
+            this.eventBus.on('clash-detected', (result) => this.updateClashCount(result.count));
+            this.eventBus.on('image-import-started', (importData) => this.showImageImport(importData));
+            this.eventBus.on('image-import-preview', (result) => this.renderImageImportPreview(result));
+            this.eventBus.on('brush-size-changed', (size) => this.updateBrushSizeUI(size));
+            this.eventBus.on('zoom-updated', (zoom) => this.updateGridOverlaySizes(zoom));
+            
+            this.setupDOMEventListeners();
+        }
+
+        /**
+         * Setup DOM event listeners
+         */
+        setupDOMEventListeners() {
+            log('setupDOMEventListeners called');
+            // Tool selection
+            document.querySelectorAll('.tool').forEach(tool => {
+                // Prevent duplicate event listeners
+                if (tool.hasAttribute('data-listeners-attached')) return;
+                tool.setAttribute('data-listeners-attached', 'true');
+                
+                const handler = (e) => {
+                    try {
+                        this.toolManager.selectTool(e.currentTarget.dataset.tool);
+                    } catch (err) {
+                        error('Error selecting tool:', err);
+                        this.eventBus.emit('error', { 
+                            title: 'Tool Selection Error', 
+                            message: 'Failed to select tool: ' + error.message 
+                        });
+                    }
+                };
+                tool.addEventListener('click', handler);
+                tool.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        handler(e);
+                    }
+                });
+                
+                // Special handling for fill tool - right-click shows advanced fill options
+                if (tool.dataset.tool === 'fill') {
+                    tool.addEventListener('contextmenu', (e) => {
+                        e.preventDefault();
+                        this.showFillContextMenu(e);
+                    });
+                }
+            });
+
+            // Shape selection
+            document.querySelectorAll('.shape-tool').forEach(tool => {
+                // Prevent duplicate event listeners
+                if (tool.hasAttribute('data-shape-listeners-attached')) return;
+                tool.setAttribute('data-shape-listeners-attached', 'true');
+                
+                const handler = (e) => {
+                    try {
+                        // Left-click selects outlined/normal shape
+                        const shapeType = e.currentTarget.dataset.shape;
+                        this.toolManager.selectShape(shapeType, { filled: false });
+                        
+                        // Update visual feedback for normal mode selection
+                        document.querySelectorAll('.shape-tool').forEach(t => {
+                            t.classList.remove('active', 'filled-mode');
+                        });
+                        e.currentTarget.classList.add('active');
+                        
+                    } catch (err) {
+                        error('Error selecting shape:', err);
+                        this.eventBus.emit('error', { 
+                            title: 'Shape Selection Error', 
+                            message: 'Failed to select shape: ' + error.message 
+                        });
+                    }
+                };
+                tool.addEventListener('click', handler);
+                
+                // Right-click for filled shape selection
+                tool.addEventListener('contextmenu', (e) => {
+                    e.preventDefault(); // Prevent context menu
+                    try {
+                        // Right-click selects filled/solid shape
+                        const shapeType = e.currentTarget.dataset.shape;
+                        this.toolManager.selectShape(shapeType, { filled: true });
+                        
+                        // Visual feedback for filled mode selection
+                        document.querySelectorAll('.shape-tool').forEach(t => {
+                            t.classList.remove('active', 'filled-mode');
+                        });
+                        e.currentTarget.classList.add('active', 'filled-mode');
+                        
+                        log(`Shape selected in filled mode: ${shapeType}`);
+                    } catch (err) {
+                        error('Error selecting filled shape:', err);
+                        this.eventBus.emit('error', { 
+                            title: 'Shape Filled Mode Error', 
+                            message: 'Failed to select filled shape: ' + error.message 
+                        });
+                    }
+                });
+                
+                tool.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        handler(e);
+                    }
+                });
+            });
+
+            // Brush size
+            const brushSize = document.getElementById('brush-size');
+            if (brushSize) {
+                brushSize.addEventListener('input', (e) => {
+                    this.toolManager.setBrushSize(parseInt(e.target.value));
+                });
+            }
+
+            // Brush shape toggle
+            const brushShapeToggle = document.getElementById('brush-shape');
+            if (brushShapeToggle) {
+                brushShapeToggle.addEventListener('change', (e) => {
+                    const brushShape = e.target.checked ? 'square' : 'round';
+                    this.toolManager.setBrushShape(brushShape);
+                });
+            }
+
+            // Attribute write/keep toggles
+            document.querySelectorAll('[data-attribute-write]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.colorManager.toggleAttributeWrite(button.dataset.attributeWrite);
+                });
+            });
+
+            // Paint mode
+            const paintMode = document.getElementById('paint-mode');
+            if (paintMode) {
+                paintMode.addEventListener('change', (e) => {
+                    this.colorManager.setPaintMode(e.target.value);
+                });
+            }
+
+            // Eyedropper mode
+            const eyedropperMode = document.getElementById('eyedropper-mode');
+            if (eyedropperMode) {
+                eyedropperMode.addEventListener('change', (e) => {
+                    this.toolManager.setEyedropperMode(e.target.value);
+                });
+            }
+
+            // Selection options and block actions
+            const cellSnapToggle = document.getElementById('selection-cell-snap');
+            if (cellSnapToggle) {
+                cellSnapToggle.addEventListener('change', (e) => {
+                    this.eventBus.emit('selection-cell-mode', e.target.checked);
+                });
+            }
+            document.querySelectorAll('[data-selection-action]').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.eventBus.emit(`selection-${btn.dataset.selectionAction}`);
+                });
+            });
+
+            // Glyph editor
+            const charsetMode = document.getElementById('charset-mode');
+            if (charsetMode) {
+                charsetMode.addEventListener('change', (e) => {
+                    this.eventBus.emit('charset-mode', e.target.value);
+                });
+            }
+            document.querySelectorAll('[data-charset-action]').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    const action = btn.dataset.charsetAction;
+                    this.eventBus.emit(action === 'reset' ? 'charset-reset' : 'charset-transform', action);
+                });
+            });
+            this.setupCharsetEditorListeners();
+
+            // Text tool options
+            document.querySelectorAll('[data-text-option]').forEach(input => {
+                input.addEventListener(input.type === 'text' ? 'input' : 'change', () => {
+                    const value = input.type === 'checkbox' ? input.checked : input.value;
+                    this.eventBus.emit('text-options-changed', { [input.dataset.textOption]: value });
+                });
+            });
+
+            // Tile map options
+            document.querySelectorAll('[data-tile-option]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const value = input.type === 'checkbox' ? input.checked : input.value;
+                    this.eventBus.emit('tile-map-options', { [input.dataset.tileOption]: value });
+                });
+            });
+
+            // Clash overlay
+            const clashToggle = document.getElementById('btn-clash-overlay');
+            if (clashToggle) {
+                clashToggle.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.eventBus.emit('clash-overlay-toggle');
+                });
+            }
+
+            // Animation timeline
+            document.querySelectorAll('[data-frame-action]').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    const action = btn.dataset.frameAction;
+                    if (action === 'move-left' || action === 'move-right') {
+                        this.eventBus.emit('frame-move', action === 'move-left' ? -1 : 1);
+                    } else {
+                        this.eventBus.emit(`frame-${action}`);
+                    }
+                });
+            });
+            const fpsInput = document.getElementById('timeline-fps');
+            if (fpsInput) {
+                fpsInput.addEventListener('change', (e) => {
+                    this.eventBus.emit('frame-fps', parseInt(e.target.value, 10));
+                });
+            }
+            document.querySelectorAll('[data-onion-option]').forEach(input => {
+                input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+                    const option = input.dataset.onionOption;
+                    let value;
+                    if (input.type === 'checkbox') {
+                        value = input.checked;
+                    } else if (option === 'opacity') {
+                        value = parseInt(input.value, 10) / 100;
+                    } else {
+                        value = parseInt(input.value, 10);
+                    }
+                    this.eventBus.emit('onion-skin-changed', { [option]: value });
+                });
+            });
+
+            // Image import options refresh the preview as they change
+            document.querySelectorAll('[data-import-option]').forEach(input => {
+                input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+                    this.updateImportValueLabel(input);
+                    this.scheduleImageImportPreview();
+                });
+            });
+
+            // Zoom
+            const zoomSlider = document.getElementById('zoom');
+            if (zoomSlider) {
+                zoomSlider.addEventListener('input', (e) => {
+                    this.eventBus.emit('zoom-requested', parseFloat(e.target.value));
+                });
+            }
+
+            // Canvas events and grid buttons - defer to allow DOM to be ready
+            setTimeout(() => {
+                this.setupCanvasEventListeners();
+                this.setupGridButtonListeners();
+            }, 100);
+            
+            // Keyboard events
+            document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        }
+
+        /**
+         * Setup grid button event listeners
+         */
+        setupGridButtonListeners() {
+            log('Setting up grid button event listeners...');
+            const gridButtons = ['1x1', '8x8', '16x16'];
+            gridButtons.forEach(gridType => {
+                const btnEl = document.getElementById(`btn-grid-${gridType}`);
+                log(`Looking for button: btn-grid-${gridType}`, btnEl);
+                if (btnEl) {
+                    // Prevent duplicate event listeners
+                    if (btnEl.hasAttribute('data-grid-listeners-attached')) {
+                        log(`Button btn-grid-${gridType} already has listeners attached`);
+                        return;
+                    }
+                    btnEl.setAttribute('data-grid-listeners-attached', 'true');
+                    
+                    const handler = (e) => {
+                        log(`Grid button ${gridType} clicked!`);
+                        try {
+                            e.preventDefault();
+                            this.eventBus.emit('grid-toggle', gridType);
+                        } catch (err) {
+                            error('Error toggling grid:', err);
+                            this.eventBus.emit('error', { 
+                                title: 'Grid Toggle Error', 
+                                message: 'Failed to toggle grid: ' + error.message 
+                            });
+                        }
+                    };
+                    
+                    btnEl.addEventListener('click', handler);
+                    btnEl.addEventListener('keydown', (e) => {
+                        if (e.key === 'Enter' || e.key === ' ') {
+                            e.preventDefault();
+                            handler(e);
+                        }
+                    });
+                    log(`Event listeners attached to btn-grid-${gridType}`);
+                } else {
+                    error(`Button btn-grid-${gridType} not found in DOM`);
+                }
+            });
+        }
+
+        /**
+         * Setup canvas event listeners
+         */
+        setupCanvasEventListeners() {
+            if (!this.canvasService.ensureCanvasInitialized()) {
+                warn('Cannot setup canvas event listeners - canvas not initialized');
+                return;
+            }
+            
+            const canvas = this.canvasService.canvas;
+            if (!canvas) {
+                throw new Error('Canvas not available for event listeners');
+            }
+            
+            canvas.addEventListener('mousedown', (e) => {
+                const pos = this.canvasService.getMousePosition(e);
+                if (pos && pos.inExtendedBounds) {
+                    // Alt-click picks colours whatever the tool
+                    if (e.altKey && e.button === 0) {
+                        e.preventDefault();
+                        this.toolManager.pickColor(pos);
+                        return;
+                    }
+                    this.toolManager.startDrawing(pos, e.button === 2);
+                }
+            });
+
+            canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+            document.addEventListener('mousemove', (e) => {
+                const pos = this.canvasService.getMousePosition(e);
+                if (pos) {
+                    this.updateCursor(pos);
+                    this.toolManager.continueDrawing(pos);
+                }
+            });
+
+            document.addEventListener('mouseup', () => {
+                this.toolManager.stopDrawing();
+            });
+        }
+
+        /**
+         * Update color UI
+         * @param {Object} colorState - Color state
+         */
+        updateColorUI(colorState) {
+            this.createPalette();
+            this.updateColorIndicator(colorState);
+        }
+
+        /**
+         * Create color palette
+         */
+        createPalette() {
+            const palette = document.getElementById('palette');
+            if (!palette) {
+                error('Palette element not found! Make sure the DOM is loaded.');
+                return;
+            }
+
+            palette.innerHTML = '';
+            const fragment = document.createDocumentFragment();
+
+            this.colorManager.ZX_COLORS.forEach((color, index) => {
+                const swatch = this.createColorSwatch(color, index);
+                fragment.appendChild(swatch);
+            });
+
+            palette.appendChild(fragment);
+        }
+
+        /**
+         * Create color swatch element
+         * @param {Object} color - Color definition
+         * @param {number} index - Color index
+         * @returns {HTMLElement} Color swatch element
+         */
+        createColorSwatch(color, index) {
+            const swatch = document.createElement('div');
+            swatch.className = 'color';
+            
+            const colorState = this.colorManager.getState();
+            swatch.style.backgroundColor = this.colorManager.getColorHex(index, false);
+            
+            swatch.setAttribute('role', 'button');
+            swatch.setAttribute('aria-label', `${color.name} color`);
+            swatch.setAttribute('tabindex', '0');
+
+            const isInk = index === colorState.ink;
+            const isPaper = index === colorState.paper;
+            
+            let tooltip = `${color.name} - Left click: INK, Right click: PAPER`;
+            if (isInk && isPaper) {
+                tooltip = `${color.name} - Currently both INK & PAPER`;
+            } else if (isInk) {
+                tooltip = `${color.name} - Currently INK`;
+            } else if (isPaper) {
+                tooltip = `${color.name} - Currently PAPER`;
+            }
+            
+            swatch.title = tooltip;
+
+            swatch.addEventListener('click', () => this.colorManager.setInk(index));
+            swatch.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.colorManager.setPaper(index);
+            });
+            
+            swatch.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.colorManager.setPaper(index);
+                    } else {
+                        this.colorManager.setInk(index);
+                    }
+                }
+            });
+
+            return swatch;
+        }
+
+        /**
+         * Unified UI update method - handles multiple UI update scenarios
+         * @param {string} type - Update type: 'color', 'tool', 'shape', 'zoom', 'brush', 'grid'
+         * @param {*} data - Data relevant to the update type
+         * @param {Object} options - Additional options for the update
+         */
+        updateUI(type, data, options = {}) {
+            try {
+                const handlers = {
+                    'color': (colorState) => this._updateColorHandler(colorState),
+                    'tool': (toolData) => this._updateToolHandler(toolData),
+                    'shape': (shape) => this._updateShapeHandler(shape),
+                    'zoom': (zoom) => this._updateZoomHandler(zoom),
+                    'brush': (size) => this._updateBrushHandler(size),
+                    'grid': (gridData) => this._updateGridHandler(gridData)
+                };
+                
+                const handler = handlers[type];
+                if (handler) {
+                    return handler(data, options);
+                } else {
+                    warn(`Unknown UI update type: ${type}`);
+                    return false;
+                }
+            } catch (err) {
+                error(`Error in updateUI(${type}):`, err);
+                throw err;
+            }
+        }
+
+        /**
+         * Handle color UI updates
+         * @private
+         */
+        _updateColorHandler(colorState) {
+            const indicator = document.getElementById('color-indicator');
+            if (!indicator) return false;
+
+            const inkColor = this.colorManager.getColorHex(colorState.ink, false);
+            const paperColor = this.colorManager.getColorHex(colorState.paper, false);
+
+            indicator.style.setProperty('--ink-color', inkColor);
+            indicator.style.setProperty('--paper-color', paperColor);
+            
+            indicator.classList.remove('ink-disabled', 'paper-disabled');
+            
+            if (!colorState.inkEnabled) indicator.classList.add('ink-disabled');
+            if (!colorState.paperEnabled) indicator.classList.add('paper-disabled');
+
+            const inkName = this.colorManager.ZX_COLORS[colorState.ink].name;
+            const paperName = this.colorManager.ZX_COLORS[colorState.paper].name;
+            indicator.title = `INK: ${inkName} • PAPER: ${paperName}`;
+
+            const paintMode = document.getElementById('paint-mode');
+            if (paintMode) paintMode.value = colorState.paintMode;
+
+            document.querySelectorAll('[data-attribute-write]').forEach(button => {
+                const write = colorState[`${button.dataset.attributeWrite}Enabled`];
+                button.classList.toggle('active', write);
+                button.setAttribute('aria-pressed', write);
+            });
+
+            // BRIGHT and FLASH can change without a click on their buttons (eyedropper)
+            [['bright-toggle', colorState.bright], ['flash-toggle', colorState.flash]].forEach(([id, active]) => {
+                const button = document.getElementById(id);
+                if (button) {
+                    button.classList.toggle('active', active);
+                    button.setAttribute('aria-pressed', active);
+                }
+            });
+            return true;
+        }
+
+        /**
+         * Handle tool UI updates
+         * @private
+         */
+        _updateToolHandler(toolData) {
+            document.querySelectorAll('.tool').forEach(t => t.classList.remove('active'));
+            
+            const toolEl = document.querySelector(`[data-tool="${toolData.tool}"]`);
+            if (toolEl) {
+                toolEl.classList.add('active');
+            } else {
+                warn('Tool element not found for:', toolData.tool);
+                return false;
+            }
+
+            const selectionSection = document.getElementById('selection-tools-section');
+            if (selectionSection) {
+                selectionSection.style.display = toolData.tool === 'select' ? 'block' : 'none';
+            }
+
+            const charsetSection = document.getElementById('charset-tools-section');
+            if (charsetSection) {
+                charsetSection.style.display = toolData.tool === 'glyph' ? 'block' : 'none';
+            }
+
+            const textSection = document.getElementById('text-tools-section');
+            if (textSection) {
+                textSection.style.display = toolData.tool === 'text' ? 'block' : 'none';
+            }
+
+            if (this.canvasService.ensureCanvasInitialized()) {
+                const canvas = this.canvasService.canvas;
+                if (canvas) canvas.style.cursor = toolData.cursor;
+            } else {
+                warn('Failed to initialize canvas for cursor update');
+            }
+            return true;
+        }
+
+        /**
+         * Handle shape UI updates
+         * @private
+         */
+        _updateShapeHandler(shape) {
+            document.querySelectorAll('.shape-tool').forEach(t => t.classList.remove('active'));
+            const shapeEl = document.querySelector(`[data-shape="${shape}"]`);
+            if (shapeEl) {
+                shapeEl.classList.add('active');
+                return true;
+            }
+            return false;
+        }
+
+        /**
+         * Handle zoom UI updates
+         * @private
+         */
+        _updateZoomHandler(zoom) {
+            const zoomSlider = document.getElementById('zoom');
+            const zoomDisplay = document.getElementById('zoom-display');
+            
+            if (zoomSlider) zoomSlider.value = zoom;
+            if (zoomDisplay) zoomDisplay.textContent = Math.round(zoom * 100) + '%';
+            return true;
+        }
+
+        /**
+         * Handle brush size UI updates
+         * @private
+         */
+        _updateBrushHandler(size) {
+            const brushSlider = document.getElementById('brush-size');
+            const sizeDisplay = document.getElementById('size-display');
+            
+            if (brushSlider) brushSlider.value = size;
+            if (sizeDisplay) sizeDisplay.textContent = size + 'px';
+            return true;
+        }
+
+        /**
+         * Handle grid UI updates
+         * @private
+         */
+        _updateGridHandler(gridData) {
+            const gridEl = document.getElementById(`grid-${gridData.type}`);
+            const btnEl = document.getElementById(`btn-grid-${gridData.type}`);
+            
+            if (gridEl) {
+                gridEl.classList.toggle('active', gridData.enabled);
+            }
+            
+            if (btnEl) {
+                btnEl.classList.toggle('active', gridData.enabled);
+            }
+            return true;
+        }
+
+        // Backward compatibility methods (deprecated)
+        updateColorIndicator(colorState) { return this.updateUI('color', colorState); }
+        updateToolUI(toolData) { return this.updateUI('tool', toolData); }
+        updateShapeUI(shape) { return this.updateUI('shape', shape); }
+        updateZoomUI(zoom) { return this.updateUI('zoom', zoom); }
+        updateBrushSizeUI(size) { return this.updateUI('brush', size); }
+        updateGridUI(gridData) { return this.updateUI('grid', gridData); }
+
+        /**
+         * Light up button animation
+         * @param {string|HTMLElement} target - Button selector or element
+         * @param {string} type - Animation type: 'default', 'success', 'warning', 'danger'
+         * @param {number} duration - Animation duration in milliseconds (default 600)
+         */
+        lightUp(target, type = 'default', duration = 600) {
+            let element;
+            
+            // Handle both selector strings and direct element references
+            if (typeof target === 'string') {
+                element = document.querySelector(target);
+            } else if (target instanceof HTMLElement) {
+                element = target;
+            }
+            
+            if (!element) {
+                warn('LightUp: Target element not found:', target);
+                return;
+            }
+            
+            // Remove any existing light-up classes
+            element.classList.remove('light-up', 'light-up-success', 'light-up-warning', 'light-up-danger');
+            
+            // Add the appropriate light-up class
+            const classMap = {
+                'default': 'light-up',
+                'success': 'light-up-success', 
+                'warning': 'light-up-warning',
+                'danger': 'light-up-danger'
+            };
+            
+            const lightUpClass = classMap[type] || 'light-up';
+            element.classList.add(lightUpClass);
+            
+            // Remove the class after animation completes
+            setTimeout(() => {
+                element.classList.remove(lightUpClass);
+            }, duration);
+            
+            // Emit event for potential listeners
+            this.eventBus.emit('button-light-up', {
+                element,
+                type,
+                duration,
+                timestamp: Date.now()
+            });
+        }
+
+        /**
+         * Update grid sizes based on zoom level
+         * @param {number} zoom - Current zoom level
+         */
+        updateGridOverlaySizes(zoom) {
+            const root = document.documentElement;
+            
+            // Calculate grid sizes based on zoom
+            // Use Math.round to ensure whole pixel values for better alignment
+            const pixel1x1Size = Math.round(1 * zoom);
+            const pixel8x8Size = Math.round(8 * zoom);
+            const pixel16x16Size = Math.round(16 * zoom);
+            
+            // Update CSS variables for grid background sizes
+            root.style.setProperty('--grid-1x1-size', `${pixel1x1Size}px`);
+            root.style.setProperty('--grid-8x8-size', `${pixel8x8Size}px`);
+            root.style.setProperty('--grid-16x16-size', `${pixel16x16Size}px`);
+            
+            // Adjust 1x1 grid opacity based on zoom for better visibility
+            let opacity = 1.0;
+            if (zoom <= 2) {
+                opacity = 0.3;
+            } else if (zoom <= 4) {
+                opacity = 0.6;
+            } else {
+                opacity = 1.0;
             }
+            root.style.setProperty('--grid-1x1-opacity', opacity);
+        }
 
-            // Brush shape toggle
-            const brushShapeToggle = document.getElementById('brush-shape');
-            if (brushShapeToggle) {
-                brushShapeToggle.addEventListener('change', (e) => {
-                    const brushShape = e.target.checked ? 'square' : 'round';
-                    this.toolManager.setBrushShape(brushShape);
-                });
+        /**
+         * Update status display
+         * @param {Object} statusData - Status data
+         */
+        updateStatus(statusData) {
+            const statusEl = document.getElementById('status');
+            const dotEl = document.getElementById('statusDot');
+            
+            if (statusEl) statusEl.textContent = statusData.message;
+            if (dotEl) {
+                dotEl.className = `status-dot ${statusData.type === 'error' ? 'error' : statusData.type === 'warning' ? 'warning' : ''}`;
             }
+        }
 
-            // Zoom
-            const zoomSlider = document.getElementById('zoom');
-            if (zoomSlider) {
-                zoomSlider.addEventListener('input', (e) => {
-                    this.eventBus.emit('zoom-requested', parseFloat(e.target.value));
-                });
+        /**
+         * Show error dialog
+         * @param {Object} errorData - Error data
+         */
+        showError(errorData) {
+            const modal = document.getElementById('errorModal');
+            const titleEl = document.getElementById('errorTitle');
+            const msgEl = document.getElementById('errorMessage');
+            
+            if (modal && titleEl && msgEl) {
+                titleEl.textContent = errorData.title;
+                msgEl.textContent = errorData.message;
+                modal.style.display = 'flex';
             }
+        }
 
-            // Canvas events and grid buttons - defer to allow DOM to be ready
-            setTimeout(() => {
-                this.setupCanvasEventListeners();
-                this.setupGridButtonListeners();
-            }, 100);
-            
-            // Keyboard events
-            document.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        /**
+         * Hide error dialog
+         */
+        hideError() {
+            const modal = document.getElementById('errorModal');
+            if (modal) modal.style.display = 'none';
         }
 
         /**
-         * Setup grid button event listeners
+         * Show the screen picker with a thumbnail for every screen found in a tape or snapshot
+         * @param {Object} foundData - { fileName, type, screens }
          */
-        setupGridButtonListeners() {
-            log('Setting up grid button event listeners...');
-            const gridButtons = ['1x1', '8x8', '16x16'];
-            gridButtons.forEach(gridType => {
-                const btnEl = document.getElementById(`btn-grid-${gridType}`);
-                log(`Looking for button: btn-grid-${gridType}`, btnEl);
-                if (btnEl) {
-                    // Prevent duplicate event listeners
-                    if (btnEl.hasAttribute('data-grid-listeners-attached')) {
-                        log(`Button btn-grid-${gridType} already has listeners attached`);
-                        return;
-                    }
-                    btnEl.setAttribute('data-grid-listeners-attached', 'true');
-                    
-                    const handler = (e) => {
-                        log(`Grid button ${gridType} clicked!`);
-                        try {
-                            e.preventDefault();
-                            this.eventBus.emit('grid-toggle', gridType);
-                        } catch (err) {
-                            error('Error toggling grid:', err);
-                            this.eventBus.emit('error', { 
-                                title: 'Grid Toggle Error', 
-                                message: 'Failed to toggle grid: ' + error.message 
-                            });
-                        }
-                    };
-                    
-                    btnEl.addEventListener('click', handler);
-                    btnEl.addEventListener('keydown', (e) => {
-                        if (e.key === 'Enter' || e.key === ' ') {
-                            e.preventDefault();
-                            handler(e);
-                        }
-                    });
-                    log(`Event listeners attached to btn-grid-${gridType}`);
-                } else {
-                    error(`Button btn-grid-${gridType} not found in DOM`);
-                }
+        showScreenPicker(foundData) {
+            const modal = document.getElementById('screenPickerModal');
+            const titleEl = document.getElementById('screenPickerTitle');
+            const listEl = document.getElementById('screenPickerList');
+            if (!modal || !listEl) return;
+
+            if (titleEl) titleEl.textContent = `${foundData.fileName} - ${foundData.screens.length} screens`;
+            listEl.innerHTML = '';
+
+            const colorCaches = this.colorManager.getAllRgbCache();
+            foundData.screens.forEach((screen, index) => {
+                const item = document.createElement('button');
+                item.className = 'screen-picker-item';
+                item.type = 'button';
+
+                const thumb = document.createElement('canvas');
+                thumb.width = this.canvasService.SCREEN.WIDTH;
+                thumb.height = this.canvasService.SCREEN.HEIGHT;
+                const thumbCtx = thumb.getContext('2d');
+                const imageData = thumbCtx.createImageData(thumb.width, thumb.height);
+                this.canvasService.renderPixels(imageData.data, screen.pixels, screen.attributes, colorCaches);
+                thumbCtx.putImageData(imageData, 0, 0);
+
+                const label = document.createElement('span');
+                label.className = 'screen-picker-label';
+                label.textContent = screen.warning ? `${screen.label} ⚠ ${screen.warning}` : screen.label;
+
+                item.appendChild(thumb);
+                item.appendChild(label);
+                item.addEventListener('click', () => {
+                    this.hideScreenPicker();
+                    this.eventBus.emit('found-screen-selected', index);
+                });
+                listEl.appendChild(item);
             });
+
+            modal.style.display = 'flex';
         }
 
         /**
-         * Setup canvas event listeners
+         * Hide the screen picker
+         * @param {boolean} cancelled - Whether the user dismissed the picker
          */
-        setupCanvasEventListeners() {
-            if (!this.canvasService.ensureCanvasInitialized()) {
-                warn('Cannot setup canvas event listeners - canvas not initialized');
-                return;
+        hideScreenPicker(cancelled = false) {
+            const modal = document.getElementById('screenPickerModal');
+            if (modal) modal.style.display = 'none';
+            if (cancelled) {
+                this.eventBus.emit('found-screen-cancelled');
+                this.eventBus.emit('status', { message: 'Screen load cancelled', type: 'info' });
             }
-            
-            const canvas = this.canvasService.canvas;
-            if (!canvas) {
-                throw new Error('Canvas not available for event listeners');
+        }
+
+        /**
+         * Update the animation timeline
+         * Thumbnails are only rebuilt when frames are added, removed or reordered.
+         * @param {Object} framesData - { frameIds, activeIndex, playing, fps, getFrame }
+         */
+        updateTimeline(framesData) {
+            const listEl = document.getElementById('timeline-frames');
+            if (!listEl) return;
+
+            const order = framesData.frameIds.join(',');
+            if (listEl.dataset.order !== order) {
+                listEl.dataset.order = order;
+                listEl.innerHTML = '';
+
+                framesData.frameIds.forEach((id, index) => {
+                    const item = document.createElement('button');
+                    item.className = 'timeline-frame';
+                    item.type = 'button';
+                    item.title = `Frame ${index + 1}`;
+                    item.setAttribute('aria-label', `Edit frame ${index + 1}`);
+
+                    const thumb = document.createElement('canvas');
+                    thumb.width = this.canvasService.SCREEN.WIDTH;
+                    thumb.height = this.canvasService.SCREEN.HEIGHT;
+
+                    const label = document.createElement('span');
+                    label.className = 'timeline-frame-label';
+                    label.textContent = index + 1;
+
+                    item.appendChild(thumb);
+                    item.appendChild(label);
+                    item.addEventListener('click', () => this.eventBus.emit('frame-select', index));
+                    listEl.appendChild(item);
+
+                    this.updateFrameThumbnail(index, framesData.getFrame(index));
+                });
             }
-            
-            canvas.addEventListener('mousedown', (e) => {
-                const pos = this.canvasService.getMousePosition(e);
-                if (pos && pos.inExtendedBounds) {
-                    this.toolManager.startDrawing(pos, e.button === 2);
+
+            Array.from(listEl.children).forEach((item, index) => {
+                const active = index === framesData.activeIndex;
+                item.classList.toggle('active', active);
+                item.setAttribute('aria-pressed', active);
+                if (active && framesData.playing) {
+                    item.scrollIntoView({ block: 'nearest', inline: 'nearest' });
                 }
             });
 
-            canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+            const countEl = document.getElementById('timeline-count');
+            if (countEl) countEl.textContent = `${framesData.activeIndex + 1}/${framesData.frameIds.length}`;
 
-            document.addEventListener('mousemove', (e) => {
-                const pos = this.canvasService.getMousePosition(e);
-                if (pos) {
-                    this.updateCursor(pos);
-                    this.toolManager.continueDrawing(pos);
-                }
-            });
+            const playBtn = document.querySelector('[data-frame-action="play-toggle"]');
+            if (playBtn) {
+                playBtn.textContent = framesData.playing ? '■ Stop' : '▶ Play';
+                playBtn.classList.toggle('active', framesData.playing);
+            }
+
+            const fpsInput = document.getElementById('timeline-fps');
+            if (fpsInput && document.activeElement !== fpsInput) {
+                fpsInput.value = framesData.fps;
+            }
+        }
+
+        /**
+         * Wire up the glyph picker and the 8×8 editing grid
+         * Left button draws INK, right button PAPER, and both paint while dragged.
+         */
+        setupCharsetEditorListeners() {
+            const picker = document.getElementById('charset-glyphs');
+            if (picker) {
+                picker.addEventListener('click', (e) => {
+                    const rect = picker.getBoundingClientRect();
+                    const cell = this.CHARSET_PICKER_CELL;
+                    const column = Math.floor((e.clientX - rect.left) / rect.width * picker.width / cell);
+                    const row = Math.floor((e.clientY - rect.top) / rect.height * picker.height / cell);
+                    this.eventBus.emit('charset-select', row * this.CHARSET_PICKER_COLUMNS + column);
+                });
+            }
+
+            const editor = document.getElementById('charset-editor');
+            if (!editor) return;
+
+            let paintValue = null;
+            const paint = (e) => {
+                const rect = editor.getBoundingClientRect();
+                const x = Math.floor((e.clientX - rect.left) / rect.width * 8);
+                const y = Math.floor((e.clientY - rect.top) / rect.height * 8);
+                this.eventBus.emit('charset-pixel', { x, y, value: paintValue });
+            };
 
+            editor.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                paintValue = e.button === 2 ? 0 : 1;
+                paint(e);
+            });
+            editor.addEventListener('mousemove', (e) => {
+                if (paintValue !== null) paint(e);
+            });
+            editor.addEventListener('contextmenu', (e) => e.preventDefault());
             document.addEventListener('mouseup', () => {
-                this.toolManager.stopDrawing();
+                paintValue = null;
             });
         }
 
         /**
-         * Update color UI
-         * @param {Object} colorState - Color state
+         * Redraw the glyph picker and editing grid
+         * @param {Object} charsetData - { mode, selected, count, glyphs, label }
          */
-        updateColorUI(colorState) {
-            this.createPalette();
-            this.updateColorIndicator(colorState);
+        updateCharsetPanel(charsetData) {
+            const ink = this.colorManager.getColorHex(0, false);
+            const paper = this.colorManager.getColorHex(7, false);
+            const glyphAt = (index) => charsetData.glyphs.subarray(index * 8, index * 8 + 8);
+
+            const modeSelect = document.getElementById('charset-mode');
+            if (modeSelect) modeSelect.value = charsetData.mode;
+
+            const labelEl = document.getElementById('charset-glyph-label');
+            if (labelEl) labelEl.textContent = charsetData.label;
+
+            const picker = document.getElementById('charset-glyphs');
+            if (picker) {
+                const cell = this.CHARSET_PICKER_CELL;
+                picker.width = this.CHARSET_PICKER_COLUMNS * cell;
+                picker.height = Math.ceil(charsetData.count / this.CHARSET_PICKER_COLUMNS) * cell;
+
+                const ctx = picker.getContext('2d');
+                ctx.fillStyle = '#111827';
+                ctx.fillRect(0, 0, picker.width, picker.height);
+
+                for (let index = 0; index < charsetData.count; index++) {
+                    const left = (index % this.CHARSET_PICKER_COLUMNS) * cell + 1;
+                    const top = Math.floor(index / this.CHARSET_PICKER_COLUMNS) * cell + 1;
+                    // The selected glyph is shown inverse, like the Spectrum's cursor
+                    const selected = index === charsetData.selected;
+                    this.drawGlyphPixels(ctx, glyphAt(index), left, top, 1, selected ? paper : ink, selected ? ink : paper);
+                }
+            }
+
+            const editor = document.getElementById('charset-editor');
+            if (editor) {
+                const size = editor.width / 8;
+                const ctx = editor.getContext('2d');
+                ctx.fillStyle = '#374151';
+                ctx.fillRect(0, 0, editor.width, editor.height);
+                this.drawGlyphPixels(ctx, glyphAt(charsetData.selected), 0, 0, size, ink, paper, 1);
+            }
         }
 
         /**
-         * Create color palette
+         * Show the tile count in the Tile Map panel
+         * @param {Object} summary - { enabled, tileSize, linked, uniqueCount, total, tilesetBytes, mapBytes }
          */
-        createPalette() {
-            const palette = document.getElementById('palette');
-            if (!palette) {
-                error('Palette element not found! Make sure the DOM is loaded.');
-                return;
-            }
+        updateTileMapPanel(summary) {
+            const enabledToggle = document.getElementById('tile-map-enabled');
+            if (enabledToggle) enabledToggle.checked = summary.enabled;
 
-            palette.innerHTML = '';
-            const fragment = document.createDocumentFragment();
+            const sizeSelect = document.getElementById('tile-map-size');
+            if (sizeSelect) sizeSelect.value = String(summary.tileSize);
 
-            this.colorManager.ZX_COLORS.forEach((color, index) => {
-                const swatch = this.createColorSwatch(color, index);
-                fragment.appendChild(swatch);
-            });
+            const linkedToggle = document.getElementById('tile-map-linked');
+            if (linkedToggle) {
+                linkedToggle.checked = summary.linked;
+                linkedToggle.disabled = !summary.enabled;
+            }
 
-            palette.appendChild(fragment);
+            const infoEl = document.getElementById('tile-map-info');
+            if (infoEl) {
+                infoEl.textContent = summary.enabled
+                    ? `${summary.uniqueCount} unique of ${summary.total} tiles • ${summary.tilesetBytes + summary.mapBytes} bytes`
+                    : 'Off';
+            }
         }
 
         /**
-         * Create color swatch element
-         * @param {Object} color - Color definition
-         * @param {number} index - Color index
-         * @returns {HTMLElement} Color swatch element
+         * Reflect the clash overlay state on its status bar button
+         * @param {boolean} enabled - Overlay on
          */
-        createColorSwatch(color, index) {
-            const swatch = document.createElement('div');
-            swatch.className = 'color';
-            
-            const colorState = this.colorManager.getState();
-            swatch.style.backgroundColor = this.colorManager.getColorHex(index, false);
-            
-            swatch.setAttribute('role', 'button');
-            swatch.setAttribute('aria-label', `${color.name} color`);
-            swatch.setAttribute('tabindex', '0');
+        updateClashToggle(enabled) {
+            const btnEl = document.getElementById('btn-clash-overlay');
+            if (btnEl) {
+                btnEl.classList.toggle('active', enabled);
+                btnEl.setAttribute('aria-pressed', enabled);
+            }
+            if (!enabled) this.updateClashCount(0);
+        }
 
-            const isInk = index === colorState.ink;
-            const isPaper = index === colorState.paper;
-            
-            let tooltip = `${color.name} - Left click: INK, Right click: PAPER`;
-            if (isInk && isPaper) {
-                tooltip = `${color.name} - Currently both INK & PAPER`;
-            } else if (isInk) {
-                tooltip = `${color.name} - Currently INK`;
-            } else if (isPaper) {
-                tooltip = `${color.name} - Currently PAPER`;
+        /**
+         * Show how many cells the pending edit would clash
+         * @param {number} count - Clashing cells
+         */
+        updateClashCount(count) {
+            const countEl = document.getElementById('clash-count');
+            if (countEl) {
+                countEl.textContent = count ? `⚠ ${count} cell${count === 1 ? '' : 's'} clash` : '';
             }
-            
-            swatch.title = tooltip;
+        }
 
-            swatch.addEventListener('click', () => this.colorManager.setInk(index));
-            swatch.addEventListener('contextmenu', (e) => {
-                e.preventDefault();
-                this.colorManager.setPaper(index);
-            });
-            
-            swatch.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    if (e.shiftKey) {
-                        this.colorManager.setPaper(index);
-                    } else {
-                        this.colorManager.setInk(index);
-                    }
+        /**
+         * Draw one glyph onto a canvas
+         * @param {CanvasRenderingContext2D} ctx - Target context
+         * @param {Uint8Array} glyph - 8 glyph rows
+         * @param {number} left - X position
+         * @param {number} top - Y position
+         * @param {number} size - Size of one glyph pixel
+         * @param {string} ink - INK colour
+         * @param {string} paper - PAPER colour
+         * @param {number} gap - Gap left between pixels for a grid effect
+         */
+        drawGlyphPixels(ctx, glyph, left, top, size, ink, paper, gap = 0) {
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) {
+                    ctx.fillStyle = (glyph[y] << x) & 0x80 ? ink : paper;
+                    ctx.fillRect(left + x * size, top + y * size, size - gap, size - gap);
                 }
-            });
+            }
+        }
+
+        /**
+         * Redraw one timeline thumbnail
+         * @param {number} index - Frame index
+         * @param {Object} frame - { pixels, attributes }
+         */
+        updateFrameThumbnail(index, frame) {
+            const listEl = document.getElementById('timeline-frames');
+            const item = listEl && listEl.children[index];
+            if (!item || !frame) return;
+
+            const thumb = item.querySelector('canvas');
+            const ctx = thumb.getContext('2d');
+            const imageData = ctx.createImageData(thumb.width, thumb.height);
+            this.canvasService.renderPixels(imageData.data, frame.pixels, frame.attributes, this.colorManager.getAllRgbCache(), false);
+            ctx.putImageData(imageData, 0, 0);
+        }
+
+        /**
+         * Show the image import dialog and render the first preview
+         * @param {Object} importData - { fileName, ditherModes }
+         */
+        showImageImport(importData) {
+            const modal = document.getElementById('imageImportModal');
+            if (!modal) return;
+
+            const titleEl = document.getElementById('imageImportTitle');
+            if (titleEl) titleEl.textContent = `Import ${importData.fileName}`;
+
+            const ditherSelect = document.getElementById('importDither');
+            if (ditherSelect && ditherSelect.options.length === 0) {
+                importData.ditherModes.forEach(mode => {
+                    const option = document.createElement('option');
+                    option.value = mode.id;
+                    option.textContent = mode.name;
+                    ditherSelect.appendChild(option);
+                });
+            }
+
+            modal.style.display = 'flex';
+            this.scheduleImageImportPreview();
+        }
+
+        /**
+         * Read the import options from the dialog
+         * Slider percentages are converted to the fractions ImageConverter expects.
+         * @returns {Object} { fit, offsetX, offsetY, snapToCells, brightness, contrast, gamma, saturation, dither, strength }
+         */
+        getImageImportOptions() {
+            const value = (id, fallback) => {
+                const el = document.getElementById(id);
+                return el && el.value !== '' ? el.value : fallback;
+            };
+            const number = (id, fallback) => parseFloat(value(id, fallback));
+            const snapToggle = document.getElementById('importSnap');
+
+            return {
+                fit: value('importFit', 'fit'),
+                offsetX: number('importOffsetX', 0),
+                offsetY: number('importOffsetY', 0),
+                snapToCells: snapToggle ? snapToggle.checked : false,
+                brightness: number('importBrightness', 0) / 100,
+                contrast: number('importContrast', 0) / 100,
+                gamma: number('importGamma', 1),
+                saturation: number('importSaturation', 100) / 100,
+                dither: value('importDither', 'none'),
+                strength: number('importDitherStrength', 100) / 100
+            };
+        }
 
-            return swatch;
+        /**
+         * Show a slider's current value next to its label
+         * @param {HTMLInputElement} input - Import dialog control
+         */
+        updateImportValueLabel(input) {
+            const valueEl = document.getElementById(`${input.id}Value`);
+            if (valueEl) valueEl.textContent = `${input.value}${input.dataset.unit || ''}`;
         }
 
         /**
-         * Unified UI update method - handles multiple UI update scenarios
-         * @param {string} type - Update type: 'color', 'tool', 'shape', 'zoom', 'brush', 'grid'
-         * @param {*} data - Data relevant to the update type
-         * @param {Object} options - Additional options for the update
+         * Put every import control back to its default value
          */
-        updateUI(type, data, options = {}) {
-            try {
-                const handlers = {
-                    'color': (colorState) => this._updateColorHandler(colorState),
-                    'tool': (toolData) => this._updateToolHandler(toolData),
-                    'shape': (shape) => this._updateShapeHandler(shape),
-                    'zoom': (zoom) => this._updateZoomHandler(zoom),
-                    'brush': (size) => this._updateBrushHandler(size),
-                    'grid': (gridData) => this._updateGridHandler(gridData)
-                };
-                
-                const handler = handlers[type];
-                if (handler) {
-                    return handler(data, options);
+        resetImageImportOptions() {
+            document.querySelectorAll('[data-import-option]').forEach(input => {
+                if (input.type === 'checkbox') {
+                    input.checked = input.defaultChecked;
+                } else if (input.tagName === 'SELECT') {
+                    const defaultOption = Array.from(input.options).find(option => option.defaultSelected);
+                    input.selectedIndex = defaultOption ? defaultOption.index : 0;
                 } else {
-                    warn(`Unknown UI update type: ${type}`);
-                    return false;
+                    input.value = input.defaultValue;
                 }
-            } catch (err) {
-                error(`Error in updateUI(${type}):`, err);
-                throw err;
-            }
+                this.updateImportValueLabel(input);
+            });
+            this.scheduleImageImportPreview();
         }
 
         /**
-         * Handle color UI updates
-         * @private
+         * Request a new preview, coalescing rapid slider changes into one conversion
          */
-        _updateColorHandler(colorState) {
-            const indicator = document.getElementById('color-indicator');
-            if (!indicator) return false;
+        scheduleImageImportPreview() {
+            clearTimeout(this.importPreviewTimer);
+            this.importPreviewTimer = setTimeout(() => {
+                this.eventBus.emit('image-import-options-changed', this.getImageImportOptions());
+            }, 50);
+        }
 
-            const inkColor = this.colorManager.getColorHex(colorState.ink, false);
-            const paperColor = this.colorManager.getColorHex(colorState.paper, false);
+        /**
+         * Draw the adjusted source (before) and converted screen (after) into the import dialog
+         * @param {Object} result - { source, pixels, attributes }
+         */
+        renderImageImportPreview(result) {
+            const beforeCanvas = document.getElementById('imageImportBefore');
+            if (beforeCanvas && result.source) {
+                beforeCanvas.getContext('2d').putImageData(result.source, 0, 0);
+            }
 
-            indicator.style.setProperty('--ink-color', inkColor);
-            indicator.style.setProperty('--paper-color', paperColor);
-            
-            indicator.classList.remove('ink-disabled', 'paper-disabled');
-            
-            if (!colorState.inkEnabled) indicator.classList.add('ink-disabled');
-            if (!colorState.paperEnabled) indicator.classList.add('paper-disabled');
+            const afterCanvas = document.getElementById('imageImportPreview');
+            if (!afterCanvas) return;
 
-            const inkName = this.colorManager.ZX_COLORS[colorState.ink].name;
-            const paperName = this.colorManager.ZX_COLORS[colorState.paper].name;
-            indicator.title = `INK: ${inkName} • PAPER: ${paperName}`;
-            return true;
+            const ctx = afterCanvas.getContext('2d');
+            const imageData = ctx.createImageData(afterCanvas.width, afterCanvas.height);
+            this.canvasService.renderPixels(imageData.data, result.pixels, result.attributes, this.colorManager.getAllRgbCache());
+            ctx.putImageData(imageData, 0, 0);
         }
 
         /**
-         * Handle tool UI updates
-         * @private
+         * Hide the image import dialog
+         * @param {boolean} cancelled - Whether the user dismissed the dialog
          */
-        _updateToolHandler(toolData) {
-            document.querySelectorAll('.tool').forEach(t => t.classList.remove('active'));
-            
-            const toolEl = document.querySelector(`[data-tool="${toolData.tool}"]`);
-            if (toolEl) {
-                toolEl.classList.add('active');
-            } else {
-                warn('Tool element not found for:', toolData.tool);
-                return false;
-            }
-
-            if (this.canvasService.ensureCanvasInitialized()) {
-                const canvas = this.canvasService.canvas;
-                if (canvas) canvas.style.cursor = toolData.cursor;
-            } else {
-                warn('Failed to initialize canvas for cursor update');
+        hideImageImport(cancelled = false) {
+            clearTimeout(this.importPreviewTimer);
+            const modal = document.getElementById('imageImportModal');
+            if (modal) modal.style.display = 'none';
+            if (cancelled) {
+                this.eventBus.emit('image-import-cancelled');
+                this.eventBus.emit('status', { message: 'Image import cancelled', type: 'info' });
             }
-            return true;
         }
 
         /**
-         * Handle shape UI updates
-         * @private
+         * Show the source export dialog for assembly or C
+         * Assembler-only controls (dialect, ORG) are hidden for C, and the C file choice for assembly.
+         * @param {string} language - 'asm' or 'c'
+         * @param {Array<Object>} dialects - Assembler dialects { id, name }
          */
-        _updateShapeHandler(shape) {
-            document.querySelectorAll('.shape-tool').forEach(t => t.classList.remove('active'));
-            const shapeEl = document.querySelector(`[data-shape="${shape}"]`);
-            if (shapeEl) {
-                shapeEl.classList.add('active');
-                return true;
+        showSourceExport(language, dialects) {
+            const modal = document.getElementById('sourceExportModal');
+            if (!modal) return;
+
+            this.sourceExportLanguage = language;
+            const titleEl = document.getElementById('sourceExportTitle');
+            if (titleEl) titleEl.textContent = language === 'c' ? 'Export C' : 'Export Assembly';
+
+            const dialectSelect = document.getElementById('sourceDialect');
+            if (dialectSelect && dialectSelect.options.length === 0) {
+                dialects.forEach(dialect => {
+                    const option = document.createElement('option');
+                    option.value = dialect.id;
+                    option.textContent = dialect.name;
+                    dialectSelect.appendChild(option);
+                });
             }
-            return false;
+
+            modal.querySelectorAll('[data-source-only]').forEach(group => {
+                group.style.display = group.dataset.sourceOnly === language ? '' : 'none';
+            });
+
+            modal.style.display = 'flex';
         }
 
         /**
-         * Handle zoom UI updates
-         * @private
+         * Read the source export options from the dialog
+         * @returns {Object} { language, dialect, cFile, fileName, base, bytesPerLine, labelPrefix, org, order }
          */
-        _updateZoomHandler(zoom) {
-            const zoomSlider = document.getElementById('zoom');
-            const zoomDisplay = document.getElementById('zoom-display');
-            
-            if (zoomSlider) zoomSlider.value = zoom;
-            if (zoomDisplay) zoomDisplay.textContent = Math.round(zoom * 100) + '%';
-            return true;
+        getSourceExportOptions() {
+            const value = (id, fallback) => {
+                const el = document.getElementById(id);
+                return el && el.value !== '' ? el.value : fallback;
+            };
+
+            return {
+                language: this.sourceExportLanguage || 'asm',
+                dialect: value('sourceDialect', 'sjasmplus'),
+                cFile: value('sourceCFile', 'pair'),
+                fileName: value('sourceFileName', 'zx_pixel_smoosher'),
+                base: value('sourceBase', 'hex'),
+                bytesPerLine: parseInt(value('sourceBytesPerLine', 32), 10),
+                labelPrefix: value('sourceLabel', ''),
+                org: value('sourceOrg', ''),
+                order: value('sourceOrder', 'linear')
+            };
         }
 
         /**
-         * Handle brush size UI updates
-         * @private
+         * Hide the source export dialog
          */
-        _updateBrushHandler(size) {
-            const brushSlider = document.getElementById('brush-size');
-            const sizeDisplay = document.getElementById('size-display');
-            
-            if (brushSlider) brushSlider.value = size;
-            if (sizeDisplay) sizeDisplay.textContent = size + 'px';
-            return true;
+        hideSourceExport() {
+            const modal = document.getElementById('sourceExportModal');
+            if (modal) modal.style.display = 'none';
         }
 
         /**
-         * Handle grid UI updates
-         * @private
+         * Show the compressed export dialog with the packed size of each method
+         * @param {Array<Object>} results - { id, name, size }
+         * @param {number} originalSize - Unpacked size in bytes
+         * @param {Array<Object>} dialects - Assembler dialects { id, name }
          */
-        _updateGridHandler(gridData) {
-            const gridEl = document.getElementById(`grid-${gridData.type}`);
-            const btnEl = document.getElementById(`btn-grid-${gridData.type}`);
-            
-            if (gridEl) {
-                gridEl.classList.toggle('active', gridData.enabled);
+        showCompressedExport(results, originalSize, dialects) {
+            const modal = document.getElementById('compressExportModal');
+            if (!modal) return;
+
+            const methodSelect = document.getElementById('compressMethod');
+            if (methodSelect) {
+                const previous = methodSelect.value;
+                methodSelect.innerHTML = '';
+                results.forEach(result => {
+                    const option = document.createElement('option');
+                    option.value = result.id;
+                    option.textContent = `${result.name} - ${result.size} bytes (${Math.round(result.size / originalSize * 100)}%)`;
+                    methodSelect.appendChild(option);
+                });
+                // Keep the last choice, otherwise start on the smallest result
+                const smallest = results.reduce((best, result) => result.size < best.size ? result : best, results[0]);
+                methodSelect.value = results.some(result => result.id === previous) ? previous : smallest.id;
+            }
+
+            const dialectSelect = document.getElementById('compressDialect');
+            if (dialectSelect && dialectSelect.options.length === 0) {
+                dialects.forEach(dialect => {
+                    const option = document.createElement('option');
+                    option.value = dialect.id;
+                    option.textContent = dialect.name;
+                    dialectSelect.appendChild(option);
+                });
             }
-            
-            if (btnEl) {
-                btnEl.classList.toggle('active', gridData.enabled);
+
+            const outputSelect = document.getElementById('compressOutput');
+            if (outputSelect) {
+                const updateOutput = () => {
+                    modal.querySelectorAll('[data-compress-asm]').forEach(group => {
+                        group.style.display = outputSelect.value === 'asm' ? '' : 'none';
+                    });
+                };
+                outputSelect.onchange = updateOutput;
+                updateOutput();
             }
-            return true;
+
+            modal.style.display = 'flex';
         }
 
-        // Backward compatibility methods (deprecated)
-        updateColorIndicator(colorState) { return this.updateUI('color', colorState); }
-        updateToolUI(toolData) { return this.updateUI('tool', toolData); }
-        updateShapeUI(shape) { return this.updateUI('shape', shape); }
-        updateZoomUI(zoom) { return this.updateUI('zoom', zoom); }
-        updateBrushSizeUI(size) { return this.updateUI('brush', size); }
-        updateGridUI(gridData) { return this.updateUI('grid', gridData); }
+        /**
+         * Read the compressed export options from the dialog
+         * @returns {Object} { method, output, dialect, labelPrefix, includeDepacker }
+         */
+        getCompressedExportOptions() {
+            const value = (id, fallback) => {
+                const el = document.getElementById(id);
+                return el && el.value !== '' ? el.value : fallback;
+            };
+            const depackerToggle = document.getElementById('compressDepacker');
+
+            return {
+                method: value('compressMethod', 'zx0'),
+                output: value('compressOutput', 'binary'),
+                dialect: value('compressDialect', 'sjasmplus'),
+                labelPrefix: value('compressLabel', ''),
+                includeDepacker: depackerToggle ? depackerToggle.checked : false
+            };
+        }
 
         /**
-         * Light up button animation
-         * @param {string|HTMLElement} target - Button selector or element
-         * @param {string} type - Animation type: 'default', 'success', 'warning', 'danger'
-         * @param {number} duration - Animation duration in milliseconds (default 600)
+         * Hide the compressed export dialog
          */
-        lightUp(target, type = 'default', duration = 600) {
-            let element;
-            
-            // Handle both selector strings and direct element references
-            if (typeof target === 'string') {
-                element = document.querySelector(target);
-            } else if (target instanceof HTMLElement) {
-                element = target;
+        hideCompressedExport() {
+            const modal = document.getElementById('compressExportModal');
+            if (modal) modal.style.display = 'none';
+        }
+
+        /**
+         * Show the tile map export dialog
+         * Controls that do not apply to the chosen output (assembler, C file, binary block) are hidden.
+         * @param {Object} summary - { tileSize, uniqueCount, total }
+         * @param {Array<Object>} dialects - Assembler dialects { id, name }
+         */
+        showTileExport(summary, dialects) {
+            const modal = document.getElementById('tileExportModal');
+            if (!modal) return;
+
+            const summaryEl = document.getElementById('tileExportSummary');
+            if (summaryEl) {
+                summaryEl.textContent = `${summary.uniqueCount} unique ${summary.tileSize}×${summary.tileSize} tile(s) make up the ${summary.total}-tile map.`;
             }
-            
-            if (!element) {
-                warn('LightUp: Target element not found:', target);
-                return;
+
+            const dialectSelect = document.getElementById('tileDialect');
+            if (dialectSelect && dialectSelect.options.length === 0) {
+                dialects.forEach(dialect => {
+                    const option = document.createElement('option');
+                    option.value = dialect.id;
+                    option.textContent = dialect.name;
+                    dialectSelect.appendChild(option);
+                });
             }
-            
-            // Remove any existing light-up classes
-            element.classList.remove('light-up', 'light-up-success', 'light-up-warning', 'light-up-danger');
-            
-            // Add the appropriate light-up class
-            const classMap = {
-                'default': 'light-up',
-                'success': 'light-up-success', 
-                'warning': 'light-up-warning',
-                'danger': 'light-up-danger'
+
+            const formatSelect = document.getElementById('tileFormat');
+            if (formatSelect) {
+                const updateFormat = () => {
+                    modal.querySelectorAll('[data-tile-format]').forEach(group => {
+                        group.style.display = group.dataset.tileFormat.split(' ').includes(formatSelect.value) ? '' : 'none';
+                    });
+                };
+                formatSelect.onchange = updateFormat;
+                updateFormat();
+            }
+
+            modal.style.display = 'flex';
+        }
+
+        /**
+         * Read the tile map export options from the dialog
+         * @returns {Object} { format, block, cFile, fileName, dialect, base, labelPrefix, includeAttributes }
+         */
+        getTileExportOptions() {
+            const value = (id, fallback) => {
+                const el = document.getElementById(id);
+                return el && el.value !== '' ? el.value : fallback;
+            };
+            const attributesToggle = document.getElementById('tileAttributes');
+
+            return {
+                format: value('tileFormat', 'asm'),
+                block: value('tileBlock', 'all'),
+                cFile: value('tileCFile', 'pair'),
+                fileName: value('tileFileName', 'zx_pixel_smoosher_tiles'),
+                dialect: value('tileDialect', 'sjasmplus'),
+                base: value('tileBase', 'hex'),
+                labelPrefix: value('tileLabel', ''),
+                includeAttributes: attributesToggle ? attributesToggle.checked : true
             };
-            
-            const lightUpClass = classMap[type] || 'light-up';
-            element.classList.add(lightUpClass);
-            
-            // Remove the class after animation completes
-            setTimeout(() => {
-                element.classList.remove(lightUpClass);
-            }, duration);
-            
-            // Emit event for potential listeners
-            this.eventBus.emit('button-light-up', {
-                element,
-                type,
-                duration,
-                timestamp: Date.now()
-            });
         }
 
         /**
-         * Update grid sizes based on zoom level
-         * @param {number} zoom - Current zoom level
+         * Hide the tile map export dialog
          */
-        updateGridOverlaySizes(zoom) {
-            const root = document.documentElement;
-            
-            // Calculate grid sizes based on zoom
-            // Use Math.round to ensure whole pixel values for better alignment
-            const pixel1x1Size = Math.round(1 * zoom);
-            const pixel8x8Size = Math.round(8 * zoom);
-            const pixel16x16Size = Math.round(16 * zoom);
-            
-            // Update CSS variables for grid background sizes
-            root.style.setProperty('--grid-1x1-size', `${pixel1x1Size}px`);
-            root.style.setProperty('--grid-8x8-size', `${pixel8x8Size}px`);
-            root.style.setProperty('--grid-16x16-size', `${pixel16x16Size}px`);
-            
-            // Adjust 1x1 grid opacity based on zoom for better visibility
-            let opacity = 1.0;
-            if (zoom <= 2) {
-                opacity = 0.3;
-            } else if (zoom <= 4) {
-                opacity = 0.6;
-            } else {
-                opacity = 1.0;
-            }
-            root.style.setProperty('--grid-1x1-opacity', opacity);
+        hideTileExport() {
+            const modal = document.getElementById('tileExportModal');
+            if (modal) modal.style.display = 'none';
         }
 
         /**
-         * Update status display
-         * @param {Object} statusData - Status data
+         * Show the BASIC export dialog for a region
+         * @param {Object} region - { x, y, width, height, fromSelection }
          */
-        updateStatus(statusData) {
-            const statusEl = document.getElementById('status');
-            const dotEl = document.getElementById('statusDot');
-            
-            if (statusEl) statusEl.textContent = statusData.message;
-            if (dotEl) {
-                dotEl.className = `status-dot ${statusData.type === 'error' ? 'error' : statusData.type === 'warning' ? 'warning' : ''}`;
+        showBasicExport(region) {
+            const modal = document.getElementById('basicExportModal');
+            if (!modal) return;
+
+            const regionEl = document.getElementById('basicExportRegion');
+            if (regionEl) {
+                const source = region.fromSelection ? 'selection' : 'whole screen';
+                regionEl.textContent = `Region: ${region.width}×${region.height} at ${region.x},${region.y} (${source}), widened to whole bytes`;
             }
+
+            modal.style.display = 'flex';
+        }
+
+        /**
+         * Read the BASIC export options from the dialog
+         * @returns {Object} { output, valuesPerLine, includeAttributes }
+         */
+        getBasicExportOptions() {
+            const value = (id, fallback) => {
+                const el = document.getElementById(id);
+                return el && el.value !== '' ? el.value : fallback;
+            };
+            const attributesToggle = document.getElementById('basicAttributes');
+
+            return {
+                output: value('basicOutput', 'text'),
+                valuesPerLine: parseInt(value('basicValuesPerLine', 16), 10),
+                includeAttributes: attributesToggle ? attributesToggle.checked : true
+            };
+        }
+
+        /**
+         * Hide the BASIC export dialog
+         */
+        hideBasicExport() {
+            const modal = document.getElementById('basicExportModal');
+            if (modal) modal.style.display = 'none';
         }
 
         /**
-         * Show error dialog
-         * @param {Object} errorData - Error data
+         * Show the sprite export dialog for a region
+         * Frame sizes from the last export are kept while they still fit the region.
+         * @param {Object} region - { x, y, width, height, fromSelection }
          */
-        showError(errorData) {
-            const modal = document.getElementById('errorModal');
-            const titleEl = document.getElementById('errorTitle');
-            const msgEl = document.getElementById('errorMessage');
-            
-            if (modal && titleEl && msgEl) {
-                titleEl.textContent = errorData.title;
-                msgEl.textContent = errorData.message;
-                modal.style.display = 'flex';
+        showSpriteExport(region) {
+            const modal = document.getElementById('spriteExportModal');
+            if (!modal) return;
+
+            const regionEl = document.getElementById('spriteExportRegion');
+            if (regionEl) {
+                const source = region.fromSelection ? 'selection' : 'whole screen';
+                regionEl.textContent = `Region: ${region.width}×${region.height} at ${region.x},${region.y} (${source})`;
             }
+
+            [['spriteFrameWidth', region.width], ['spriteFrameHeight', region.height]].forEach(([id, size]) => {
+                const input = document.getElementById(id);
+                if (!input) return;
+                input.max = size;
+                const current = parseInt(input.value, 10);
+                if (!(current >= 1 && current <= size)) input.value = size;
+            });
+
+            modal.style.display = 'flex';
         }
 
         /**
-         * Hide error dialog
+         * Read the sprite export options from the dialog
+         * @returns {Object} { frameWidth, frameHeight, frameOrder, byteOrder, mask, shifts, labelPrefix }
          */
-        hideError() {
-            const modal = document.getElementById('errorModal');
+        getSpriteExportOptions() {
+            const value = (id, fallback) => {
+                const el = document.getElementById(id);
+                return el && el.value !== '' ? el.value : fallback;
+            };
+
+            return {
+                frameWidth: parseInt(value('spriteFrameWidth', 0), 10),
+                frameHeight: parseInt(value('spriteFrameHeight', 0), 10),
+                frameOrder: value('spriteFrameOrder', 'row'),
+                byteOrder: value('spriteByteOrder', 'row'),
+                mask: value('spriteMask', 'none'),
+                shifts: value('spriteShifts', '0').split(',').map(Number),
+                labelPrefix: value('spriteLabel', 'sprite')
+            };
+        }
+
+        /**
+         * Hide the sprite export dialog
+         */
+        hideSpriteExport() {
+            const modal = document.getElementById('spriteExportModal');
             if (modal) modal.style.display = 'none';
         }
 
@@ -2192,12 +4207,46 @@
          * @param {KeyboardEvent} e - Keyboard event
          */
         handleKeyboard(e) {
-            if (e.target.tagName === 'INPUT') return;
+            const target = e.target;
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable) return;
+
+            // Leave clipboard shortcuts to the browser unless there is something to copy or paste
+            const hasSelection = !!(this.selectionManager && this.selectionManager.hasSelection());
+            const hasClip = !!(this.selectionManager && this.selectionManager.hasClip());
 
             const keyMap = {
                 'b': () => this.toolManager.selectTool('brush'),
                 'f': () => this.toolManager.selectTool('fill'),
                 's': () => this.toolManager.selectTool('shapes'),
+                'm': () => this.toolManager.selectTool('select'),
+                'u': () => this.toolManager.selectTool('glyph'),
+                't': () => this.toolManager.selectTool('text'),
+                'i': () => this.toolManager.selectTool('eyedropper'),
+                'c': () => {
+                    if (e.ctrlKey && hasSelection) {
+                        e.preventDefault();
+                        this.eventBus.emit('selection-copy');
+                    }
+                },
+                'x': () => {
+                    if (e.ctrlKey && hasSelection) {
+                        e.preventDefault();
+                        this.eventBus.emit('selection-cut');
+                    }
+                },
+                'v': () => {
+                    if (e.ctrlKey && hasClip) {
+                        e.preventDefault();
+                        this.eventBus.emit('selection-paste');
+                    }
+                },
+                'delete': () => this.eventBus.emit('selection-delete'),
+                'escape': () => this.eventBus.emit('selection-cancel'),
+                'enter': () => {
+                    if (this.toolManager.state.currentTool === 'select') {
+                        this.eventBus.emit('selection-commit');
+                    }
+                },
                 'g': () => this.eventBus.emit('grid-toggle', '8x8'),
                 '1': () => this.eventBus.emit('grid-toggle', '1x1'),
                 '2': () => this.eventBus.emit('grid-toggle', '16x16'),
@@ -2849,11 +4898,12 @@
      * @class DrawingService
      */
     class DrawingService {
-        constructor(eventBus, colorManager, stateManager, toolManager) {
+        constructor(eventBus, colorManager, stateManager, toolManager, fillManager) {
             this.eventBus = eventBus;
             this.colorManager = colorManager;
             this.stateManager = stateManager;
             this.toolManager = toolManager;
+            this.fillManager = fillManager;
             
             // Initialize ShapeGenerator with error handling
             try {
@@ -2881,12 +4931,18 @@
         setupEventListeners() {
             this.eventBus.on('draw-brush', (data) => this.drawBrush(data));
             this.eventBus.on('draw-line', (data) => this.drawLine(data));
+            this.eventBus.on('draw-glyph', (data) => this.drawGlyph(data));
+            this.eventBus.on('draw-text', (data) => this.drawText(data));
             // Use unified shape system only - old drawShape disabled
             this.eventBus.on('draw-shape', (data) => this.drawShapeEnhanced(data));
             this.eventBus.on('draw-shape-unified', (data) => this.drawShapeEnhanced(data));
             // Route fill operations to FillManager
             this.eventBus.on('flood-fill', (data) => {
-                this.floodFill(data);
+                if (this.fillManager) {
+                    this.fillManager.fill({ ...data, type: 'flood' });
+                } else {
+                    this.floodFill(data);
+                }
             });
             this.eventBus.on('pattern-fill', (data) => {
                 this.fillManager.fill({ ...data, type: 'pattern' });
@@ -2968,21 +5024,16 @@
             // Helper method to draw pixel to state with ink/paper support
             const drawPixelToState = (x, y, pixelValue) => {
                 if (x >= 0 && x <= 255 && y >= 0 && y <= 191) {
-                    state.pixels[y][x] = pixelValue;
+                    if (colorState.paintMode !== 'attributes') {
+                        state.pixels[y][x] = pixelValue;
+                    }
                     
                     const cellX = Math.floor(x / 8);
                     const cellY = Math.floor(y / 8);
                     
-                    if (cellX >= 0 && cellX < 32 && cellY >= 0 && cellY < 24) {
-                        const existingAttr = state.attributes[cellY][cellX];
-                        
-                        // Always update color attributes when drawing shapes
-                        state.attributes[cellY][cellX] = {
-                            ink: colorState.inkEnabled ? colorState.ink : existingAttr.ink,
-                            paper: colorState.paperEnabled ? colorState.paper : existingAttr.paper,
-                            bright: colorState.bright,
-                            flash: colorState.flash
-                        };
+                    if (colorState.paintMode !== 'pixels' && cellX >= 0 && cellX < 32 && cellY >= 0 && cellY < 24) {
+                        // Always update color attributes when drawing shapes (kept fields excepted)
+                        state.attributes[cellY][cellX] = this.colorManager.getPaintAttribute(state.attributes[cellY][cellX]);
                     }
                 }
             };
@@ -3343,8 +5394,27 @@
          * @param {Object} data - Drawing data
          */
         drawBrush(data) {
-            const { x, y, value, size } = data;
             const state = this.stateManager.getState();
+            this.drawBrushToState(data, state);
+            
+            // Update StateManager's internal state directly
+            this.stateManager.setPixels(state.pixels);
+            this.stateManager.setAttributes(state.attributes);
+            
+            this.eventBus.emit('state-changed', {
+                pixels: state.pixels,
+                attributes: state.attributes
+            });
+        }
+
+        /**
+         * Apply one brush dab to a state without committing it
+         * Also used to work out what a dab would do before it happens.
+         * @param {Object} data - { x, y, value, size }
+         * @param {Object} state - State to draw into
+         */
+        drawBrushToState(data, state) {
+            const { x, y, value, size } = data;
             
             // Get brush shape from tool manager state for consistency during continuous drawing
             const brushShape = (this.toolManager && this.toolManager.state && this.toolManager.state.brushShape) ? this.toolManager.state.brushShape : 'round';
@@ -3359,11 +5429,69 @@
                 // Round brush (default)
                 this.drawRoundBrush(x, y, value, size, state);
             }
-            
-            // Update StateManager's internal state directly
+        }
+
+        /**
+         * Stamp an 8×8 glyph like PRINT does: INK for set bits, PAPER for the rest
+         * Every pixel goes through drawPixel() so the cell takes the current colours.
+         * @param {Object} data - { x, y, bytes, erase } top-left corner and 8 glyph rows;
+         *   erase clears only the glyph's set pixels
+         */
+        drawGlyph(data) {
+            const state = this.stateManager.getState();
+            this.drawGlyphToState(data.bytes, data.x, data.y, { erase: data.erase }, state);
+            this.commitGlyphs(state);
+        }
+
+        /**
+         * Print a row of glyphs, each one 8 × scaleX pixels wide
+         * Glyphs may straddle cells; every cell they touch takes the current colours.
+         * @param {Object} data - { x, y, glyphs, scaleX, scaleY, inverse, erase }
+         */
+        drawText(data) {
+            const { x, y, glyphs, scaleX = 1, scaleY = 1, inverse = false, erase = false } = data;
+            const state = this.stateManager.getState();
+
+            glyphs.forEach((bytes, index) => {
+                this.drawGlyphToState(bytes, x + index * 8 * scaleX, y, { scaleX, scaleY, inverse, erase }, state);
+            });
+            this.commitGlyphs(state);
+        }
+
+        /**
+         * Draw one glyph into the state without publishing it
+         * @param {Uint8Array} bytes - 8 glyph rows
+         * @param {number} x - Left edge
+         * @param {number} y - Top edge
+         * @param {Object} options - { scaleX, scaleY, inverse, erase }
+         * @param {Object} state - Current state
+         */
+        drawGlyphToState(bytes, x, y, options, state) {
+            const { scaleX = 1, scaleY = 1, inverse = false, erase = false } = options;
+
+            for (let row = 0; row < 8; row++) {
+                for (let col = 0; col < 8; col++) {
+                    const set = !!((bytes[row] << col) & 0x80) !== inverse;
+                    if (erase && !set) continue;
+
+                    const value = set && !erase ? 1 : 0;
+                    for (let dy = 0; dy < scaleY; dy++) {
+                        for (let dx = 0; dx < scaleX; dx++) {
+                            this.drawPixel(x + col * scaleX + dx, y + row * scaleY + dy, value, state);
+                        }
+                    }
+                }
+            }
+        }
+
+        /**
+         * Publish a state changed by glyph or text drawing
+         * @param {Object} state - Current state
+         */
+        commitGlyphs(state) {
             this.stateManager.setPixels(state.pixels);
             this.stateManager.setAttributes(state.attributes);
-            
+
             this.eventBus.emit('state-changed', {
                 pixels: state.pixels,
                 attributes: state.attributes
@@ -3688,21 +5816,16 @@
          */
         drawPixel(x, y, value, state) {
             if (x >= 0 && x <= 255 && y >= 0 && y <= 191) {
-                state.pixels[y][x] = value;
+                const colorState = this.colorManager.getState();
+                if (colorState.paintMode !== 'attributes') {
+                    state.pixels[y][x] = value;
+                }
                 
                 const cellX = Math.floor(x / 8);
                 const cellY = Math.floor(y / 8);
                 
-                if (cellX >= 0 && cellX < 32 && cellY >= 0 && cellY < 24) {
-                    const colorState = this.colorManager.getState();
-                    const existingAttr = state.attributes[cellY][cellX];
-                    
-                    state.attributes[cellY][cellX] = {
-                        ink: colorState.inkEnabled ? colorState.ink : existingAttr.ink,
-                        paper: colorState.paperEnabled ? colorState.paper : existingAttr.paper,
-                        bright: colorState.bright,
-                        flash: colorState.flash
-                    };
+                if (colorState.paintMode !== 'pixels' && cellX >= 0 && cellX < 32 && cellY >= 0 && cellY < 24) {
+                    state.attributes[cellY][cellX] = this.colorManager.getPaintAttribute(state.attributes[cellY][cellX]);
                 }
             }
         }
@@ -4444,22 +6567,17 @@
             // Helper method to draw pixel to state with ink/paper support
             const drawPixelToState = (x, y, pixelValue) => {
                 if (x >= 0 && x <= 255 && y >= 0 && y <= 191) {
-                    state.pixels[y][x] = pixelValue;
+                    if (colorState.paintMode !== 'attributes') {
+                        state.pixels[y][x] = pixelValue;
+                    }
                     
                     const cellX = Math.floor(x / 8);
                     const cellY = Math.floor(y / 8);
                     
-                    if (cellX >= 0 && cellX < 32 && cellY >= 0 && cellY < 24) {
-                        const existingAttr = state.attributes[cellY][cellX];
-                        
-                        // Always update color attributes when drawing shapes
+                    if (colorState.paintMode !== 'pixels' && cellX >= 0 && cellX < 32 && cellY >= 0 && cellY < 24) {
+                        // Always update color attributes when drawing shapes (kept fields excepted)
                         // This ensures that even paper pixels (0) are visible with the selected colors
-                        state.attributes[cellY][cellX] = {
-                            ink: colorState.inkEnabled ? colorState.ink : existingAttr.ink,
-                            paper: colorState.paperEnabled ? colorState.paper : existingAttr.paper,
-                            bright: colorState.bright,
-                            flash: colorState.flash
-                        };
+                        state.attributes[cellY][cellX] = this.colorManager.getPaintAttribute(state.attributes[cellY][cellX]);
                     }
                 }
             };
@@ -4598,7 +6716,7 @@
             
             this.colorManager = new ColorManager(this.eventBus);
             this.canvasService = new CanvasService(this.eventBus, this.colorManager);
-            this.fileService = new FileService(this.eventBus);
+            this.fileService = new FileService(this.eventBus, this.colorManager);
             this.stateManager = new StateManager(this.eventBus, this.historyManager);
             
             // Initialize FillManager for advanced fill operations
@@ -4719,9 +6837,22 @@
                 console.log('ToolManager operating without advanced fill tools');
             }
             
-            this.uiController = new UIController(this.eventBus, this.colorManager, this.toolManager, this.canvasService);
+            // Selection tool (marquee, move, clipboard)
+            this.selectionManager = new SelectionManager(this.eventBus, this.stateManager, this.canvasService, this.toolManager, this.colorManager);
+            
+            // Animation frames, each with its own history
+            this.frameManager = new FrameManager(this.eventBus, this.stateManager, () => this.getHistoryManager());
+            this.onionSkinManager = new OnionSkinManager(this.eventBus, this.frameManager, this.canvasService, this.colorManager);
+            
+            // Font/UDG editor behind the glyph tool
+            this.charsetManager = new CharsetManager(this.eventBus, this.fileService.charsetFormat);
+            this.tileMapManager = new TileMapManager(this.eventBus, this.stateManager, this.fileService.tileMapFormat);
+            this.attributeOptimizer = new AttributeOptimizer();
+            
+            this.uiController = new UIController(this.eventBus, this.colorManager, this.toolManager, this.canvasService, this.selectionManager);
             this.performanceService = new PerformanceService(this.eventBus);
-            this.drawingService = new DrawingService(this.eventBus, this.colorManager, this.stateManager, this.toolManager);
+            this.drawingService = new DrawingService(this.eventBus, this.colorManager, this.stateManager, this.toolManager, this.fillManager);
+            this.clashManager = new ClashManager(this.eventBus, this.stateManager, this.colorManager, this.drawingService, this.fillManager);
             
             // Register all services with memory manager for tracking
             this.registerServicesWithMemoryManager();
@@ -4848,6 +6979,26 @@
                 this.canvasService.scheduleRender();
             });
 
+            // Eyedropper: load a cell's colours into the palette
+            this.eventBus.on('eyedropper-pick', (data) => {
+                const attribute = this.stateManager.getState().attributes[data.y >> 3][data.x >> 3];
+                this.colorManager.pickColors(attribute, data.mode);
+            });
+
+            // Cells a pending edit would clash, drawn over the preview
+            this.eventBus.on('clash-detected', (result) => {
+                this.canvasService.renderCellHighlights(result.cells);
+            });
+
+            // Text tool placement outline
+            this.eventBus.on('text-preview', (rect) => {
+                if (rect) {
+                    this.canvasService.renderSelection(rect);
+                } else {
+                    this.canvasService.clearPreview();
+                }
+            });
+
             // Preview canvas clearing
             this.eventBus.on('clear-preview', () => {
                 log('Clear-preview event received - clearing preview canvas');
@@ -4885,7 +7036,8 @@
 
             // Drawing state changes
             this.eventBus.on('drawing-stopped', (data) => {
-                if (data.wasDrawing) {
+                // Selection commits and fills save their own history entries
+                if (data.wasDrawing && data.tool !== 'select' && data.tool !== 'fill') {
                     log('Drawing stopped - saving state for tool:', data.tool, 'wasDrawing:', data.wasDrawing);
                     this.stateManager.saveState('draw');
                     log('State saved for', data.tool, '- new history info:', this.stateManager.history.getInfo());
@@ -4899,6 +7051,28 @@
                 this.stateManager.saveState(`load-${data.type}`);
             });
 
+            // Each frame has its own history; keep the shared reference on the active one
+            this.eventBus.on('frames-changed', () => {
+                this.historyManager = this.stateManager.history;
+                window.historyManager = this.historyManager;
+            });
+
+            this.eventBus.on('found-screen-selected', (index) => {
+                this.fileService.loadFoundScreen(index);
+            });
+
+            this.eventBus.on('found-screen-cancelled', () => {
+                this.fileService.clearPendingScreens();
+            });
+
+            this.eventBus.on('image-import-options-changed', (options) => {
+                this.fileService.previewImageImport(options);
+            });
+
+            this.eventBus.on('image-import-cancelled', () => {
+                this.fileService.clearPendingImage();
+            });
+
             // Preview handling
             this.eventBus.on('preview-updated', (data) => {
                 this.handlePreview(data);
@@ -4963,6 +7137,10 @@
                     originalAttrs,
                     data.erase || false  // Pass erase mode for XOR preview
                 );
+                this.eventBus.emit('pending-edit', {
+                    before: { pixels: originalPixels, attributes: originalAttrs },
+                    after: tempState
+                });
             } catch (err) {
                 error('Error in handlePreview:', err);
                 // Clear preview on error
@@ -5753,6 +7931,9 @@
                 
                 // Save initial state
                 this.stateManager.saveState('initial-blank');
+                this.frameManager.emitFramesChanged();
+                this.charsetManager.notify();
+                this.tileMapManager.update();
                 
                 // Update UI
                 this.updateMemoryDisplay();
@@ -5970,6 +8151,7 @@
          */
         undo() {
             log('Main app undo() called - delegating to StateManager...');
+            this.selectionManager.discard();
             this.stateManager.undo();
         }
 
@@ -5977,9 +8159,50 @@
          * Redo last undone action
          */
         redo() {
+            this.selectionManager.discard();
             this.stateManager.redo();
         }
 
+        /**
+         * Rewrite cells into their most packable form without changing the picture
+         * One history entry, so a single undo brings the original cells back.
+         */
+        optimizeAttributes() {
+            try {
+                this.toolManager.clearActiveState();
+                this.selectionManager.discard();
+
+                const state = this.stateManager.getState();
+                const result = this.attributeOptimizer.optimize(state.pixels, state.attributes);
+                if (result.changedCells === 0) {
+                    this.eventBus.emit('status', { message: 'Attributes are already optimised', type: 'info' });
+                    return;
+                }
+
+                const sizeBefore = this.fileService.getPackedSize(state.pixels, state.attributes);
+                const sizeAfter = this.fileService.getPackedSize(result.pixels, result.attributes);
+
+                this.stateManager.setPixels(result.pixels);
+                this.stateManager.setAttributes(result.attributes);
+                this.stateManager.saveState('optimize-attributes');
+                this.eventBus.emit('state-changed', {
+                    pixels: result.pixels,
+                    attributes: result.attributes
+                });
+
+                const saved = sizeBefore - sizeAfter;
+                const percent = sizeBefore ? Math.round((saved / sizeBefore) * 100) : 0;
+                this.eventBus.emit('status', {
+                    message: `✓ ${result.changedCells} cells optimised (${result.inverted} inverted, ${result.solid} solid, ` +
+                        `${result.unified} unified) • ZX0 ${sizeBefore} → ${sizeAfter} bytes (${saved >= 0 ? '−' : '+'}${Math.abs(saved)}, ${Math.abs(percent)}%)`,
+                    type: 'success'
+                });
+            } catch (err) {
+                error('❌ Error optimising attributes:', err);
+                this.eventBus.emit('error', { title: 'Optimise Failed', message: err.message });
+            }
+        }
+
         /**
          * Clear canvas
          */
@@ -5987,6 +8210,7 @@
             try {
                 // Clear all drawing state and preview
                 this.toolManager.clearActiveState();
+                this.selectionManager.discard();
                 this.canvasService.clearPreview();
                 this.stateManager.clearCanvas();
                 
@@ -6032,9 +8256,11 @@
             try {
                 // Clear all drawing state and preview first
                 this.toolManager.clearActiveState();
+                this.selectionManager.discard();
                 this.canvasService.clearPreview();
                 
                 this.stateManager.reset();
+                this.frameManager.reset();
                 this.colorManager.reset();
                 this.toolManager.reset();
                 this.uiController.reset();
@@ -6091,11 +8317,198 @@
         }
 
         /**
-         * Export assembly
+         * Save TAP file
+         * @param {Object} options - { includeLoader } - false saves only the SCREEN$ CODE block
+         */
+        saveTAP(options = {}) {
+            const state = this.stateManager.getState();
+            this.fileService.saveTAP(state.pixels, state.attributes, options);
+        }
+
+        /**
+         * Save animated GIF of the screen, one frame per FLASH phase
+         */
+        saveGIF() {
+            const state = this.stateManager.getState();
+            const colorCaches = this.colorManager.getAllRgbCache();
+            const phases = this.canvasService.hasFlash(state.attributes) ? [false, true] : [false];
+            
+            const frames = phases.map(phase => {
+                const data = new Uint8ClampedArray(this.canvasService.SCREEN.WIDTH * this.canvasService.SCREEN.HEIGHT * 4);
+                this.canvasService.renderPixels(data, state.pixels, state.attributes, colorCaches, phase);
+                return data;
+            });
+            
+            this.fileService.saveGIF(frames, colorCaches);
+        }
+
+        /**
+         * Open the source export dialog for assembly
          */
         exportASM() {
+            this.uiController.showSourceExport('asm', this.fileService.asmFormat.getDialects());
+        }
+
+        /**
+         * Open the source export dialog for a C header and source pair
+         */
+        exportC() {
+            this.uiController.showSourceExport('c', this.fileService.asmFormat.getDialects());
+        }
+
+        /**
+         * Export assembly or C with the options chosen in the dialog
+         */
+        confirmSourceExport() {
+            const options = this.uiController.getSourceExportOptions();
+            this.uiController.hideSourceExport();
+            const state = this.stateManager.getState();
+            if (options.language === 'c') {
+                this.fileService.exportC(state.pixels, state.attributes, options);
+            } else {
+                this.fileService.exportASM(state.pixels, state.attributes, options);
+            }
+        }
+
+        /**
+         * Close the source export dialog without exporting
+         */
+        cancelSourceExport() {
+            this.uiController.hideSourceExport();
+        }
+
+        /**
+         * Pack the screen and open the compressed export dialog
+         */
+        exportCompressed() {
+            const state = this.stateManager.getState();
+            try {
+                const results = this.fileService.prepareCompressedExport(state.pixels, state.attributes);
+                this.uiController.showCompressedExport(results, this.fileService.pendingCompression.originalSize, this.fileService.asmFormat.getDialects());
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'Compression Failed', message: error.message });
+            }
+        }
+
+        /**
+         * Export the packed screen with the options chosen in the dialog
+         */
+        confirmCompressedExport() {
+            const options = this.uiController.getCompressedExportOptions();
+            this.uiController.hideCompressedExport();
+            this.fileService.exportCompressed(options);
+        }
+
+        /**
+         * Close the compressed export dialog without exporting
+         */
+        cancelCompressedExport() {
+            this.uiController.hideCompressedExport();
+            this.fileService.clearPendingCompression();
+        }
+
+        /**
+         * Open the tile map export dialog for the current tile size
+         */
+        exportTileMap() {
+            try {
+                const analysis = this.tileMapManager.analyse();
+                this.uiController.showTileExport({
+                    tileSize: analysis.tileSize,
+                    uniqueCount: analysis.tiles.length,
+                    total: analysis.map.length
+                }, this.fileService.asmFormat.getDialects());
+            } catch (error) {
+                this.eventBus.emit('error', { title: 'Tile Map Failed', message: error.message });
+            }
+        }
+
+        /**
+         * Export the tileset and map with the options chosen in the dialog
+         */
+        confirmTileExport() {
+            const options = this.uiController.getTileExportOptions();
+            this.uiController.hideTileExport();
+            const state = this.stateManager.getState();
+            const { tileSize } = this.tileMapManager.getSettings();
+            this.fileService.exportTileMap(state.pixels, state.attributes, { ...options, tileSize });
+        }
+
+        /**
+         * Close the tile map export dialog without exporting
+         */
+        cancelTileExport() {
+            this.uiController.hideTileExport();
+        }
+
+        /**
+         * Region for exports that work on part of the screen: the selection, or the whole screen
+         * @returns {Object} { x, y, width, height, fromSelection }
+         */
+        getExportRegion() {
+            // Stamp a floating selection so the export matches what is on screen
+            this.selectionManager.commit();
+            const rect = this.selectionManager.getActiveRect();
+
+            return rect
+                ? { x: rect.x, y: rect.y, width: rect.width, height: rect.height, fromSelection: true }
+                : { x: 0, y: 0, width: this.canvasService.SCREEN.WIDTH, height: this.canvasService.SCREEN.HEIGHT, fromSelection: false };
+        }
+
+        /**
+         * Open the BASIC export dialog for the selection, or the whole screen
+         */
+        exportBasic() {
+            this.basicExportRegion = this.getExportRegion();
+            this.uiController.showBasicExport(this.basicExportRegion);
+        }
+
+        /**
+         * Export BASIC with the options chosen in the dialog
+         */
+        confirmBasicExport() {
+            if (!this.basicExportRegion) return;
+
+            const options = this.uiController.getBasicExportOptions();
+            this.uiController.hideBasicExport();
+            const state = this.stateManager.getState();
+            this.fileService.exportBasic(state.pixels, state.attributes, this.basicExportRegion, options);
+        }
+
+        /**
+         * Close the BASIC export dialog without exporting
+         */
+        cancelBasicExport() {
+            this.uiController.hideBasicExport();
+            this.basicExportRegion = null;
+        }
+
+        /**
+         * Open the sprite export dialog for the selection, or the whole screen
+         */
+        exportSprites() {
+            this.spriteExportRegion = this.getExportRegion();
+            this.uiController.showSpriteExport(this.spriteExportRegion);
+        }
+
+        /**
+         * Export sprites with the options chosen in the dialog
+         */
+        confirmSpriteExport() {
+            if (!this.spriteExportRegion) return;
+
+            const options = this.uiController.getSpriteExportOptions();
+            this.uiController.hideSpriteExport();
             const state = this.stateManager.getState();
-            this.fileService.exportASM(state.pixels, state.attributes);
+            this.fileService.exportSprites(state.pixels, this.spriteExportRegion, options);
+        }
+
+        /**
+         * Close the sprite export dialog without exporting
+         */
+        cancelSpriteExport() {
+            this.uiController.hideSpriteExport();
+            this.spriteExportRegion = null;
         }
 
         /**
@@ -6105,6 +8518,21 @@
             this.fileService.loadFile();
         }
 
+        /**
+         * Load a font or UDG set into the glyph editor
+         */
+        loadCharset() {
+            this.fileService.loadCharset();
+        }
+
+        /**
+         * Save the glyph editor's current font or UDG set
+         */
+        saveCharset() {
+            const { mode } = this.charsetManager.getInfo();
+            this.fileService.exportCharset(this.charsetManager.getData(mode), mode);
+        }
+
         /**
          * Hide error dialog
          */
@@ -6112,6 +8540,36 @@
             this.uiController.hideError();
         }
 
+        /**
+         * Close screen picker without loading
+         */
+        cancelScreenPick() {
+            this.uiController.hideScreenPicker(true);
+        }
+
+        /**
+         * Load the image waiting in the import dialog with the chosen options
+         */
+        confirmImageImport() {
+            const options = this.uiController.getImageImportOptions();
+            this.uiController.hideImageImport();
+            this.fileService.confirmImageImport(options);
+        }
+
+        /**
+         * Reset the image import placement, tone and dither controls
+         */
+        resetImageImport() {
+            this.uiController.resetImageImportOptions();
+        }
+
+        /**
+         * Close the image import dialog without loading
+         */
+        cancelImageImport() {
+            this.uiController.hideImageImport(true);
+        }
+
         /**
          * Recover from error
          */
@@ -0,0 +1,214 @@
+/**
+ * ASM Format - Writes byte blocks as Z80 assembler source
+ * Each dialect knows its own data directive, number notation, label syntax and
+ * ORG spelling, so the same blocks assemble unchanged with sjasmplus, pasmo,
+ * z88dk's z80asm or RASM.
+ *
+ * @class AsmFormat
+ */
+class AsmFormat {
+    constructor() {
+        this.MAX_BYTES_PER_LINE = 64;
+
+        const hex = (value, digits) => value.toString(16).toUpperCase().padStart(digits, '0');
+        const bin = (value) => value.toString(2).padStart(8, '0');
+
+        this.DIALECTS = {
+            sjasmplus: {
+                name: 'sjasmplus',
+                byteDirective: 'DB',
+                org: 'ORG',
+                hex: (value, digits) => `$${hex(value, digits)}`,
+                bin: (value) => `%${bin(value)}`,
+                label: (name) => `${name}:`
+            },
+            pasmo: {
+                name: 'Pasmo',
+                byteDirective: 'DEFB',
+                org: 'ORG',
+                // H suffix needs a leading digit so the value is not read as a label
+                hex: (value, digits) => `0${hex(value, digits)}H`,
+                bin: (value) => `${bin(value)}B`,
+                label: (name) => `${name}:`
+            },
+            z80asm: {
+                name: 'z88dk z80asm',
+                byteDirective: 'defb',
+                org: 'org',
+                hex: (value, digits) => `0x${hex(value, digits)}`,
+                bin: (value) => `0b${bin(value)}`,
+                label: (name) => `${name}:`,
+                // Labels must be public for C code to link against them
+                exportLabel: (name) => `PUBLIC ${name}`,
+                // Without an ORG the linker places the data and code
+                section: 'SECTION rodata_user',
+                codeSection: 'SECTION code_user'
+            },
+            rasm: {
+                name: 'RASM',
+                byteDirective: 'DEFB',
+                org: 'ORG',
+                hex: (value, digits) => `#${hex(value, digits)}`,
+                bin: (value) => `%${bin(value)}`,
+                label: (name) => name
+            }
+        };
+
+        this.BASES = ['hex', 'dec', 'bin'];
+    }
+
+    /**
+     * List dialects for the export dialog
+     * @returns {Array<Object>} Dialects { id, name }
+     */
+    getDialects() {
+        return Object.entries(this.DIALECTS).map(([id, dialect]) => ({ id, name: dialect.name }));
+    }
+
+    /**
+     * Generate assembler source for byte blocks
+     * @param {Object} source - { header: Array<string>, blocks: Array<{ label, bytes, lineComment }>, routines }
+     *   lineComment(offset) may return a comment for the line starting at that offset;
+     *   routines are optional code appended after the data, see formatRoutine()
+     * @param {Object} options - { dialect, base, bytesPerLine, org }
+     * @returns {string} Assembly code
+     */
+    generate(source, options = {}) {
+        const dialect = this.getDialect(options.dialect || 'sjasmplus');
+        const base = options.base || 'hex';
+        const bytesPerLine = options.bytesPerLine === undefined ? 32 : options.bytesPerLine;
+        const org = this.parseAddress(options.org);
+
+        if (!this.BASES.includes(base)) {
+            throw new Error(`AsmFormat: unknown number base "${base}"`);
+        }
+        if (!Number.isInteger(bytesPerLine) || bytesPerLine < 1 || bytesPerLine > this.MAX_BYTES_PER_LINE) {
+            throw new Error(`AsmFormat: bytes per line must be 1-${this.MAX_BYTES_PER_LINE}`);
+        }
+
+        const formatByte = {
+            hex: (value) => dialect.hex(value, 2),
+            dec: (value) => String(value),
+            bin: (value) => dialect.bin(value)
+        }[base];
+
+        let asm = (source.header || []).map(line => line ? `; ${line}` : ';').join('\n') + '\n';
+        asm += `; Assembler: ${dialect.name}\n\n`;
+
+        const routines = source.routines || [];
+        if (dialect.exportLabel) {
+            [...source.blocks, ...routines].forEach(block => {
+                asm += `    ${dialect.exportLabel(block.label)}\n`;
+            });
+            asm += '\n';
+        }
+
+        if (org !== null) {
+            asm += `    ${dialect.org} ${dialect.hex(org, 4)}\n\n`;
+        } else if (dialect.section) {
+            asm += `    ${dialect.section}\n\n`;
+        }
+
+        source.blocks.forEach((block, index) => {
+            if (index > 0) asm += '\n';
+            asm += `${dialect.label(block.label)}\n`;
+
+            for (let offset = 0; offset < block.bytes.length; offset += bytesPerLine) {
+                const values = Array.from(block.bytes.subarray(offset, offset + bytesPerLine), formatByte);
+                const comment = block.lineComment ? block.lineComment(offset) : null;
+                asm += `    ${dialect.byteDirective} ${values.join(', ')}${comment ? `    ; ${comment}` : ''}\n`;
+            }
+        });
+
+        if (routines.length && org === null && dialect.codeSection) {
+            asm += `\n    ${dialect.codeSection}\n`;
+        }
+        routines.forEach(routine => {
+            asm += `\n${this.formatRoutine(routine, dialect)}`;
+        });
+
+        return asm;
+    }
+
+    /**
+     * Format a code routine for a dialect
+     * @param {Object} routine - { label, usage: Array<string>, lines: Array<[label, instruction, comment]> }
+     *   instructions may use {DB} for the dialect's byte directive
+     * @param {Object} dialect - Dialect
+     * @returns {string} Assembly code
+     */
+    formatRoutine(routine, dialect) {
+        let asm = (routine.usage || []).map(line => `; ${line}\n`).join('');
+        routine.lines.forEach(([label, instruction, comment]) => {
+            if (label) asm += `${dialect.label(label)}\n`;
+            const code = instruction.replace('{DB}', dialect.byteDirective);
+            asm += `    ${code}${comment ? `    ; ${comment}` : ''}\n`;
+        });
+        return asm;
+    }
+
+    /**
+     * Look up a dialect
+     * @param {string} id - Dialect id
+     * @returns {Object} Dialect
+     */
+    getDialect(id) {
+        const dialect = this.DIALECTS[id];
+        if (!dialect) {
+            throw new Error(`AsmFormat: unknown dialect "${id}"`);
+        }
+        return dialect;
+    }
+
+    /**
+     * Parse an ORG address typed as decimal, $FFFF, #FFFF, &FFFF, 0xFFFF or 0FFFFh
+     * @param {string|number|null} text - Address, or empty for none
+     * @returns {number|null} Address, or null when no ORG is wanted
+     */
+    parseAddress(text) {
+        if (text === null || text === undefined) return null;
+        if (typeof text === 'number') return this.checkAddress(text, text);
+
+        const value = String(text).trim();
+        if (value === '') return null;
+
+        let match;
+        if ((match = value.match(/^(?:\$|#|&|0x)([0-9a-f]+)$/i)) || (match = value.match(/^([0-9][0-9a-f]*)h$/i))) {
+            return this.checkAddress(parseInt(match[1], 16), value);
+        }
+        if (/^[0-9]+$/.test(value)) {
+            return this.checkAddress(parseInt(value, 10), value);
+        }
+        throw new Error(`AsmFormat: "${value}" is not a valid address`);
+    }
+
+    /**
+     * Make sure an address fits the Z80 address space
+     * @param {number} address - Parsed address
+     * @param {string|number} text - Original input for the error message
+     * @returns {number} Address
+     */
+    checkAddress(address, text) {
+        if (!Number.isInteger(address) || address < 0 || address > 0xFFFF) {
+            throw new Error(`AsmFormat: address ${text} is outside 0-65535`);
+        }
+        return address;
+    }
+
+    /**
+     * Turn a prefix into a valid assembler label part
+     * @param {string} prefix - Requested prefix
+     * @returns {string} Label-safe prefix, or empty
+     */
+    formatLabel(prefix) {
+        const label = String(prefix || '').trim().replace(/[^A-Za-z0-9_]/g, '_');
+        return /^[0-9]/.test(label) ? `_${label}` : label;
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AsmFormat;
+} else if (typeof window !== 'undefined') {
+    window.AsmFormat = AsmFormat;
+}
@@ -0,0 +1,149 @@
+/**
+ * C Format - Writes byte blocks as a C header and source pair, or as one header
+ * Arrays are plain `const unsigned char` with size macros, which both z88dk
+ * (sccz80/zsdcc) and SDCC accept without extensions.
+ *
+ * @class CFormat
+ */
+class CFormat {
+    constructor() {
+        this.MAX_BYTES_PER_LINE = 64;
+        this.BASES = ['hex', 'dec', 'bin'];
+    }
+
+    /**
+     * Generate a header and source file for byte blocks
+     * @param {Object} source - { header: Array<string>, blocks: Array<{ name, bytes, lineComment }> }
+     *   lineComment(offset) may return a comment for the line starting at that offset
+     * @param {Object} options - { base, bytesPerLine, fileName }
+     * @returns {Object} { header: string, source: string }
+     */
+    generate(source, options = {}) {
+        const layout = this.getLayout(options);
+        const banner = this.formatBanner(source.header);
+
+        let header = banner;
+        header += `#ifndef ${layout.guard}\n#define ${layout.guard}\n\n`;
+        header += this.formatSizeMacros(source.blocks);
+        source.blocks.forEach(block => {
+            header += `extern const unsigned char ${block.name}[${this.getSizeMacro(block)}];\n`;
+        });
+        header += `\n#endif /* ${layout.guard} */\n`;
+
+        let code = banner;
+        code += `#include "${layout.fileName}.h"\n`;
+        source.blocks.forEach(block => {
+            code += `\n${this.formatArray(block, 'const', layout)}`;
+        });
+
+        return { header, source: code };
+    }
+
+    /**
+     * Generate a single header that defines the byte blocks itself
+     * The arrays are static so the header can be included from more than one file.
+     * @param {Object} source - Same as generate()
+     * @param {Object} options - { base, bytesPerLine, fileName }
+     * @returns {string} Header text
+     */
+    generateSingle(source, options = {}) {
+        const layout = this.getLayout(options);
+
+        let header = this.formatBanner(source.header);
+        header += `#ifndef ${layout.guard}\n#define ${layout.guard}\n\n`;
+        header += this.formatSizeMacros(source.blocks);
+        header += source.blocks.map(block => this.formatArray(block, 'static const', layout)).join('\n');
+        header += `\n#endif /* ${layout.guard} */\n`;
+
+        return header;
+    }
+
+    /**
+     * Validate options and work out the shared layout
+     * @param {Object} options - { base, bytesPerLine, fileName }
+     * @returns {Object} { formatByte, bytesPerLine, fileName, guard }
+     */
+    getLayout(options) {
+        const base = options.base || 'hex';
+        const bytesPerLine = options.bytesPerLine === undefined ? 16 : options.bytesPerLine;
+        const fileName = options.fileName || 'screen';
+
+        if (!this.BASES.includes(base)) {
+            throw new Error(`CFormat: unknown number base "${base}"`);
+        }
+        if (!Number.isInteger(bytesPerLine) || bytesPerLine < 1 || bytesPerLine > this.MAX_BYTES_PER_LINE) {
+            throw new Error(`CFormat: bytes per line must be 1-${this.MAX_BYTES_PER_LINE}`);
+        }
+
+        const formatByte = {
+            hex: (value) => `0x${value.toString(16).toUpperCase().padStart(2, '0')}`,
+            dec: (value) => String(value),
+            // Binary literals are a compiler extension, but z88dk and SDCC both have it
+            bin: (value) => `0b${value.toString(2).padStart(8, '0')}`
+        }[base];
+
+        return { formatByte, bytesPerLine, fileName, guard: `${this.formatIdentifier(fileName).toUpperCase()}_H` };
+    }
+
+    /**
+     * Comment block with the header lines
+     * @param {Array<string>} lines - Header lines
+     * @returns {string} C comment followed by a blank line
+     */
+    formatBanner(lines) {
+        return `/*\n${(lines || []).map(line => ` * ${line}`).join('\n')}\n */\n\n`;
+    }
+
+    /**
+     * Size macro name for a block
+     * @param {Object} block - { name }
+     * @returns {string} Macro name
+     */
+    getSizeMacro(block) {
+        return `${block.name.toUpperCase()}_SIZE`;
+    }
+
+    /**
+     * Size macro definitions for the blocks
+     * @param {Array<Object>} blocks - { name, bytes }
+     * @returns {string} One #define per block followed by a blank line
+     */
+    formatSizeMacros(blocks) {
+        return blocks.map(block => `#define ${this.getSizeMacro(block)} ${block.bytes.length}\n`).join('') + '\n';
+    }
+
+    /**
+     * Array definition for a block
+     * @param {Object} block - { name, bytes, lineComment }
+     * @param {string} qualifiers - Storage and type qualifiers before the type
+     * @param {Object} layout - Result of getLayout()
+     * @returns {string} Array definition
+     */
+    formatArray(block, qualifiers, layout) {
+        let code = `${qualifiers} unsigned char ${block.name}[${this.getSizeMacro(block)}] = {\n`;
+        for (let offset = 0; offset < block.bytes.length; offset += layout.bytesPerLine) {
+            const values = Array.from(block.bytes.subarray(offset, offset + layout.bytesPerLine), layout.formatByte);
+            const last = offset + layout.bytesPerLine >= block.bytes.length;
+            const comment = block.lineComment ? block.lineComment(offset) : null;
+            code += `    ${values.join(', ')}${last ? '' : ','}${comment ? `    /* ${comment} */` : ''}\n`;
+        }
+        return code + '};\n';
+    }
+
+    /**
+     * Turn text into a valid C identifier part
+     * @param {string} text - Requested name
+     * @returns {string} Identifier-safe text, or empty
+     */
+    formatIdentifier(text) {
+        const identifier = String(text || '').trim().replace(/[^A-Za-z0-9_]/g, '_');
+        return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CFormat;
+} else if (typeof window !== 'undefined') {
+    window.CFormat = CFormat;
+}
@@ -0,0 +1,197 @@
+/**
+ * Charset Format - Spectrum fonts and UDG sets
+ * A font is 96 glyphs (CHR$ 32-127) of 8 bytes each, top row first with the
+ * leftmost pixel in bit 7, exactly as the ROM and CHARS expect it. A UDG set
+ * is the 21 glyphs (A-U) that live at USR "a".
+ *
+ * @class CharsetFormat
+ */
+class CharsetFormat {
+    constructor() {
+        this.BYTES_PER_GLYPH = 8;
+        this.FONT_GLYPHS = 96;
+        this.UDG_GLYPHS = 21;
+        this.FONT_SIZE = this.FONT_GLYPHS * this.BYTES_PER_GLYPH;
+        this.UDG_SIZE = this.UDG_GLYPHS * this.BYTES_PER_GLYPH;
+
+        // Full 256-character sets (PC style dumps) start the printable range at CHR$ 32
+        this.FULL_CHARSET_SIZE = 2048;
+        this.FIRST_CHAR = 32;
+        this.FIRST_UDG_CHAR = 144;
+
+        // ROM character set, one glyph per entry, CHR$ 32-127
+        this.ROM_FONT = [
+            '0000000000000000', // space
+            '0010101010001000', // !
+            '0024240000000000', // "
+            '00247E24247E2400', // #
+            '00083E283E0A3E08', // $
+            '0062640810264600', // %
+            '001028102A443A00', // &
+            '0008100000000000', // '
+            '0004080808080400', // (
+            '0020101010102000', // )
+            '0000140836081400', // *
+            '000008083E080800', // +
+            '0000000000080810', // ,
+            '000000003E000000', // -
+            '0000000000181800', // .
+            '0000020408102000', // /
+            '003C464A52623C00', // 0
+            '0018280808083E00', // 1
+            '003C42023C407E00', // 2
+            '003C420C02423C00', // 3
+            '00081828487E0800', // 4
+            '007E407C02423C00', // 5
+            '003C407C42423C00', // 6
+            '007E020408101000', // 7
+            '003C423C42423C00', // 8
+            '003C42423E023C00', // 9
+            '0000001000001000', // :
+            '0000100000101020', // ;
+            '0000040810080400', // <
+            '0000003E003E0000', // =
+            '0000100804081000', // >
+            '003C420408000800', // ?
+            '003C4A565E403C00', // @
+            '003C42427E424200', // A
+            '007C427C42427C00', // B
+            '003C424040423C00', // C
+            '0078444242447800', // D
+            '007E407C40407E00', // E
+            '007E407C40404000', // F
+            '003C42404E423C00', // G
+            '0042427E42424200', // H
+            '003E080808083E00', // I
+            '0002020242423C00', // J
+            '0044487048444200', // K
+            '0040404040407E00', // L
+            '0042665A42424200', // M
+            '004262524A464200', // N
+            '003C424242423C00', // O
+            '007C42427C404000', // P
+            '003C4242524A3C00', // Q
+            '007C42427C444200', // R
+            '003C403C02423C00', // S
+            '00FE101010101000', // T
+            '0042424242423C00', // U
+            '0042424242241800', // V
+            '00424242425A2400', // W
+            '0042241818244200', // X
+            '0082442810101000', // Y
+            '007E040810207E00', // Z
+            '000E080808080E00', // [
+            '0000402010080400', // backslash
+            '0070101010107000', // ]
+            '0010385410101000', // ^
+            '00000000000000FF', // _
+            '001C227820207E00', // £
+            '000038043C443C00', // a
+            '0020203C22223C00', // b
+            '00001C2020201C00', // c
+            '0004043C44443C00', // d
+            '0000384478403C00', // e
+            '000C101810101000', // f
+            '00003C44443C0438', // g
+            '0040407844444400', // h
+            '0010003010103800', // i
+            '0004000404042418', // j
+            '0020283030282400', // k
+            '0010101010100C00', // l
+            '0000685454545400', // m
+            '0000784444444400', // n
+            '0000384444443800', // o
+            '0000784444784040', // p
+            '00003C44443C0406', // q
+            '00001C2020202000', // r
+            '0000384038047800', // s
+            '0010381010100C00', // t
+            '0000444444443800', // u
+            '0000444428281000', // v
+            '0000445454542800', // w
+            '0000442810284400', // x
+            '00004444443C0438', // y
+            '00007C0810207C00', // z
+            '000E083008080E00', // {
+            '0008080808080800', // |
+            '0070100C10107000', // }
+            '0014280000000000', // ~
+            '3C4299A1A199423C'  // ©
+        ];
+    }
+
+    /**
+     * Get a copy of the ROM font
+     * @returns {Uint8Array} 768 bytes
+     */
+    getRomFont() {
+        const font = new Uint8Array(this.FONT_SIZE);
+        this.ROM_FONT.forEach((glyph, index) => {
+            for (let row = 0; row < this.BYTES_PER_GLYPH; row++) {
+                font[index * this.BYTES_PER_GLYPH + row] = parseInt(glyph.substr(row * 2, 2), 16);
+            }
+        });
+        return font;
+    }
+
+    /**
+     * Get the UDGs as the ROM sets them up at power-on: copies of A-U
+     * @returns {Uint8Array} 168 bytes
+     */
+    getRomUDG() {
+        const start = ('A'.charCodeAt(0) - this.FIRST_CHAR) * this.BYTES_PER_GLYPH;
+        return this.getRomFont().slice(start, start + this.UDG_SIZE);
+    }
+
+    /**
+     * Work out what a loaded file holds
+     * .udg files may be shorter than 21 glyphs; fonts are raw 768-byte dumps
+     * (.ch8 and friends) or full 2048-byte sets.
+     * @param {Uint8Array} data - File contents
+     * @param {string} fileName - File name, used to tell short UDG files apart
+     * @returns {Object} { type: 'font'|'udg', bytes: Uint8Array }
+     */
+    parse(data, fileName = '') {
+        const length = data.length;
+        const isUDGFile = /\.udg$/i.test(fileName);
+
+        if (isUDGFile || length === this.UDG_SIZE) {
+            if (length === 0 || length % this.BYTES_PER_GLYPH !== 0 || length > this.UDG_SIZE) {
+                throw new Error(`CharsetFormat: ${length} bytes is not a UDG set (8-${this.UDG_SIZE} bytes, 8 per glyph)`);
+            }
+            return { type: 'udg', bytes: data.slice() };
+        }
+        if (length === this.FONT_SIZE) {
+            return { type: 'font', bytes: data.slice() };
+        }
+        if (length === this.FULL_CHARSET_SIZE) {
+            const start = this.FIRST_CHAR * this.BYTES_PER_GLYPH;
+            return { type: 'font', bytes: data.slice(start, start + this.FONT_SIZE) };
+        }
+        throw new Error(`CharsetFormat: ${length} bytes is not a ${this.FONT_SIZE}-byte font, ${this.FULL_CHARSET_SIZE}-byte charset or UDG set`);
+    }
+
+    /**
+     * Describe a glyph the way BASIC would refer to it
+     * @param {string} type - 'font' or 'udg'
+     * @param {number} index - Glyph index
+     * @returns {string} Label such as CHR$ 65 "A" or UDG "A" (CHR$ 144)
+     */
+    getGlyphLabel(type, index) {
+        if (type === 'udg') {
+            return `UDG "${String.fromCharCode(65 + index)}" (CHR$ ${this.FIRST_UDG_CHAR + index})`;
+        }
+
+        const code = this.FIRST_CHAR + index;
+        // The Spectrum has £ and © where ASCII has ` and DEL
+        const char = { 96: '£', 127: '©' }[code] || String.fromCharCode(code);
+        return `CHR$ ${code} "${char}"`;
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CharsetFormat;
+} else if (typeof window !== 'undefined') {
+    window.CharsetFormat = CharsetFormat;
+}
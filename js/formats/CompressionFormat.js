@@ -0,0 +1,700 @@
+/**
+ * Compression Format - Packs data for Z80 depackers
+ * ZX0 and ZX7 use optimal parsing over bit costs, LZ4 writes a raw block
+ * (no frame header) and RLE is a simple run/literal byte format. Each method
+ * comes with the matching standard Z80 depacker, written with decimal
+ * constants so it assembles in any dialect.
+ *
+ * @class CompressionFormat
+ */
+class CompressionFormat {
+    constructor() {
+        this.METHODS = {
+            zx0: { name: 'ZX0', extension: 'zx0', depacker: 'dzx0_standard' },
+            zx7: { name: 'ZX7', extension: 'zx7', depacker: 'dzx7_standard' },
+            rle: { name: 'RLE', extension: 'rle', depacker: 'drle' },
+            lz4: { name: 'LZ4 (raw block)', extension: 'lz4', depacker: 'dlz4' }
+        };
+
+        // Format limits
+        this.ZX0_MAX_OFFSET = 32640;
+        this.ZX7_MAX_OFFSET = 2176;
+        this.LZ4_MAX_OFFSET = 65535;
+        this.LZ4_MIN_MATCH = 4;
+        // LZ4 blocks end with at least 5 literals and the last match starts 12 bytes before the end
+        this.LZ4_LAST_LITERALS = 5;
+        this.LZ4_MATCH_LIMIT = 12;
+        this.RLE_MAX_LITERALS = 128;
+        this.RLE_MAX_RUN = 128;
+        this.RLE_END = 0xFF;
+    }
+
+    /**
+     * List compression methods
+     * @returns {Array<Object>} Methods { id, name, extension }
+     */
+    getMethods() {
+        return Object.entries(this.METHODS).map(([id, method]) => ({ id, name: method.name, extension: method.extension }));
+    }
+
+    /**
+     * Compress data with a method
+     * @param {string} method - Method id
+     * @param {Uint8Array} data - Data to pack
+     * @returns {Uint8Array} Packed data
+     */
+    compress(method, data) {
+        switch (method) {
+            case 'zx0': return this.compressZX0(data);
+            case 'zx7': return this.compressZX7(data);
+            case 'rle': return this.compressRLE(data);
+            case 'lz4': return this.compressLZ4(data);
+            default:
+                throw new Error(`CompressionFormat: unknown method "${method}"`);
+        }
+    }
+
+    /**
+     * Bits used by an Elias gamma code (interlaced or not, the count is the same)
+     * @param {number} value - Value >= 1
+     * @returns {number} Bit count
+     */
+    gammaBits(value) {
+        let bits = 1;
+        while (value > 1) {
+            value >>= 1;
+            bits += 2;
+        }
+        return bits;
+    }
+
+    /**
+     * Walk positions from the end, keeping the match length at each offset up to date
+     * Calls visit(i, lengths, maxOffset) where lengths[offset] is the match length at i.
+     * @param {Uint8Array} data - Input
+     * @param {number} maxOffset - Largest offset the format supports
+     * @param {Function} visit - Callback per position, last to first
+     */
+    scanMatchesBackwards(data, maxOffset, visit) {
+        const lengths = new Uint32Array(maxOffset + 1);
+        for (let i = data.length - 1; i >= 1; i--) {
+            const limit = Math.min(i, maxOffset);
+            for (let offset = 1; offset <= limit; offset++) {
+                lengths[offset] = data[i] === data[i - offset] ? lengths[offset] + 1 : 0;
+            }
+            visit(i, lengths, limit);
+        }
+    }
+
+    /**
+     * Create a minimum tree over costs, for range queries while parsing backwards
+     * Ties go to the higher index so longer matches and runs win.
+     * @param {number} size - Number of positions
+     * @returns {Object} { set(index, value), get(index), min(from, to) => { value, index } }
+     */
+    createMinTree(size) {
+        let leaves = 1;
+        while (leaves < size) leaves <<= 1;
+        const values = new Float64Array(leaves * 2).fill(Infinity);
+        const indices = new Int32Array(leaves * 2).fill(-1);
+        const better = (a, b) => values[a] < values[b] || (values[a] === values[b] && indices[a] > indices[b]);
+
+        return {
+            set: (index, value) => {
+                let node = index + leaves;
+                values[node] = value;
+                indices[node] = index;
+                for (node >>= 1; node >= 1; node >>= 1) {
+                    const pick = better(node * 2, node * 2 + 1) ? node * 2 : node * 2 + 1;
+                    values[node] = values[pick];
+                    indices[node] = indices[pick];
+                }
+            },
+            get: (index) => values[index + leaves],
+            min: (from, to) => {
+                let best = 0;
+                values[0] = Infinity;
+                indices[0] = -1;
+                for (let lo = from + leaves, hi = to + leaves + 1; lo < hi; lo >>= 1, hi >>= 1) {
+                    if (lo & 1) {
+                        if (better(lo, best)) best = lo;
+                        lo++;
+                    }
+                    if (hi & 1) {
+                        hi--;
+                        if (better(hi, best)) best = hi;
+                    }
+                }
+                return { value: values[best], index: indices[best] };
+            }
+        };
+    }
+
+    /**
+     * Find the cheapest length where the cost is a gamma code plus the cost stored after it
+     * Gamma size is constant across powers of two, so each band needs one range query.
+     * @param {Object} tree - Minimum tree of costs by position
+     * @param {number} start - Position the length counts from
+     * @param {number} first - Shortest length to try
+     * @param {number} last - Longest length to try
+     * @param {number} gammaBias - Subtracted from the length before gamma coding
+     * @returns {Object} { bits, length } - bits is Infinity when nothing fits
+     */
+    searchGammaBands(tree, start, first, last, gammaBias) {
+        let best = { bits: Infinity, length: 0 };
+        for (let band = 1, gamma = 1; band + gammaBias <= last; band <<= 1, gamma += 2) {
+            const lo = Math.max(first, band + gammaBias);
+            const hi = Math.min(last, band * 2 - 1 + gammaBias);
+            if (lo > hi) continue;
+
+            const found = tree.min(start + lo, start + hi);
+            if (gamma + found.value < best.bits || (gamma + found.value === best.bits && found.index - start > best.length)) {
+                best = { bits: gamma + found.value, length: found.index - start };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Create an MSB-first bit writer that interleaves bits with whole bytes
+     * @returns {Object} { bytes, writeByte, writeBit }
+     */
+    createBitWriter() {
+        const bytes = [];
+        let bitIndex = -1;
+        let bitMask = 0;
+
+        return {
+            bytes,
+            writeByte: (value) => bytes.push(value & 0xFF),
+            writeBit: (value) => {
+                if (bitMask === 0) {
+                    bitMask = 0x80;
+                    bitIndex = bytes.length;
+                    bytes.push(0);
+                }
+                if (value) bytes[bitIndex] |= bitMask;
+                bitMask >>= 1;
+            }
+        };
+    }
+
+    /**
+     * Compress with ZX0 (v2 format, as read by dzx0_standard)
+     * @param {Uint8Array} data - Data to pack
+     * @returns {Uint8Array} Packed data
+     */
+    compressZX0(data) {
+        const n = data.length;
+        if (n === 0) throw new Error('CompressionFormat: nothing to compress');
+
+        const END_BITS = 1 + this.gammaBits(256);
+        // afterMatch[i]/afterLiterals[i]: cheapest bits from i, depending on the block before it
+        const afterMatch = this.createMinTree(n + 1);
+        // Literal runs are searched on afterLiterals[j] + 8j so the run's byte cost is folded in
+        const afterLiterals = new Float64Array(n + 1);
+        const literalsFrom = this.createMinTree(n + 1);
+        const matchChoice = new Array(n + 1);
+        const literalsChoice = new Array(n + 1);
+        afterMatch.set(n, END_BITS);
+        afterLiterals[n] = END_BITS;
+        literalsFrom.set(n, END_BITS + 8 * n);
+
+        // Offset classes share a cost: MSB gamma plus 7 bits of LSB (its last bit holds length)
+        const classes = [];
+        for (let msbBits = 0; (1 << msbBits) <= 255; msbBits++) {
+            const first = ((1 << msbBits) - 1) * 128 + 1;
+            const last = Math.min(((1 << (msbBits + 1)) - 1) * 128, this.ZX0_MAX_OFFSET);
+            classes.push({ first, last, bits: 1 + this.gammaBits(1 << msbBits) + 7 });
+        }
+
+        // Literal runs may only be followed by a match; this finds the best match from each i
+        const bestMatchFrom = (i, lengths, limit) => {
+            let best = { bits: Infinity };
+            let maxLength = 1;
+            classes.forEach(offsetClass => {
+                if (offsetClass.first > limit) return;
+                let length = 0;
+                let offset = 0;
+                for (let o = offsetClass.first; o <= Math.min(offsetClass.last, limit); o++) {
+                    if (lengths[o] > length) {
+                        length = lengths[o];
+                        offset = o;
+                    }
+                }
+                // Shorter lengths are already covered by a cheaper class
+                const found = this.searchGammaBands(afterMatch, i, Math.max(2, maxLength + 1), length, 1);
+                if (offsetClass.bits + found.bits < best.bits) {
+                    best = { bits: offsetClass.bits + found.bits, length: found.length, offset };
+                }
+                maxLength = Math.max(maxLength, length);
+            });
+            return best;
+        };
+
+        this.scanMatchesBackwards(data, Math.min(this.ZX0_MAX_OFFSET, n - 1), (i, lengths, limit) => {
+            const match = bestMatchFrom(i, lengths, limit);
+            afterLiterals[i] = match.bits;
+            literalsFrom.set(i, match.bits + 8 * i);
+            literalsChoice[i] = match.bits < Infinity ? match : null;
+
+            let best = { bits: 1 + match.bits, length: match.length, offset: match.offset };
+            const run = this.searchGammaBands(literalsFrom, i, 1, n - i, 0);
+            if (1 + run.bits - 8 * i < best.bits) best = { bits: 1 + run.bits - 8 * i, literals: run.length };
+            afterMatch.set(i, best.bits);
+            matchChoice[i] = best;
+        });
+
+        // The stream always opens with literals, without an indicator bit
+        const firstRun = this.searchGammaBands(literalsFrom, 0, 1, n, 0).length;
+
+        const writer = this.createBitWriter();
+        let backtrack = false;
+        const writeBit = (value) => {
+            if (backtrack) {
+                // Reuse the spare low bit of the offset LSB byte
+                if (value) writer.bytes[writer.bytes.length - 1] |= 1;
+                backtrack = false;
+            } else {
+                writer.writeBit(value);
+            }
+        };
+        const writeGamma = (value, inverted) => {
+            let i = 2;
+            while (i <= value) i <<= 1;
+            i >>= 1;
+            while ((i >>= 1) > 0) {
+                writeBit(0);
+                writeBit(inverted ? !(value & i) : (value & i));
+            }
+            writeBit(1);
+        };
+
+        const writeLiterals = (index, count, first) => {
+            if (!first) writeBit(0);
+            writeGamma(count, false);
+            for (let k = 0; k < count; k++) writer.writeByte(data[index + k]);
+        };
+
+        let lastOffset = 1;
+        let previousLiterals = true;
+        let index = firstRun;
+        writeLiterals(0, firstRun, true);
+
+        while (index < n) {
+            const choice = previousLiterals ? literalsChoice[index] : matchChoice[index];
+            if (choice.literals) {
+                writeLiterals(index, choice.literals, false);
+                index += choice.literals;
+                previousLiterals = true;
+            } else if (previousLiterals && choice.offset === lastOffset) {
+                writeBit(0);
+                writeGamma(choice.length, false);
+                index += choice.length;
+                previousLiterals = false;
+            } else {
+                writeBit(1);
+                writeGamma(Math.floor((choice.offset - 1) / 128) + 1, true);
+                writer.writeByte((127 - (choice.offset - 1) % 128) << 1);
+                backtrack = true;
+                writeGamma(choice.length - 1, false);
+                index += choice.length;
+                lastOffset = choice.offset;
+                previousLiterals = false;
+            }
+        }
+
+        // End marker: a new offset with MSB 256
+        writeBit(1);
+        writeGamma(256, true);
+        return Uint8Array.from(writer.bytes);
+    }
+
+    /**
+     * Compress with ZX7 (as read by dzx7_standard)
+     * @param {Uint8Array} data - Data to pack
+     * @returns {Uint8Array} Packed data
+     */
+    compressZX7(data) {
+        const n = data.length;
+        if (n === 0) throw new Error('CompressionFormat: nothing to compress');
+
+        const cost = this.createMinTree(n + 1);
+        const choice = new Array(n + 1);
+        cost.set(n, 0);
+
+        this.scanMatchesBackwards(data, Math.min(this.ZX7_MAX_OFFSET, n - 1), (i, lengths, limit) => {
+            let best = { bits: 9 + cost.get(i + 1) };
+
+            // Offsets up to 128 fit in one byte, longer ones need 4 more bits
+            let maxLength = 1;
+            [[1, 128, 9], [129, this.ZX7_MAX_OFFSET, 13]].forEach(([first, last, offsetBits]) => {
+                let length = 0;
+                let offset = 0;
+                for (let o = first; o <= Math.min(last, limit); o++) {
+                    if (lengths[o] > length) {
+                        length = lengths[o];
+                        offset = o;
+                    }
+                }
+                const found = this.searchGammaBands(cost, i, Math.max(2, maxLength + 1), length, 1);
+                if (offsetBits + found.bits <= best.bits) {
+                    best = { bits: offsetBits + found.bits, length: found.length, offset };
+                }
+                maxLength = Math.max(maxLength, length);
+            });
+
+            cost.set(i, best.bits);
+            choice[i] = best;
+        });
+
+        const writer = this.createBitWriter();
+        const writeGamma = (value) => {
+            let i = 2;
+            while (i <= value) {
+                writer.writeBit(0);
+                i <<= 1;
+            }
+            while ((i >>= 1) > 0) writer.writeBit(value & i);
+        };
+
+        // First byte is always a literal, without an indicator bit
+        writer.writeByte(data[0]);
+        let index = 1;
+        while (index < n) {
+            const step = choice[index];
+            if (!step.length) {
+                writer.writeBit(0);
+                writer.writeByte(data[index]);
+                index++;
+                continue;
+            }
+
+            writer.writeBit(1);
+            writeGamma(step.length - 1);
+            const offset = step.offset - 1;
+            if (offset < 128) {
+                writer.writeByte(offset);
+            } else {
+                const extended = offset - 128;
+                writer.writeByte((extended & 127) | 128);
+                for (let mask = 1024; mask > 127; mask >>= 1) writer.writeBit(extended & mask);
+            }
+            index += step.length;
+        }
+
+        // End marker: a length with 16 leading zeros
+        writer.writeBit(1);
+        for (let i = 0; i < 16; i++) writer.writeBit(0);
+        writer.writeBit(1);
+        return Uint8Array.from(writer.bytes);
+    }
+
+    /**
+     * Compress with simple RLE
+     * Control byte 0-127: copy that many +1 literal bytes; 128-254: repeat the next
+     * byte (control - 126) times; 255: end.
+     * @param {Uint8Array} data - Data to pack
+     * @returns {Uint8Array} Packed data
+     */
+    compressRLE(data) {
+        const output = [];
+        let literals = [];
+        const flushLiterals = () => {
+            if (literals.length === 0) return;
+            output.push(literals.length - 1, ...literals);
+            literals = [];
+        };
+
+        let index = 0;
+        while (index < data.length) {
+            let run = 1;
+            while (index + run < data.length && data[index + run] === data[index] && run < this.RLE_MAX_RUN) run++;
+
+            // Two equal bytes cost the same either way; only break a literal run for three or more
+            if (run >= 3 || (run === 2 && literals.length === 0)) {
+                flushLiterals();
+                output.push(0x80 + run - 2, data[index]);
+                index += run;
+            } else {
+                literals.push(data[index++]);
+                if (literals.length === this.RLE_MAX_LITERALS) flushLiterals();
+            }
+        }
+
+        flushLiterals();
+        output.push(this.RLE_END);
+        return Uint8Array.from(output);
+    }
+
+    /**
+     * Compress as a raw LZ4 block (greedy longest match)
+     * @param {Uint8Array} data - Data to pack
+     * @returns {Uint8Array} Packed data
+     */
+    compressLZ4(data) {
+        const n = data.length;
+        const output = [];
+        const writeLength = (value) => {
+            while (value >= 255) {
+                output.push(255);
+                value -= 255;
+            }
+            output.push(value);
+        };
+        const writeSequence = (literalStart, literalCount, offset, matchLength) => {
+            const matchCode = offset ? matchLength - this.LZ4_MIN_MATCH : 0;
+            output.push((Math.min(literalCount, 15) << 4) | Math.min(matchCode, 15));
+            if (literalCount >= 15) writeLength(literalCount - 15);
+            for (let i = 0; i < literalCount; i++) output.push(data[literalStart + i]);
+            if (!offset) return;
+
+            output.push(offset & 0xFF, offset >> 8);
+            if (matchCode >= 15) writeLength(matchCode - 15);
+        };
+
+        const matchEnd = n - this.LZ4_LAST_LITERALS;
+        let literalStart = 0;
+        let index = 0;
+        while (index < n - this.LZ4_MATCH_LIMIT) {
+            let bestLength = 0;
+            let bestOffset = 0;
+            for (let offset = 1; offset <= Math.min(index, this.LZ4_MAX_OFFSET); offset++) {
+                let length = 0;
+                while (index + length < matchEnd && data[index + length] === data[index + length - offset]) length++;
+                if (length > bestLength) {
+                    bestLength = length;
+                    bestOffset = offset;
+                    if (index + length === matchEnd) break;
+                }
+            }
+
+            if (bestLength < this.LZ4_MIN_MATCH) {
+                index++;
+                continue;
+            }
+            writeSequence(literalStart, index - literalStart, bestOffset, bestLength);
+            index += bestLength;
+            literalStart = index;
+        }
+
+        // Final sequence holds only literals
+        writeSequence(literalStart, n - literalStart, 0, 0);
+        return Uint8Array.from(output);
+    }
+
+    /**
+     * Z80 depacker for a method
+     * Instructions use decimal constants; {DB} stands for the dialect's byte directive.
+     * @param {string} method - Method id
+     * @returns {Object} { label, usage: Array<string>, lines: Array<[label, instruction, comment]> }
+     */
+    getDepacker(method) {
+        const depackers = {
+            zx0: {
+                label: 'dzx0_standard',
+                usage: ['ZX0 decoder by Einar Saukas & Urusergi, "standard" version', 'HL = packed data, DE = destination'],
+                lines: [
+                    ['dzx0_standard', 'ld bc, 65535', 'preserve default offset 1'],
+                    [null, 'push bc'],
+                    [null, 'inc bc'],
+                    [null, 'ld a, 128'],
+                    ['dzx0s_literals', 'call dzx0s_elias', 'obtain length'],
+                    [null, 'ldir', 'copy literals'],
+                    [null, 'add a, a', 'copy from last offset or new offset?'],
+                    [null, 'jr c, dzx0s_new_offset'],
+                    [null, 'call dzx0s_elias', 'obtain length'],
+                    ['dzx0s_copy', 'ex (sp), hl', 'preserve source, restore offset'],
+                    [null, 'push hl', 'preserve offset'],
+                    [null, 'add hl, de', 'calculate destination - offset'],
+                    [null, 'ldir', 'copy from offset'],
+                    [null, 'pop hl', 'restore offset'],
+                    [null, 'ex (sp), hl', 'preserve offset, restore source'],
+                    [null, 'add a, a', 'copy from literals or new offset?'],
+                    [null, 'jr nc, dzx0s_literals'],
+                    ['dzx0s_new_offset', 'pop bc', 'discard last offset'],
+                    [null, 'ld c, 254', 'prepare negative offset'],
+                    [null, 'call dzx0s_elias_loop', 'obtain offset MSB'],
+                    [null, 'inc c'],
+                    [null, 'ret z', 'check end marker'],
+                    [null, 'ld b, c'],
+                    [null, 'ld c, (hl)', 'obtain offset LSB'],
+                    [null, 'inc hl'],
+                    [null, 'rr b', 'last offset bit becomes first length bit'],
+                    [null, 'rr c'],
+                    [null, 'push bc', 'preserve new offset'],
+                    [null, 'ld bc, 1', 'obtain length'],
+                    [null, 'call nc, dzx0s_elias_backtrack'],
+                    [null, 'inc bc'],
+                    [null, 'jr dzx0s_copy'],
+                    ['dzx0s_elias', 'inc c', 'interlaced Elias gamma coding'],
+                    ['dzx0s_elias_loop', 'add a, a'],
+                    [null, 'jr nz, dzx0s_elias_skip'],
+                    [null, 'ld a, (hl)', 'load another group of 8 bits'],
+                    [null, 'inc hl'],
+                    [null, 'rla'],
+                    ['dzx0s_elias_skip', 'ret c'],
+                    ['dzx0s_elias_backtrack', 'add a, a'],
+                    [null, 'rl c'],
+                    [null, 'rl b'],
+                    [null, 'jr dzx0s_elias_loop']
+                ]
+            },
+            zx7: {
+                label: 'dzx7_standard',
+                usage: ['ZX7 decoder by Einar Saukas, Antonio Villena & Metalbrain, "standard" version', 'HL = packed data, DE = destination'],
+                lines: [
+                    ['dzx7_standard', 'ld a, 128'],
+                    ['dzx7s_copy_byte_loop', 'ldi', 'copy literal byte'],
+                    ['dzx7s_main_loop', 'call dzx7s_next_bit'],
+                    [null, 'jr nc, dzx7s_copy_byte_loop', 'next bit indicates either literal or sequence'],
+                    [null, 'push de', 'determine number of bits used for length (Elias gamma coding)'],
+                    [null, 'ld bc, 0'],
+                    [null, 'ld d, b'],
+                    ['dzx7s_len_size_loop', 'inc d'],
+                    [null, 'call dzx7s_next_bit'],
+                    [null, 'jr nc, dzx7s_len_size_loop'],
+                    ['dzx7s_len_value_loop', 'call nc, dzx7s_next_bit', 'determine length'],
+                    [null, 'rl c'],
+                    [null, 'rl b'],
+                    [null, 'jr c, dzx7s_exit', 'check end marker'],
+                    [null, 'dec d'],
+                    [null, 'jr nz, dzx7s_len_value_loop'],
+                    [null, 'inc bc', 'adjust length'],
+                    [null, 'ld e, (hl)', 'load offset flag (1 bit) + offset value (7 bits)'],
+                    [null, 'inc hl'],
+                    [null, '{DB} 203, 51', 'undocumented instruction "SLL E"'],
+                    [null, 'jr nc, dzx7s_offset_end', 'if offset flag is set, load 4 extra bits'],
+                    [null, 'ld d, 16', 'bit marker to load 4 bits'],
+                    ['dzx7s_rld_next_bit', 'call dzx7s_next_bit'],
+                    [null, 'rl d', 'insert next bit into D'],
+                    [null, 'jr nc, dzx7s_rld_next_bit', 'repeat 4 times, until bit marker is out'],
+                    [null, 'inc d', 'add 128 to DE'],
+                    [null, 'srl d', 'retrieve fourth bit from D'],
+                    ['dzx7s_offset_end', 'rr e', 'insert fourth bit into E'],
+                    [null, 'ex (sp), hl', 'store source, restore destination'],
+                    [null, 'push hl', 'store destination'],
+                    [null, 'sbc hl, de', 'HL = destination - offset - 1'],
+                    [null, 'pop de', 'DE = destination'],
+                    [null, 'ldir'],
+                    ['dzx7s_exit', 'pop hl', 'restore source address (compressed data)'],
+                    [null, 'jr nc, dzx7s_main_loop'],
+                    ['dzx7s_next_bit', 'add a, a', 'check next bit'],
+                    [null, 'ret nz', 'no more bits left?'],
+                    [null, 'ld a, (hl)', 'load another group of 8 bits'],
+                    [null, 'inc hl'],
+                    [null, 'rla'],
+                    [null, 'ret']
+                ]
+            },
+            rle: {
+                label: 'drle',
+                usage: ['RLE decoder', 'HL = packed data, DE = destination'],
+                lines: [
+                    ['drle', 'ld a, (hl)', 'control byte'],
+                    [null, 'inc hl'],
+                    [null, 'cp 255'],
+                    [null, 'ret z', 'end marker'],
+                    [null, 'cp 128'],
+                    [null, 'jr nc, drle_repeat'],
+                    [null, 'ld c, a', 'copy A + 1 literal bytes'],
+                    [null, 'ld b, 0'],
+                    [null, 'inc bc'],
+                    [null, 'ldir'],
+                    [null, 'jr drle'],
+                    ['drle_repeat', 'sub 126', 'repeat the next byte A - 126 times'],
+                    [null, 'ld b, a'],
+                    [null, 'ld a, (hl)'],
+                    [null, 'inc hl'],
+                    ['drle_fill', 'ld (de), a'],
+                    [null, 'inc de'],
+                    [null, 'djnz drle_fill'],
+                    [null, 'jr drle']
+                ]
+            },
+            lz4: {
+                label: 'dlz4',
+                usage: ['LZ4 raw block decoder', 'HL = packed data, DE = destination, BC = packed size'],
+                lines: [
+                    ['dlz4', 'push hl'],
+                    [null, 'add hl, bc'],
+                    [null, 'ex (sp), hl', 'keep the end of the block on the stack'],
+                    ['dlz4_sequence', 'ld a, (hl)', 'token: literal length, match length'],
+                    [null, 'inc hl'],
+                    [null, 'ld c, a'],
+                    [null, 'ex af, af\'', 'keep the token for the match length'],
+                    [null, 'ld a, c'],
+                    [null, 'rrca'],
+                    [null, 'rrca'],
+                    [null, 'rrca'],
+                    [null, 'rrca'],
+                    [null, 'and 15'],
+                    [null, 'call dlz4_length'],
+                    [null, 'ld a, b'],
+                    [null, 'or c'],
+                    [null, 'jr z, dlz4_match'],
+                    [null, 'ldir', 'copy literals'],
+                    [null, 'ex (sp), hl', 'stop once the source reaches the end'],
+                    [null, 'pop bc'],
+                    [null, 'push hl'],
+                    [null, 'or a'],
+                    [null, 'sbc hl, bc'],
+                    [null, 'ld h, b'],
+                    [null, 'ld l, c'],
+                    [null, 'jr z, dlz4_done'],
+                    ['dlz4_match', 'ld c, (hl)', 'offset'],
+                    [null, 'inc hl'],
+                    [null, 'ld b, (hl)'],
+                    [null, 'inc hl'],
+                    [null, 'push hl'],
+                    [null, 'ld h, d'],
+                    [null, 'ld l, e'],
+                    [null, 'or a'],
+                    [null, 'sbc hl, bc', 'HL = destination - offset'],
+                    [null, 'ex af, af\''],
+                    [null, 'and 15'],
+                    [null, 'ex (sp), hl'],
+                    [null, 'call dlz4_length'],
+                    [null, 'inc bc', 'minimum match is 4 bytes'],
+                    [null, 'inc bc'],
+                    [null, 'inc bc'],
+                    [null, 'inc bc'],
+                    [null, 'ex (sp), hl'],
+                    [null, 'ldir', 'copy match'],
+                    [null, 'pop hl'],
+                    [null, 'jr dlz4_sequence'],
+                    ['dlz4_done', 'pop bc'],
+                    [null, 'ret'],
+                    ['dlz4_length', 'ld b, 0', 'BC = A, plus extra bytes when A is 15'],
+                    [null, 'ld c, a'],
+                    [null, 'cp 15'],
+                    [null, 'ret nz'],
+                    ['dlz4_length_loop', 'ld a, (hl)'],
+                    [null, 'inc hl'],
+                    [null, 'cp 255'],
+                    [null, 'push af'],
+                    [null, 'add a, c'],
+                    [null, 'ld c, a'],
+                    [null, 'jr nc, dlz4_length_next'],
+                    [null, 'inc b'],
+                    ['dlz4_length_next', 'pop af'],
+                    [null, 'jr z, dlz4_length_loop'],
+                    [null, 'ret']
+                ]
+            }
+        };
+
+        const depacker = depackers[method];
+        if (!depacker) {
+            throw new Error(`CompressionFormat: unknown method "${method}"`);
+        }
+        return depacker;
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CompressionFormat;
+} else if (typeof window !== 'undefined') {
+    window.CompressionFormat = CompressionFormat;
+}
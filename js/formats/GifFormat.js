@@ -0,0 +1,188 @@
+/**
+ * GIF Format - Minimal GIF89a encoder for exporting screens
+ * Writes indexed frames with a single global colour table, per-frame delays
+ * and the NETSCAPE2.0 looping extension, using variable-width LZW.
+ *
+ * @class GifFormat
+ */
+class GifFormat {
+    constructor() {
+        this.SIGNATURE = 'GIF89a';
+        this.MAX_CODE_SIZE = 12;
+        this.MAX_SUB_BLOCK = 255;
+
+        // Graphic control disposal method 1: leave the frame in place
+        this.DISPOSAL_KEEP = 1;
+    }
+
+    /**
+     * Encode indexed frames as a GIF file
+     * @param {Object} image - { width, height, palette: Array<{r,g,b}>, frames: Array<{ indices, delay }>, loop }
+     *   delay is in hundredths of a second; loop is the repeat count (0 = forever)
+     * @returns {Uint8Array} GIF data
+     */
+    encode(image) {
+        const { width, height, palette, frames, loop = 0 } = image;
+        if (!frames || frames.length === 0) {
+            throw new Error('GifFormat: at least one frame is required');
+        }
+        if (!palette || palette.length === 0 || palette.length > 256) {
+            throw new Error('GifFormat: palette must have 1-256 colours');
+        }
+
+        // Colour table size is a power of two, at least 2 entries
+        let depth = 1;
+        while ((1 << depth) < palette.length) depth++;
+
+        const bytes = [];
+        this.writeText(bytes, this.SIGNATURE);
+
+        // Logical screen descriptor with global colour table
+        this.writeWord(bytes, width);
+        this.writeWord(bytes, height);
+        bytes.push(0x80 | ((depth - 1) << 4) | (depth - 1), 0, 0);
+
+        for (let i = 0; i < (1 << depth); i++) {
+            const color = palette[i] || { r: 0, g: 0, b: 0 };
+            bytes.push(color.r, color.g, color.b);
+        }
+
+        if (frames.length > 1) {
+            bytes.push(0x21, 0xFF, 0x0B);
+            this.writeText(bytes, 'NETSCAPE2.0');
+            bytes.push(0x03, 0x01);
+            this.writeWord(bytes, loop);
+            bytes.push(0x00);
+        }
+
+        frames.forEach(frame => {
+            if (frame.indices.length !== width * height) {
+                throw new Error(`GifFormat: frame has ${frame.indices.length} pixels, expected ${width * height}`);
+            }
+
+            // Graphic control extension
+            bytes.push(0x21, 0xF9, 0x04, this.DISPOSAL_KEEP << 2);
+            this.writeWord(bytes, frame.delay || 0);
+            bytes.push(0x00, 0x00);
+
+            // Image descriptor covering the whole screen, no local colour table
+            bytes.push(0x2C);
+            this.writeWord(bytes, 0);
+            this.writeWord(bytes, 0);
+            this.writeWord(bytes, width);
+            this.writeWord(bytes, height);
+            bytes.push(0x00);
+
+            const minCodeSize = Math.max(2, depth);
+            bytes.push(minCodeSize);
+            this.writeSubBlocks(bytes, this.compress(frame.indices, minCodeSize));
+        });
+
+        bytes.push(0x3B);
+        return Uint8Array.from(bytes);
+    }
+
+    /**
+     * LZW-compress colour indices into a GIF code stream
+     * @param {Uint8Array} indices - Colour index per pixel
+     * @param {number} minCodeSize - Initial code size
+     * @returns {Array<number>} Packed bytes (LSB first)
+     */
+    compress(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        const dictionary = new Map();
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                output.push(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const existing = dictionary.get(key);
+            if (existing !== undefined) {
+                prefix = existing;
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode < (1 << this.MAX_CODE_SIZE)) {
+                dictionary.set(key, nextCode++);
+                if (nextCode > (1 << codeSize) && codeSize < this.MAX_CODE_SIZE) {
+                    codeSize++;
+                }
+            } else {
+                // Table full: start again so the codes stay within 12 bits
+                emit(clearCode);
+                dictionary.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            }
+            prefix = k;
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) {
+            output.push(bitBuffer & 0xFF);
+        }
+
+        return output;
+    }
+
+    /**
+     * Split data into length-prefixed sub-blocks with a terminator
+     * @param {Array<number>} bytes - Output bytes
+     * @param {Array<number>} data - Data to split
+     */
+    writeSubBlocks(bytes, data) {
+        for (let offset = 0; offset < data.length; offset += this.MAX_SUB_BLOCK) {
+            const chunk = data.slice(offset, offset + this.MAX_SUB_BLOCK);
+            bytes.push(chunk.length, ...chunk);
+        }
+        bytes.push(0x00);
+    }
+
+    /**
+     * Write a 16-bit little-endian value
+     * @param {Array<number>} bytes - Output bytes
+     * @param {number} value - Value
+     */
+    writeWord(bytes, value) {
+        bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+    }
+
+    /**
+     * Write ASCII text
+     * @param {Array<number>} bytes - Output bytes
+     * @param {string} text - Text
+     */
+    writeText(bytes, text) {
+        for (let i = 0; i < text.length; i++) {
+            bytes.push(text.charCodeAt(i) & 0x7F);
+        }
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GifFormat;
+} else if (typeof window !== 'undefined') {
+    window.GifFormat = GifFormat;
+}
@@ -0,0 +1,233 @@
+/**
+ * Snapshot Format - Reads screen memory from .sna and .z80 emulator snapshots
+ * Supports 48K/128K SNA and Z80 v1 (compressed or not) and v2/v3 paged files.
+ * The normal screen lives in RAM bank 5 at 0x4000; 128K machines also have a
+ * shadow screen in bank 7.
+ *
+ * @class SnapshotFormat
+ */
+class SnapshotFormat {
+    constructor() {
+        this.BANK_SIZE = 16384;
+        this.SCREEN_LENGTH = 6912;
+
+        // SNA layout
+        this.SNA_HEADER_LENGTH = 27;
+        this.SNA_48K_LENGTH = 27 + 49152;
+
+        // Z80 v1 header length
+        this.Z80_V1_HEADER_LENGTH = 30;
+    }
+
+    /**
+     * Parse a snapshot and return the RAM banks that can hold a screen
+     * @param {Uint8Array} data - File data
+     * @param {string} extension - 'sna' or 'z80'
+     * @returns {Object} { format, version, is128K, banks: { 5: Uint8Array, 7?: Uint8Array } }
+     */
+    parse(data, extension) {
+        return extension === 'sna' ? this.parseSNA(data) : this.parseZ80(data);
+    }
+
+    /**
+     * Parse an SNA snapshot
+     * 48K files are a 27-byte header followed by RAM 0x4000-0xFFFF. 128K files add
+     * PC, port 0x7FFD, TR-DOS flag and the remaining banks in ascending order.
+     * @param {Uint8Array} data - File data
+     * @returns {Object} Snapshot banks
+     */
+    parseSNA(data) {
+        if (data.length < this.SNA_48K_LENGTH) {
+            throw new Error(`SNA file too small (${data.length} bytes, expected at least ${this.SNA_48K_LENGTH})`);
+        }
+
+        const ramStart = this.SNA_HEADER_LENGTH;
+        const banks = {
+            5: data.subarray(ramStart, ramStart + this.BANK_SIZE)
+        };
+
+        if (data.length === this.SNA_48K_LENGTH) {
+            return { format: 'sna', version: 1, is128K: false, banks };
+        }
+
+        // 128K: third 16K chunk is the bank paged at 0xC000, the rest follow after 4 extra bytes
+        const port7FFD = data[this.SNA_48K_LENGTH + 2];
+        const pagedBank = port7FFD & 0x07;
+        if (pagedBank === 7) {
+            banks[7] = data.subarray(ramStart + 2 * this.BANK_SIZE, ramStart + 3 * this.BANK_SIZE);
+        } else {
+            let offset = this.SNA_48K_LENGTH + 4;
+            for (let bank = 0; bank < 8; bank++) {
+                if (bank === 2 || bank === 5 || bank === pagedBank) continue;
+                if (bank === 7) {
+                    if (offset + this.BANK_SIZE > data.length) {
+                        throw new Error('128K SNA file is truncated');
+                    }
+                    banks[7] = data.subarray(offset, offset + this.BANK_SIZE);
+                    break;
+                }
+                offset += this.BANK_SIZE;
+            }
+        }
+
+        return { format: 'sna', version: 2, is128K: true, banks, shadowActive: (port7FFD & 0x08) !== 0 };
+    }
+
+    /**
+     * Parse a Z80 snapshot
+     * @param {Uint8Array} data - File data
+     * @returns {Object} Snapshot banks
+     */
+    parseZ80(data) {
+        if (data.length < this.Z80_V1_HEADER_LENGTH) {
+            throw new Error('Z80 file too small');
+        }
+
+        const pc = data[6] | (data[7] << 8);
+        if (pc !== 0) {
+            return this.parseZ80v1(data);
+        }
+        return this.parseZ80Paged(data);
+    }
+
+    /**
+     * Parse a version 1 Z80 snapshot (48K only)
+     * @param {Uint8Array} data - File data
+     * @returns {Object} Snapshot banks
+     */
+    parseZ80v1(data) {
+        // Byte 12 = 255 must be treated as 1 for compatibility
+        const flags = data[12] === 255 ? 1 : data[12];
+        const compressed = (flags & 0x20) !== 0;
+        const body = data.subarray(this.Z80_V1_HEADER_LENGTH);
+
+        const ram = compressed
+            ? this.decompress(body, 3 * this.BANK_SIZE, true)
+            : body.subarray(0, 3 * this.BANK_SIZE);
+
+        if (ram.length < this.SCREEN_LENGTH) {
+            throw new Error('Z80 file does not contain screen memory');
+        }
+
+        return {
+            format: 'z80',
+            version: 1,
+            is128K: false,
+            banks: { 5: ram.subarray(0, this.BANK_SIZE) }
+        };
+    }
+
+    /**
+     * Parse a version 2/3 Z80 snapshot made of 16K memory pages
+     * Page numbers are bank + 3 on 128K machines; on 48K machines page 8 is 0x4000.
+     * @param {Uint8Array} data - File data
+     * @returns {Object} Snapshot banks
+     */
+    parseZ80Paged(data) {
+        const extraLength = data[30] | (data[31] << 8);
+        const version = extraLength === 23 ? 2 : 3;
+        let offset = this.Z80_V1_HEADER_LENGTH + 2 + extraLength;
+
+        const pages = {};
+        while (offset + 3 <= data.length) {
+            const blockLength = data[offset] | (data[offset + 1] << 8);
+            const page = data[offset + 2];
+            offset += 3;
+
+            if (blockLength === 0xFFFF) {
+                pages[page] = data.subarray(offset, offset + this.BANK_SIZE);
+                offset += this.BANK_SIZE;
+            } else {
+                pages[page] = this.decompress(data.subarray(offset, offset + blockLength), this.BANK_SIZE, false);
+                offset += blockLength;
+            }
+        }
+
+        if (!pages[8]) {
+            throw new Error('Z80 file has no screen memory page');
+        }
+
+        // 48K snapshots only ever store pages 4, 5 and 8
+        const is128K = Object.keys(pages).some(page => [3, 6, 7, 9, 10].includes(Number(page)));
+        const banks = { 5: pages[8] };
+        if (is128K && pages[10]) {
+            banks[7] = pages[10];
+        }
+
+        return { format: 'z80', version, is128K, banks };
+    }
+
+    /**
+     * Expand Z80 run-length compression (ED ED nn bb = nn copies of bb)
+     * @param {Uint8Array} input - Compressed bytes
+     * @param {number} maxLength - Expected output size
+     * @param {boolean} hasEndMarker - Stop at 00 ED ED 00 (version 1 files)
+     * @returns {Uint8Array} Decompressed bytes
+     */
+    decompress(input, maxLength, hasEndMarker) {
+        const output = new Uint8Array(maxLength);
+        let inPos = 0;
+        let outPos = 0;
+
+        while (inPos < input.length && outPos < maxLength) {
+            if (hasEndMarker && input[inPos] === 0x00 && input[inPos + 1] === 0xED &&
+                input[inPos + 2] === 0xED && input[inPos + 3] === 0x00) {
+                break;
+            }
+
+            if (input[inPos] === 0xED && input[inPos + 1] === 0xED && inPos + 3 < input.length) {
+                const count = input[inPos + 2];
+                const value = input[inPos + 3];
+                for (let i = 0; i < count && outPos < maxLength; i++) {
+                    output[outPos++] = value;
+                }
+                inPos += 4;
+            } else {
+                output[outPos++] = input[inPos++];
+            }
+        }
+
+        return output.subarray(0, outPos);
+    }
+
+    /**
+     * List the screens a snapshot holds
+     * @param {Object} snapshot - Parsed snapshot
+     * @returns {Array<Object>} Screens { bank, name, data }
+     */
+    getScreens(snapshot) {
+        const screens = [{
+            bank: 5,
+            name: snapshot.is128K ? 'Normal screen (bank 5)' : 'Screen',
+            data: this.toScreenData(snapshot.banks[5])
+        }];
+
+        if (snapshot.banks[7]) {
+            screens.push({
+                bank: 7,
+                name: 'Shadow screen (bank 7)',
+                data: this.toScreenData(snapshot.banks[7])
+            });
+        }
+
+        return screens;
+    }
+
+    /**
+     * Take the first 6912 bytes of a bank as SCR data
+     * @param {Uint8Array} bank - 16K RAM bank
+     * @returns {Uint8Array} Screen data
+     */
+    toScreenData(bank) {
+        const screen = new Uint8Array(this.SCREEN_LENGTH);
+        screen.set(bank.subarray(0, this.SCREEN_LENGTH));
+        return screen;
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotFormat;
+} else if (typeof window !== 'undefined') {
+    window.SnapshotFormat = SnapshotFormat;
+}
@@ -0,0 +1,242 @@
+/**
+ * Sprite Format - Cuts screen regions into sprite data for game engines
+ * Each frame row is packed into bytes (leftmost pixel in bit 7) and written
+ * row by row, or column by column for engines that draw down a byte column.
+ * Optional AND masks clear the background under set pixels, and pre-shifted
+ * copies save shifting at run time.
+ *
+ * @class SpriteFormat
+ */
+class SpriteFormat {
+    constructor() {
+        // ZX Spectrum constraints
+        this.CANVAS_WIDTH = 256;
+        this.CANVAS_HEIGHT = 192;
+
+        this.FRAME_ORDERS = ['row', 'column'];
+        this.BYTE_ORDERS = ['row', 'column'];
+        this.MASK_MODES = ['none', 'interleaved', 'separate'];
+        this.MAX_SHIFT = 7;
+    }
+
+    /**
+     * Cut a region into a grid of frames and encode each one
+     * @param {Array<Uint8Array>} pixels - Screen pixel rows
+     * @param {Object} region - { x, y, width, height } in pixels
+     * @param {Object} options - { frameWidth, frameHeight, frameOrder, shifts }
+     *   frameOrder 'row' numbers frames across each grid row first, 'column' down each grid column first
+     * @returns {Array<Object>} Frames { index, x, y, width, height, bytesPerRow, copies: [{ shift, graphic, mask }] }
+     */
+    cutFrames(pixels, region, options = {}) {
+        const frameWidth = options.frameWidth || region.width;
+        const frameHeight = options.frameHeight || region.height;
+        const frameOrder = options.frameOrder || 'row';
+        const shifts = this.normalizeShifts(options.shifts);
+
+        if (!this.FRAME_ORDERS.includes(frameOrder)) {
+            throw new Error(`SpriteFormat: unknown frame order "${frameOrder}"`);
+        }
+        if (frameWidth < 1 || frameHeight < 1) {
+            throw new Error('SpriteFormat: frame size must be at least 1×1');
+        }
+
+        const columns = Math.floor(region.width / frameWidth);
+        const rows = Math.floor(region.height / frameHeight);
+        if (columns === 0 || rows === 0) {
+            throw new Error(`SpriteFormat: ${region.width}×${region.height} region is smaller than one ${frameWidth}×${frameHeight} frame`);
+        }
+
+        // Every copy of every frame has the same row width so engines can use one stride
+        const bytesPerRow = Math.ceil((frameWidth + Math.max(...shifts)) / 8);
+
+        const positions = [];
+        if (frameOrder === 'row') {
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) positions.push({ row, column });
+            }
+        } else {
+            for (let column = 0; column < columns; column++) {
+                for (let row = 0; row < rows; row++) positions.push({ row, column });
+            }
+        }
+
+        return positions.map(({ row, column }, index) => {
+            const x = region.x + column * frameWidth;
+            const y = region.y + row * frameHeight;
+            return {
+                index,
+                x,
+                y,
+                width: frameWidth,
+                height: frameHeight,
+                bytesPerRow,
+                copies: shifts.map(shift => ({
+                    shift,
+                    ...this.encodeFrame(pixels, x, y, frameWidth, frameHeight, shift, bytesPerRow)
+                }))
+            };
+        });
+    }
+
+    /**
+     * Pack one frame into graphic and mask bytes
+     * @param {Array<Uint8Array>} pixels - Screen pixel rows
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {number} shift - Pixels to shift right (0-7)
+     * @param {number} bytesPerRow - Output row width in bytes
+     * @returns {Object} { graphic: Uint8Array, mask: Uint8Array }
+     */
+    encodeFrame(pixels, x, y, width, height, shift, bytesPerRow) {
+        const graphic = new Uint8Array(bytesPerRow * height);
+        const mask = new Uint8Array(bytesPerRow * height).fill(0xFF);
+
+        for (let row = 0; row < height; row++) {
+            const sourceY = y + row;
+            if (sourceY < 0 || sourceY >= this.CANVAS_HEIGHT) continue;
+
+            for (let col = 0; col < width; col++) {
+                const sourceX = x + col;
+                if (sourceX < 0 || sourceX >= this.CANVAS_WIDTH || !pixels[sourceY][sourceX]) continue;
+
+                const bitX = col + shift;
+                const offset = row * bytesPerRow + (bitX >> 3);
+                const bit = 0x80 >> (bitX & 7);
+                graphic[offset] |= bit;
+                mask[offset] &= ~bit;
+            }
+        }
+
+        return { graphic, mask };
+    }
+
+    /**
+     * Generate assembly source for cut frames
+     * @param {Array<Object>} frames - Frames from cutFrames()
+     * @param {Object} options - { mask, byteOrder, labelPrefix }
+     *   byteOrder 'row' writes each pixel row left to right, 'column' writes each byte column top to bottom
+     * @returns {string} Assembly code
+     */
+    generateASM(frames, options = {}) {
+        const maskMode = options.mask || 'none';
+        const byteOrder = options.byteOrder || 'row';
+        if (!this.MASK_MODES.includes(maskMode)) {
+            throw new Error(`SpriteFormat: unknown mask mode "${maskMode}"`);
+        }
+        if (!this.BYTE_ORDERS.includes(byteOrder)) {
+            throw new Error(`SpriteFormat: unknown byte order "${byteOrder}"`);
+        }
+        if (frames.length === 0) {
+            throw new Error('SpriteFormat: no frames to export');
+        }
+
+        const prefix = this.formatLabel(options.labelPrefix || 'sprite');
+        const first = frames[0];
+        const shifts = first.copies.map(copy => copy.shift);
+        const maskDescription = {
+            none: 'none',
+            interleaved: 'interleaved (mask, graphic) per byte',
+            separate: 'separate _mask tables'
+        }[maskMode];
+
+        let asm = `; ZX Spectrum Sprite Data\n; Generated by ZX Pixel Smoosher\n; Created by D0k^RA - GPL v3.0\n`;
+        asm += `; ${frames.length} frame(s), ${first.width}×${first.height} pixels, ${first.bytesPerRow} byte(s) per row\n`;
+        asm += `; Bytes: ${byteOrder === 'column' ? 'column by column, top to bottom' : 'row by row, left to right'}\n`;
+        asm += `; Masks: ${maskDescription}\n; Shifts: ${shifts.join(', ')}\n\n`;
+
+        asm += `${prefix.toUpperCase()}_FRAMES EQU ${frames.length}\n`;
+        asm += `${prefix.toUpperCase()}_WIDTH EQU ${first.bytesPerRow}\n`;
+        asm += `${prefix.toUpperCase()}_HEIGHT EQU ${first.height}\n`;
+
+        frames.forEach(frame => {
+            frame.copies.forEach(copy => {
+                const label = shifts.length > 1 ? `${prefix}_${frame.index}_s${copy.shift}` : `${prefix}_${frame.index}`;
+                asm += `\n${label}:    ; frame ${frame.index} at ${frame.x},${frame.y}${copy.shift ? `, shifted ${copy.shift}` : ''}\n`;
+
+                if (maskMode === 'interleaved') {
+                    asm += this.formatFrame(frame, byteOrder, 2, (offset, part) => part ? copy.graphic[offset] : copy.mask[offset]);
+                } else {
+                    asm += this.formatFrame(frame, byteOrder, 1, (offset) => copy.graphic[offset]);
+                    if (maskMode === 'separate') {
+                        asm += `${label}_mask:\n`;
+                        asm += this.formatFrame(frame, byteOrder, 1, (offset) => copy.mask[offset]);
+                    }
+                }
+            });
+        });
+
+        return asm;
+    }
+
+    /**
+     * Format one frame copy as DB lines, one per pixel row or per byte column
+     * @param {Object} frame - Frame from cutFrames()
+     * @param {string} byteOrder - 'row' or 'column'
+     * @param {number} parts - Bytes written per frame byte (2 for interleaved mask and graphic)
+     * @param {Function} getByte - (offset, part) => byte value, offset into the row-major frame data
+     * @returns {string} DB lines
+     */
+    formatFrame(frame, byteOrder, parts, getByte) {
+        const { height, bytesPerRow } = frame;
+        if (byteOrder === 'column') {
+            return this.formatRows(bytesPerRow, height * parts, (column, i) =>
+                getByte(Math.floor(i / parts) * bytesPerRow + column, i % parts));
+        }
+        return this.formatRows(height, bytesPerRow * parts, (row, i) =>
+            getByte(row * bytesPerRow + Math.floor(i / parts), i % parts));
+    }
+
+    /**
+     * Format rows of bytes as DB lines
+     * @param {number} rows - Number of rows
+     * @param {number} bytesPerRow - Bytes on each line
+     * @param {Function} getByte - (row, index) => byte value
+     * @returns {string} DB lines
+     */
+    formatRows(rows, bytesPerRow, getByte) {
+        let text = '';
+        for (let row = 0; row < rows; row++) {
+            const bytes = [];
+            for (let i = 0; i < bytesPerRow; i++) {
+                bytes.push(`$${getByte(row, i).toString(16).toUpperCase().padStart(2, '0')}`);
+            }
+            text += `    DB ${bytes.join(', ')}\n`;
+        }
+        return text;
+    }
+
+    /**
+     * Validate and sort the requested pre-shift amounts
+     * @param {Array<number>} shifts - Shift amounts
+     * @returns {Array<number>} Unique shifts 0-7, at least [0]
+     */
+    normalizeShifts(shifts) {
+        const list = Array.isArray(shifts) && shifts.length ? shifts : [0];
+        list.forEach(shift => {
+            if (!Number.isInteger(shift) || shift < 0 || shift > this.MAX_SHIFT) {
+                throw new Error(`SpriteFormat: shift ${shift} is outside 0-${this.MAX_SHIFT}`);
+            }
+        });
+        return [...new Set(list)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Turn a prefix into a valid assembler label
+     * @param {string} prefix - Requested prefix
+     * @returns {string} Label-safe prefix
+     */
+    formatLabel(prefix) {
+        const label = String(prefix).trim().replace(/[^A-Za-z0-9_]/g, '_');
+        if (!label) return 'sprite';
+        return /^[0-9]/.test(label) ? `_${label}` : label;
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpriteFormat;
+} else if (typeof window !== 'undefined') {
+    window.SpriteFormat = SpriteFormat;
+}
@@ -0,0 +1,570 @@
+/**
+ * Tape Format - Builds and reads ZX Spectrum .tap/.tzx images
+ * Each TAP block is a 2-byte little-endian length followed by the flag byte,
+ * the block data and an XOR checksum, exactly as the ROM saves them.
+ * Also tokenises BASIC lines for loaders and listings, and finds
+ * SCREEN$ blocks inside TAP files and TZX standard/turbo/pure data blocks.
+ *
+ * @class TapeFormat
+ */
+class TapeFormat {
+    constructor() {
+        // Standard ROM header types
+        this.BLOCK_TYPES = {
+            PROGRAM: 0,
+            NUMBER_ARRAY: 1,
+            CHARACTER_ARRAY: 2,
+            CODE: 3
+        };
+
+        // Flag bytes written before header and data blocks
+        this.FLAGS = {
+            HEADER: 0x00,
+            DATA: 0xFF
+        };
+
+        // BASIC keyword tokens used by generated programs
+        this.TOKENS = {
+            'SCREEN$': 0xAA,
+            'INT': 0xBA,
+            'TO': 0xCC,
+            'READ': 0xE3,
+            'DATA': 0xE4,
+            'REM': 0xEA,
+            'FOR': 0xEB,
+            'LOAD': 0xEF,
+            'LET': 0xF1,
+            'PAUSE': 0xF2,
+            'NEXT': 0xF3,
+            'POKE': 0xF4
+        };
+
+        this.SCREEN_ADDRESS = 16384;
+        this.SCREEN_LENGTH = 6912;
+        this.NAME_LENGTH = 10;
+        this.MAX_LINE_NUMBER = 9999;
+        // Roughly what a 48K machine leaves for a BASIC program and its variables
+        this.BASIC_FREE_48K = 41000;
+
+        this.TZX_SIGNATURE = 'ZXTape!';
+    }
+
+    /**
+     * Calculate the XOR checksum of a block
+     * @param {number} flag - Flag byte
+     * @param {Uint8Array} data - Block data
+     * @returns {number} Checksum byte
+     */
+    checksum(flag, data) {
+        let sum = flag;
+        for (let i = 0; i < data.length; i++) {
+            sum ^= data[i];
+        }
+        return sum & 0xFF;
+    }
+
+    /**
+     * Wrap data in a TAP block (length, flag, data, checksum)
+     * @param {number} flag - Flag byte
+     * @param {Uint8Array} data - Block data
+     * @returns {Uint8Array} TAP block
+     */
+    createBlock(flag, data) {
+        const blockLength = data.length + 2;
+        const block = new Uint8Array(blockLength + 2);
+
+        block[0] = blockLength & 0xFF;
+        block[1] = (blockLength >> 8) & 0xFF;
+        block[2] = flag;
+        block.set(data, 3);
+        block[block.length - 1] = this.checksum(flag, data);
+
+        return block;
+    }
+
+    /**
+     * Build the 17-byte ROM header for a file
+     * @param {number} type - Header type (see BLOCK_TYPES)
+     * @param {string} name - File name (padded/truncated to 10 characters)
+     * @param {number} dataLength - Length of the following data block
+     * @param {number} param1 - Autostart line or start address
+     * @param {number} param2 - Program length or 32768 for CODE
+     * @returns {Uint8Array} Header data
+     */
+    createHeader(type, name, dataLength, param1, param2) {
+        const header = new Uint8Array(17);
+
+        header[0] = type;
+        const paddedName = this.formatName(name);
+        for (let i = 0; i < this.NAME_LENGTH; i++) {
+            header[1 + i] = paddedName.charCodeAt(i);
+        }
+        this.writeWord(header, 11, dataLength);
+        this.writeWord(header, 13, param1);
+        this.writeWord(header, 15, param2);
+
+        return header;
+    }
+
+    /**
+     * Create header and data blocks for a CODE file
+     * @param {string} name - File name
+     * @param {Uint8Array} data - Code bytes
+     * @param {number} startAddress - Load address
+     * @returns {Array<Uint8Array>} Header and data TAP blocks
+     */
+    createCodeBlocks(name, data, startAddress) {
+        const header = this.createHeader(this.BLOCK_TYPES.CODE, name, data.length, startAddress, 32768);
+        return [
+            this.createBlock(this.FLAGS.HEADER, header),
+            this.createBlock(this.FLAGS.DATA, data)
+        ];
+    }
+
+    /**
+     * Create header and data blocks for a BASIC program
+     * @param {string} name - Program name
+     * @param {Uint8Array} program - Tokenised program bytes
+     * @param {number} autostartLine - Line to RUN after loading (32768 or more for none)
+     * @returns {Array<Uint8Array>} Header and data TAP blocks
+     */
+    createProgramBlocks(name, program, autostartLine = 32768) {
+        const header = this.createHeader(this.BLOCK_TYPES.PROGRAM, name, program.length, autostartLine, program.length);
+        return [
+            this.createBlock(this.FLAGS.HEADER, header),
+            this.createBlock(this.FLAGS.DATA, program)
+        ];
+    }
+
+    /**
+     * Create a tape holding a SCREEN$ CODE block, optionally preceded by a BASIC loader
+     * Loader: 10 LOAD "" SCREEN$ / 20 PAUSE 0
+     * @param {Uint8Array} scrData - 6912-byte screen
+     * @param {Object} options - { includeLoader, name }
+     * @returns {Uint8Array} TAP file data
+     */
+    createScreenTape(scrData, options = {}) {
+        const { includeLoader = true, name = 'screen' } = options;
+
+        if (scrData.length !== this.SCREEN_LENGTH) {
+            throw new Error(`Screen data must be ${this.SCREEN_LENGTH} bytes`);
+        }
+
+        const blocks = [];
+        if (includeLoader) {
+            const program = this.concat([
+                this.encodeLine(10, [this.TOKENS.LOAD, 0x22, 0x22, this.TOKENS['SCREEN$']]),
+                this.encodeLine(20, [this.TOKENS.PAUSE, ...this.encodeNumber(0)])
+            ]);
+            blocks.push(...this.createProgramBlocks(name, program, 10));
+        }
+        blocks.push(...this.createCodeBlocks(name, scrData, this.SCREEN_ADDRESS));
+
+        return this.concat(blocks);
+    }
+
+    /**
+     * Tokenise a listing into program bytes
+     * @param {Array<string>} lines - Listing lines, see tokenizeLine()
+     * @returns {Uint8Array} Program bytes
+     */
+    tokenizeProgram(lines) {
+        return this.concat(lines.map(line => this.tokenizeLine(line)));
+    }
+
+    /**
+     * Split a TAP file into blocks
+     * @param {Uint8Array} data - TAP file data
+     * @returns {Array<Object>} Blocks { flag, payload, checksumValid, source }
+     */
+    parseTAP(data) {
+        const blocks = [];
+        let offset = 0;
+
+        while (offset + 2 <= data.length) {
+            const length = data[offset] | (data[offset + 1] << 8);
+            offset += 2;
+            if (length === 0) continue;
+            if (offset + length > data.length) {
+                throw new Error(`TAP block at offset ${offset - 2} is truncated`);
+            }
+
+            blocks.push(this.createParsedBlock(data.subarray(offset, offset + length), 'standard'));
+            offset += length;
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Extract data blocks from a TZX file
+     * Standard speed (0x10), turbo (0x11) and pure data (0x14) blocks are returned,
+     * every other block type is skipped.
+     * @param {Uint8Array} data - TZX file data
+     * @returns {Array<Object>} Blocks { flag, payload, checksumValid, source }
+     */
+    parseTZX(data) {
+        if (!this.isTZX(data)) {
+            throw new Error('Not a TZX file (missing ZXTape! signature)');
+        }
+
+        const blocks = [];
+        let offset = 10;
+
+        while (offset < data.length) {
+            const id = data[offset++];
+            let length;
+
+            switch (id) {
+                case 0x10: // Standard speed data
+                    length = this.readWord(data, offset + 2);
+                    offset += 4;
+                    blocks.push(this.createParsedBlock(this.sliceBlock(data, offset, length), 'standard'));
+                    offset += length;
+                    break;
+                case 0x11: // Turbo speed data
+                    length = this.readTriple(data, offset + 15);
+                    offset += 18;
+                    blocks.push(this.createParsedBlock(this.sliceBlock(data, offset, length), 'turbo'));
+                    offset += length;
+                    break;
+                case 0x14: // Pure data
+                    length = this.readTriple(data, offset + 7);
+                    offset += 10;
+                    blocks.push(this.createParsedBlock(this.sliceBlock(data, offset, length), 'pure'));
+                    offset += length;
+                    break;
+                case 0x12: offset += 4; break;
+                case 0x13: offset += 1 + data[offset] * 2; break;
+                case 0x15: offset += 8 + this.readTriple(data, offset + 5); break;
+                case 0x18:
+                case 0x19: offset += 4 + this.readDword(data, offset); break;
+                case 0x20:
+                case 0x23:
+                case 0x24: offset += 2; break;
+                case 0x21:
+                case 0x30: offset += 1 + data[offset]; break;
+                case 0x22:
+                case 0x25:
+                case 0x27: break;
+                case 0x26: offset += 2 + this.readWord(data, offset) * 2; break;
+                case 0x28:
+                case 0x32: offset += 2 + this.readWord(data, offset); break;
+                case 0x2A: offset += 4; break;
+                case 0x2B: offset += 5; break;
+                case 0x31: offset += 2 + data[offset + 1]; break;
+                case 0x33: offset += 1 + data[offset] * 3; break;
+                case 0x35: offset += 20 + this.readDword(data, offset + 16); break;
+                case 0x5A: offset += 9; break;
+                default:
+                    // Blocks from newer revisions start with a 32-bit length
+                    offset += 4 + this.readDword(data, offset);
+                    break;
+            }
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Check for the TZX signature
+     * @param {Uint8Array} data - File data
+     * @returns {boolean} Whether the data is a TZX file
+     */
+    isTZX(data) {
+        if (data.length < 10) return false;
+        for (let i = 0; i < this.TZX_SIGNATURE.length; i++) {
+            if (data[i] !== this.TZX_SIGNATURE.charCodeAt(i)) return false;
+        }
+        return data[7] === 0x1A;
+    }
+
+    /**
+     * Find blocks that hold a screen: 6912-byte CODE blocks or anything loaded at 16384
+     * @param {Array<Object>} blocks - Parsed tape blocks
+     * @returns {Array<Object>} Screens { index, name, start, length, source, checksumValid, data }
+     */
+    findScreenBlocks(blocks) {
+        const screens = [];
+        let header = null;
+
+        blocks.forEach((block, index) => {
+            if (block.flag === this.FLAGS.HEADER && block.payload.length === 17) {
+                header = this.readHeader(block.payload);
+                return;
+            }
+
+            const payload = block.payload;
+            const start = header ? header.param1 : null;
+            const loadsAtScreen = header && header.type === this.BLOCK_TYPES.CODE && start === this.SCREEN_ADDRESS;
+
+            if (payload.length === this.SCREEN_LENGTH || loadsAtScreen) {
+                screens.push({
+                    index,
+                    name: header ? header.name : '(headerless)',
+                    start,
+                    length: payload.length,
+                    source: block.source,
+                    checksumValid: block.checksumValid,
+                    data: this.toScreenData(payload)
+                });
+            }
+
+            header = null;
+        });
+
+        return screens;
+    }
+
+    /**
+     * Decode a 17-byte ROM header
+     * @param {Uint8Array} payload - Header bytes
+     * @returns {Object} { type, name, length, param1, param2 }
+     */
+    readHeader(payload) {
+        let name = '';
+        for (let i = 1; i <= this.NAME_LENGTH; i++) {
+            const code = payload[i];
+            name += code >= 0x20 && code < 0x7F ? String.fromCharCode(code) : '?';
+        }
+
+        return {
+            type: payload[0],
+            name: name.trimEnd(),
+            length: this.readWord(payload, 11),
+            param1: this.readWord(payload, 13),
+            param2: this.readWord(payload, 15)
+        };
+    }
+
+    /**
+     * Fit block bytes to a 6912-byte screen
+     * Short blocks (e.g. pixels only) keep the default black on white attributes.
+     * @param {Uint8Array} payload - Block bytes
+     * @returns {Uint8Array} Screen data
+     */
+    toScreenData(payload) {
+        const screen = new Uint8Array(this.SCREEN_LENGTH);
+        screen.fill(0x38, 6144);
+        screen.set(payload.subarray(0, this.SCREEN_LENGTH));
+        return screen;
+    }
+
+    /**
+     * Build a parsed block from raw flag+data+checksum bytes
+     * @param {Uint8Array} raw - Raw block bytes
+     * @param {string} source - Block kind ('standard', 'turbo', 'pure')
+     * @returns {Object} Parsed block
+     */
+    createParsedBlock(raw, source) {
+        const flag = raw.length > 0 ? raw[0] : this.FLAGS.DATA;
+        const payload = raw.length > 2 ? raw.subarray(1, raw.length - 1) : new Uint8Array(0);
+        const checksumValid = raw.length > 1 && this.checksum(flag, payload) === raw[raw.length - 1];
+
+        return { flag, payload, checksumValid, source };
+    }
+
+    /**
+     * Slice block data, rejecting truncated files
+     * @param {Uint8Array} data - File data
+     * @param {number} offset - Block start
+     * @param {number} length - Block length
+     * @returns {Uint8Array} Block bytes
+     */
+    sliceBlock(data, offset, length) {
+        if (offset + length > data.length) {
+            throw new Error(`Tape block at offset ${offset} is truncated`);
+        }
+        return data.subarray(offset, offset + length);
+    }
+
+    /**
+     * Read a 16-bit little-endian value
+     * @param {Uint8Array} data - Buffer
+     * @param {number} offset - Byte offset
+     * @returns {number} Value
+     */
+    readWord(data, offset) {
+        return data[offset] | (data[offset + 1] << 8);
+    }
+
+    /**
+     * Read a 24-bit little-endian value
+     * @param {Uint8Array} data - Buffer
+     * @param {number} offset - Byte offset
+     * @returns {number} Value
+     */
+    readTriple(data, offset) {
+        return data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16);
+    }
+
+    /**
+     * Read a 32-bit little-endian value
+     * @param {Uint8Array} data - Buffer
+     * @param {number} offset - Byte offset
+     * @returns {number} Value
+     */
+    readDword(data, offset) {
+        return (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16)) + data[offset + 3] * 0x1000000;
+    }
+
+    /**
+     * Encode a BASIC line
+     * @param {number} lineNumber - Line number (0-9999)
+     * @param {Array<number>} bytes - Tokenised line content without the trailing ENTER
+     * @returns {Uint8Array} Encoded line
+     */
+    encodeLine(lineNumber, bytes) {
+        const line = new Uint8Array(bytes.length + 5);
+
+        // Line numbers are stored big-endian, the length little-endian
+        line[0] = (lineNumber >> 8) & 0xFF;
+        line[1] = lineNumber & 0xFF;
+        this.writeWord(line, 2, bytes.length + 1);
+        line.set(bytes, 4);
+        line[line.length - 1] = 0x0D;
+
+        return line;
+    }
+
+    /**
+     * Tokenise a listing line such as `10 FOR a=1 TO 5: NEXT a`
+     * Keywords must be in TOKENS and written in capitals. Spaces outside strings
+     * are dropped, as the editor does, and numbers get their hidden binary form.
+     * Everything after REM is kept as typed.
+     * @param {string} text - Line with its line number
+     * @returns {Uint8Array} Encoded line
+     */
+    tokenizeLine(text) {
+        const match = String(text).match(/^\s*(\d+)\s*(.*)$/);
+        if (!match) {
+            throw new Error(`BASIC line has no line number: ${text}`);
+        }
+        const lineNumber = parseInt(match[1], 10);
+        if (lineNumber > this.MAX_LINE_NUMBER) {
+            throw new Error(`BASIC line number ${lineNumber} is above ${this.MAX_LINE_NUMBER}`);
+        }
+
+        const body = match[2];
+        const keywords = Object.keys(this.TOKENS).sort((a, b) => b.length - a.length);
+        const bytes = [];
+        let i = 0;
+
+        while (i < body.length) {
+            const char = body[i];
+
+            if (char === '"') {
+                const end = body.indexOf('"', i + 1);
+                const stop = end === -1 ? body.length : end + 1;
+                bytes.push(...this.encodeText(body.slice(i, stop)));
+                i = stop;
+                continue;
+            }
+            if (char === ' ') {
+                i++;
+                continue;
+            }
+
+            const keyword = keywords.find(word => body.startsWith(word, i));
+            if (keyword) {
+                bytes.push(this.TOKENS[keyword]);
+                i += keyword.length;
+                if (keyword === 'REM') {
+                    bytes.push(...this.encodeText(body.slice(i).replace(/^ /, '')));
+                    break;
+                }
+                continue;
+            }
+
+            // Digits directly after a letter belong to a variable name
+            const number = body.slice(i).match(/^\d+/);
+            if (number && !/[A-Za-z$]/.test(body[i - 1] || '')) {
+                bytes.push(...this.encodeNumber(parseInt(number[0], 10)));
+                i += number[0].length;
+                continue;
+            }
+
+            bytes.push(...this.encodeText(char));
+            i++;
+        }
+
+        return this.encodeLine(lineNumber, bytes);
+    }
+
+    /**
+     * Encode a number literal the way the BASIC editor stores it:
+     * the ASCII digits followed by 0x0E and the 5-byte small integer form
+     * @param {number} value - Integer between -65535 and 65535
+     * @returns {Array<number>} Encoded bytes
+     */
+    encodeNumber(value) {
+        const magnitude = Math.abs(Math.trunc(value));
+        if (magnitude > 65535) {
+            throw new Error(`Number out of range for BASIC small integer: ${value}`);
+        }
+
+        const bytes = this.encodeText(String(Math.trunc(value)));
+        const sign = value < 0 ? 0xFF : 0x00;
+        const stored = value < 0 ? (65536 - magnitude) & 0xFFFF : magnitude;
+
+        bytes.push(0x0E, 0x00, sign, stored & 0xFF, (stored >> 8) & 0xFF, 0x00);
+        return bytes;
+    }
+
+    /**
+     * Encode plain ASCII text
+     * @param {string} text - Text
+     * @returns {Array<number>} Character codes
+     */
+    encodeText(text) {
+        const bytes = [];
+        for (let i = 0; i < text.length; i++) {
+            bytes.push(text.charCodeAt(i) & 0x7F);
+        }
+        return bytes;
+    }
+
+    /**
+     * Pad or truncate a tape file name to 10 printable characters
+     * @param {string} name - File name
+     * @returns {string} Formatted name
+     */
+    formatName(name) {
+        const printable = String(name || '').replace(/[^\x20-\x7E]/g, '');
+        return printable.slice(0, this.NAME_LENGTH).padEnd(this.NAME_LENGTH, ' ');
+    }
+
+    /**
+     * Write a 16-bit little-endian value
+     * @param {Uint8Array} buffer - Target buffer
+     * @param {number} offset - Byte offset
+     * @param {number} value - Value to write
+     */
+    writeWord(buffer, offset, value) {
+        buffer[offset] = value & 0xFF;
+        buffer[offset + 1] = (value >> 8) & 0xFF;
+    }
+
+    /**
+     * Join byte arrays
+     * @param {Array<Uint8Array>} parts - Parts to join
+     * @returns {Uint8Array} Joined data
+     */
+    concat(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TapeFormat;
+} else if (typeof window !== 'undefined') {
+    window.TapeFormat = TapeFormat;
+}
@@ -0,0 +1,200 @@
+/**
+ * Tile Map Format - Splits a screen into unique tiles and a map
+ * Tiles are 8×8 or 16×16 pixels. Two tiles only match when their pixels and
+ * their attributes are both identical, so the tileset rebuilds the screen
+ * exactly. Tile pixels are stored row by row (leftmost pixel in bit 7) and
+ * tile attributes cell by cell, left to right and top to bottom.
+ *
+ * @class TileMapFormat
+ */
+class TileMapFormat {
+    constructor() {
+        // ZX Spectrum constraints
+        this.CANVAS_WIDTH = 256;
+        this.CANVAS_HEIGHT = 192;
+        this.ATTR_BLOCK_SIZE = 8;
+
+        this.TILE_SIZES = [8, 16];
+    }
+
+    /**
+     * Find the unique tiles on a screen
+     * @param {Array<Uint8Array>} pixels - Screen pixel rows
+     * @param {Array<Array<Object>>} attributes - Attribute rows { ink, paper, bright, flash }
+     * @param {number} tileSize - 8 or 16
+     * @returns {Object} { tileSize, columns, rows, tiles: [{ pixels, attributes, key, count, x, y }], map: Uint16Array }
+     *   x/y give the first place the tile appears
+     */
+    analyse(pixels, attributes, tileSize = 8) {
+        this.checkTileSize(tileSize);
+
+        const columns = this.CANVAS_WIDTH / tileSize;
+        const rows = this.CANVAS_HEIGHT / tileSize;
+        const map = new Uint16Array(columns * rows);
+        const tiles = [];
+        const lookup = new Map();
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const x = column * tileSize;
+                const y = row * tileSize;
+                const tile = this.readTile(pixels, attributes, x, y, tileSize);
+
+                let index = lookup.get(tile.key);
+                if (index === undefined) {
+                    index = tiles.length;
+                    lookup.set(tile.key, index);
+                    tiles.push({ ...tile, count: 0, x, y });
+                }
+                tiles[index].count++;
+                map[row * columns + column] = index;
+            }
+        }
+
+        return { tileSize, columns, rows, tiles, map };
+    }
+
+    /**
+     * Read one tile's pixels and attributes
+     * @param {Array<Uint8Array>} pixels - Screen pixel rows
+     * @param {Array<Array<Object>>} attributes - Attribute rows
+     * @param {number} x - Left edge, a multiple of the tile size
+     * @param {number} y - Top edge, a multiple of the tile size
+     * @param {number} tileSize - 8 or 16
+     * @returns {Object} { pixels: Uint8Array, attributes: Uint8Array, key: string }
+     */
+    readTile(pixels, attributes, x, y, tileSize) {
+        const bytesPerRow = tileSize / 8;
+        const cells = tileSize / this.ATTR_BLOCK_SIZE;
+        const tilePixels = new Uint8Array(tileSize * bytesPerRow);
+        const tileAttributes = new Uint8Array(cells * cells);
+
+        for (let row = 0; row < tileSize; row++) {
+            const source = pixels[y + row];
+            for (let col = 0; col < tileSize; col++) {
+                if (source[x + col]) {
+                    tilePixels[row * bytesPerRow + (col >> 3)] |= 0x80 >> (col & 7);
+                }
+            }
+        }
+
+        for (let cellY = 0; cellY < cells; cellY++) {
+            for (let cellX = 0; cellX < cells; cellX++) {
+                const attr = attributes[y / this.ATTR_BLOCK_SIZE + cellY][x / this.ATTR_BLOCK_SIZE + cellX];
+                tileAttributes[cellY * cells + cellX] = this.encodeAttribute(attr);
+            }
+        }
+
+        return {
+            pixels: tilePixels,
+            attributes: tileAttributes,
+            key: `${tilePixels.join(',')}|${tileAttributes.join(',')}`
+        };
+    }
+
+    /**
+     * Write a tile's pixels and attributes back onto a screen
+     * @param {Array<Uint8Array>} pixels - Screen pixel rows
+     * @param {Array<Array<Object>>} attributes - Attribute rows
+     * @param {number} x - Left edge, a multiple of the tile size
+     * @param {number} y - Top edge, a multiple of the tile size
+     * @param {number} tileSize - 8 or 16
+     * @param {Object} tile - { pixels, attributes } from readTile()
+     */
+    writeTile(pixels, attributes, x, y, tileSize, tile) {
+        const bytesPerRow = tileSize / 8;
+        const cells = tileSize / this.ATTR_BLOCK_SIZE;
+
+        for (let row = 0; row < tileSize; row++) {
+            for (let col = 0; col < tileSize; col++) {
+                pixels[y + row][x + col] = (tile.pixels[row * bytesPerRow + (col >> 3)] << (col & 7)) & 0x80 ? 1 : 0;
+            }
+        }
+
+        for (let cellY = 0; cellY < cells; cellY++) {
+            for (let cellX = 0; cellX < cells; cellX++) {
+                attributes[y / this.ATTR_BLOCK_SIZE + cellY][x / this.ATTR_BLOCK_SIZE + cellX] =
+                    this.decodeAttribute(tile.attributes[cellY * cells + cellX]);
+            }
+        }
+    }
+
+    /**
+     * Pack the tileset into byte blocks
+     * @param {Object} analysis - Result of analyse()
+     * @returns {Object} { pixels: Uint8Array, attributes: Uint8Array, bytesPerTile, attributesPerTile }
+     */
+    getTileset(analysis) {
+        const { tiles } = analysis;
+        const bytesPerTile = tiles[0].pixels.length;
+        const attributesPerTile = tiles[0].attributes.length;
+        const pixels = new Uint8Array(tiles.length * bytesPerTile);
+        const attributes = new Uint8Array(tiles.length * attributesPerTile);
+
+        tiles.forEach((tile, index) => {
+            pixels.set(tile.pixels, index * bytesPerTile);
+            attributes.set(tile.attributes, index * attributesPerTile);
+        });
+
+        return { pixels, attributes, bytesPerTile, attributesPerTile };
+    }
+
+    /**
+     * Pack the map, one byte per entry while the indices fit, otherwise little-endian words
+     * @param {Object} analysis - Result of analyse()
+     * @returns {Object} { bytes: Uint8Array, entrySize: 1|2 }
+     */
+    getMapBytes(analysis) {
+        const { map, tiles } = analysis;
+        if (tiles.length <= 256) {
+            return { bytes: Uint8Array.from(map), entrySize: 1 };
+        }
+
+        const bytes = new Uint8Array(map.length * 2);
+        map.forEach((index, i) => {
+            bytes[i * 2] = index & 0xFF;
+            bytes[i * 2 + 1] = index >> 8;
+        });
+        return { bytes, entrySize: 2 };
+    }
+
+    /**
+     * Encode an attribute as the Spectrum stores it: FLASH, BRIGHT, PAPER, INK
+     * @param {Object} attr - { ink, paper, bright, flash }
+     * @returns {number} Attribute byte
+     */
+    encodeAttribute(attr) {
+        return (attr.flash ? 0x80 : 0) | (attr.bright ? 0x40 : 0) | (attr.paper << 3) | attr.ink;
+    }
+
+    /**
+     * Decode an attribute byte
+     * @param {number} value - Attribute byte
+     * @returns {Object} { ink, paper, bright, flash }
+     */
+    decodeAttribute(value) {
+        return {
+            ink: value & 0x07,
+            paper: (value >> 3) & 0x07,
+            bright: (value & 0x40) !== 0,
+            flash: (value & 0x80) !== 0
+        };
+    }
+
+    /**
+     * Make sure a tile size is supported
+     * @param {number} tileSize - Requested size
+     */
+    checkTileSize(tileSize) {
+        if (!this.TILE_SIZES.includes(tileSize)) {
+            throw new Error(`TileMapFormat: tile size must be ${this.TILE_SIZES.join(' or ')}`);
+        }
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TileMapFormat;
+} else if (typeof window !== 'undefined') {
+    window.TileMapFormat = TileMapFormat;
+}
@@ -0,0 +1,185 @@
+/**
+ * Attribute Optimizer - Rewrites cells into their most packable equivalent
+ * Every change keeps the screen looking exactly the same, FLASH included:
+ * - cells with INK equal to PAPER are solid, so their pixels and FLASH are cleared
+ * - cells with more INK than PAPER pixels are inverted with INK and PAPER swapped
+ * - empty cells without FLASH show no INK, so their INK is copied from a
+ *   neighbour with the same PAPER and BRIGHT to make attribute bytes repeat
+ *
+ * @class AttributeOptimizer
+ */
+class AttributeOptimizer {
+    constructor() {
+        // ZX Spectrum constraints
+        this.CANVAS_WIDTH = 256;
+        this.CANVAS_HEIGHT = 192;
+        this.ATTR_BLOCK_SIZE = 8;
+        this.COLUMNS = this.CANVAS_WIDTH / this.ATTR_BLOCK_SIZE;
+        this.ROWS = this.CANVAS_HEIGHT / this.ATTR_BLOCK_SIZE;
+        this.CELL_PIXELS = this.ATTR_BLOCK_SIZE * this.ATTR_BLOCK_SIZE;
+    }
+
+    /**
+     * Optimise a screen without changing how it looks
+     * The inputs are left alone; the result holds new arrays.
+     * @param {Array<Uint8Array>} pixels - Screen pixel rows
+     * @param {Array<Array<Object>>} attributes - Attribute rows { ink, paper, bright, flash }
+     * @returns {Object} { pixels, attributes, solid, inverted, unified, changedCells }
+     */
+    optimize(pixels, attributes) {
+        const result = {
+            pixels: pixels.map(row => new Uint8Array(row)),
+            attributes: attributes.map(row => row.map(attr => ({ ...attr }))),
+            solid: 0,
+            inverted: 0,
+            unified: 0,
+            changedCells: 0
+        };
+
+        // Normalise each cell on its own first, so neighbours are settled when unifying
+        for (let row = 0; row < this.ROWS; row++) {
+            for (let column = 0; column < this.COLUMNS; column++) {
+                const attr = result.attributes[row][column];
+                const inkCount = this.countInk(result.pixels, column, row);
+
+                if (attr.ink === attr.paper) {
+                    if (inkCount === 0 && !attr.flash) continue;
+                    this.fillCell(result.pixels, column, row, 0);
+                    attr.flash = false;
+                    result.solid++;
+                } else if (inkCount > this.CELL_PIXELS / 2) {
+                    this.invertCell(result.pixels, column, row);
+                    [attr.ink, attr.paper] = [attr.paper, attr.ink];
+                    result.inverted++;
+                }
+            }
+        }
+
+        // Walk in screen memory order so a run of empty cells follows its first cell
+        for (let row = 0; row < this.ROWS; row++) {
+            for (let column = 0; column < this.COLUMNS; column++) {
+                const attr = result.attributes[row][column];
+                if (attr.flash || this.countInk(result.pixels, column, row) > 0) continue;
+
+                const match = this.getNeighbours(result.attributes, column, row).find(neighbour =>
+                    neighbour.paper === attr.paper && !!neighbour.bright === !!attr.bright && !neighbour.flash
+                );
+                if (match && match.ink !== attr.ink) {
+                    attr.ink = match.ink;
+                    result.unified++;
+                }
+            }
+        }
+
+        result.changedCells = this.countChangedCells(pixels, attributes, result);
+        return result;
+    }
+
+    /**
+     * Neighbours to copy INK from, best first: the previous cell in memory order,
+     * the cell above, then the next cell in memory order
+     * @param {Array<Array<Object>>} attributes - Attribute rows
+     * @param {number} column - Cell column
+     * @param {number} row - Cell row
+     * @returns {Array<Object>} Neighbouring attributes
+     */
+    getNeighbours(attributes, column, row) {
+        const index = row * this.COLUMNS + column;
+        const at = (cell) => attributes[Math.floor(cell / this.COLUMNS)][cell % this.COLUMNS];
+        const neighbours = [];
+
+        if (index > 0) neighbours.push(at(index - 1));
+        if (row > 0) neighbours.push(attributes[row - 1][column]);
+        if (index < this.COLUMNS * this.ROWS - 1) neighbours.push(at(index + 1));
+        return neighbours;
+    }
+
+    /**
+     * Count the INK pixels in a cell
+     * @param {Array<Uint8Array>} pixels - Screen pixel rows
+     * @param {number} column - Cell column
+     * @param {number} row - Cell row
+     * @returns {number} 0-64
+     */
+    countInk(pixels, column, row) {
+        let count = 0;
+        this.forEachPixel(column, row, (x, y) => {
+            if (pixels[y][x]) count++;
+        });
+        return count;
+    }
+
+    /**
+     * Set every pixel of a cell
+     * @param {Array<Uint8Array>} pixels - Screen pixel rows
+     * @param {number} column - Cell column
+     * @param {number} row - Cell row
+     * @param {number} value - 1 for INK, 0 for PAPER
+     */
+    fillCell(pixels, column, row, value) {
+        this.forEachPixel(column, row, (x, y) => {
+            pixels[y][x] = value;
+        });
+    }
+
+    /**
+     * Flip every pixel of a cell
+     * @param {Array<Uint8Array>} pixels - Screen pixel rows
+     * @param {number} column - Cell column
+     * @param {number} row - Cell row
+     */
+    invertCell(pixels, column, row) {
+        this.forEachPixel(column, row, (x, y) => {
+            pixels[y][x] = pixels[y][x] ? 0 : 1;
+        });
+    }
+
+    /**
+     * Visit the screen coordinates of a cell's pixels
+     * @param {number} column - Cell column
+     * @param {number} row - Cell row
+     * @param {Function} visit - Called with (x, y)
+     */
+    forEachPixel(column, row, visit) {
+        const size = this.ATTR_BLOCK_SIZE;
+        for (let y = row * size; y < (row + 1) * size; y++) {
+            for (let x = column * size; x < (column + 1) * size; x++) {
+                visit(x, y);
+            }
+        }
+    }
+
+    /**
+     * Count cells whose pixels or attribute differ between two screens
+     * @param {Array<Uint8Array>} pixels - Original pixel rows
+     * @param {Array<Array<Object>>} attributes - Original attribute rows
+     * @param {Object} result - Optimised { pixels, attributes }
+     * @returns {number} Changed cells
+     */
+    countChangedCells(pixels, attributes, result) {
+        let changed = 0;
+
+        for (let row = 0; row < this.ROWS; row++) {
+            for (let column = 0; column < this.COLUMNS; column++) {
+                const before = attributes[row][column];
+                const after = result.attributes[row][column];
+                let differs = before.ink !== after.ink || before.paper !== after.paper ||
+                    !!before.bright !== !!after.bright || !!before.flash !== !!after.flash;
+
+                this.forEachPixel(column, row, (x, y) => {
+                    if (pixels[y][x] !== result.pixels[y][x]) differs = true;
+                });
+                if (differs) changed++;
+            }
+        }
+
+        return changed;
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttributeOptimizer;
+} else if (typeof window !== 'undefined') {
+    window.AttributeOptimizer = AttributeOptimizer;
+}
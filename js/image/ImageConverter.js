@@ -0,0 +1,502 @@
+/**
+ * Image Converter - Reduces true-colour images to ZX Spectrum screens
+ * Every 8×8 cell gets the INK/PAPER/BRIGHT combination from the 15 real
+ * Spectrum colours that minimises perceptual (CIELAB) error. Pixels are then
+ * set to one of their cell's two colours, either by nearest match or by
+ * dithering (error diffusion or ordered Bayer) between just those two colours.
+ *
+ * @class ImageConverter
+ */
+class ImageConverter {
+    constructor(colorManager) {
+        if (!colorManager) {
+            throw new Error('ImageConverter: colorManager is required');
+        }
+
+        this.colorManager = colorManager;
+
+        // ZX Spectrum constraints
+        this.CANVAS_WIDTH = 256;
+        this.CANVAS_HEIGHT = 192;
+        this.ATTR_BLOCK_SIZE = 8;
+
+        // Dither modes: error diffusion kernels are [dx, dy, weight] triples
+        this.DITHER_MODES = {
+            'none': { name: 'None' },
+            'floyd-steinberg': {
+                name: 'Floyd–Steinberg',
+                kernel: [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]]
+            },
+            'atkinson': {
+                name: 'Atkinson',
+                kernel: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]]
+            },
+            'jarvis': {
+                name: 'Jarvis–Judice–Ninke',
+                kernel: [
+                    [1, 0, 7 / 48], [2, 0, 5 / 48],
+                    [-2, 1, 3 / 48], [-1, 1, 5 / 48], [0, 1, 7 / 48], [1, 1, 5 / 48], [2, 1, 3 / 48],
+                    [-2, 2, 1 / 48], [-1, 2, 3 / 48], [0, 2, 5 / 48], [1, 2, 3 / 48], [2, 2, 1 / 48]
+                ]
+            },
+            'bayer2': { name: 'Bayer 2×2', matrixSize: 2 },
+            'bayer4': { name: 'Bayer 4×4', matrixSize: 4 },
+            'bayer8': { name: 'Bayer 8×8', matrixSize: 8 }
+        };
+
+        this.paletteRgb = this.colorManager.getAllRgbCache();
+        this.paletteLab = this.buildPaletteLab();
+    }
+
+    /**
+     * Convert palette RGB values to CIELAB for distance calculations
+     * @returns {Object} { normal: Array<Array<number>>, bright: Array<Array<number>> }
+     */
+    buildPaletteLab() {
+        return {
+            normal: this.paletteRgb.normal.map(c => this.rgbToLab(c.r, c.g, c.b)),
+            bright: this.paletteRgb.bright.map(c => this.rgbToLab(c.r, c.g, c.b))
+        };
+    }
+
+    /**
+     * List the available dither modes
+     * @returns {Array<Object>} Modes { id, name }
+     */
+    getDitherModes() {
+        return Object.keys(this.DITHER_MODES).map(id => ({ id, name: this.DITHER_MODES[id].name }));
+    }
+
+    /**
+     * Work out where a source image lands on the 256×192 screen
+     * 'fit' shows the whole image (letterboxed), 'fill' covers the screen and crops,
+     * 'stretch' ignores the aspect ratio. The offset moves the image in screen pixels.
+     * @param {number} width - Source width
+     * @param {number} height - Source height
+     * @param {Object} options - { fit, offsetX, offsetY, snapToCells }
+     * @returns {Object} Destination rectangle { x, y, width, height }
+     */
+    getPlacement(width, height, options = {}) {
+        const { fit = 'stretch', offsetX = 0, offsetY = 0, snapToCells = false } = options;
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error('ImageConverter: image has no size');
+        }
+
+        let drawWidth = this.CANVAS_WIDTH;
+        let drawHeight = this.CANVAS_HEIGHT;
+        if (fit === 'fit' || fit === 'fill') {
+            const scaleX = this.CANVAS_WIDTH / width;
+            const scaleY = this.CANVAS_HEIGHT / height;
+            const scale = fit === 'fit' ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY);
+            drawWidth = Math.round(width * scale);
+            drawHeight = Math.round(height * scale);
+        } else if (fit !== 'stretch') {
+            throw new Error(`ImageConverter: unknown fit mode "${fit}"`);
+        }
+
+        let x = Math.round((this.CANVAS_WIDTH - drawWidth) / 2) + offsetX;
+        let y = Math.round((this.CANVAS_HEIGHT - drawHeight) / 2) + offsetY;
+        if (snapToCells) {
+            // Line the image edge up with character cells so it does not straddle attributes
+            x = Math.round(x / this.ATTR_BLOCK_SIZE) * this.ATTR_BLOCK_SIZE;
+            y = Math.round(y / this.ATTR_BLOCK_SIZE) * this.ATTR_BLOCK_SIZE;
+        }
+
+        return { x, y, width: drawWidth, height: drawHeight };
+    }
+
+    /**
+     * Apply brightness, contrast, gamma and saturation to RGBA data in place
+     * @param {Uint8ClampedArray} data - RGBA data
+     * @param {Object} options - { brightness: -1..1, contrast: -1..1, gamma: >0, saturation: 0..2 }
+     */
+    adjustTone(data, options = {}) {
+        const { brightness = 0, contrast = 0, gamma = 1, saturation = 1 } = options;
+        if (brightness === 0 && contrast === 0 && gamma === 1 && saturation === 1) return;
+
+        // Brightness, contrast and gamma are per channel, so bake them into a lookup table
+        const contrastFactor = contrast >= 0 ? 1 + contrast * 2 : 1 + contrast;
+        const lut = new Float32Array(256);
+        for (let v = 0; v < 256; v++) {
+            let out = (v - 128) * contrastFactor + 128 + brightness * 255;
+            out = Math.min(255, Math.max(0, out));
+            lut[v] = 255 * Math.pow(out / 255, 1 / gamma);
+        }
+
+        for (let i = 0; i < data.length; i += 4) {
+            const r = lut[data[i]];
+            const g = lut[data[i + 1]];
+            const b = lut[data[i + 2]];
+            const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+            data[i] = luma + (r - luma) * saturation;
+            data[i + 1] = luma + (g - luma) * saturation;
+            data[i + 2] = luma + (b - luma) * saturation;
+        }
+    }
+
+    /**
+     * Convert 256×192 image data into Spectrum pixels and attributes
+     * @param {ImageData} imageData - Source image, already scaled to 256×192
+     * @param {Object} options - { dither: dither mode id, strength: 0-1 }
+     * @returns {Object} { pixels, attributes }
+     */
+    convert(imageData, options = {}) {
+        const { dither = 'none', strength = 1 } = options;
+        const mode = this.DITHER_MODES[dither];
+        if (!mode) {
+            throw new Error(`ImageConverter: unknown dither mode "${dither}"`);
+        }
+
+        const lab = this.imageToLab(imageData.data);
+
+        const pixels = new Array(this.CANVAS_HEIGHT);
+        for (let row = 0; row < this.CANVAS_HEIGHT; row++) {
+            pixels[row] = new Uint8Array(this.CANVAS_WIDTH);
+        }
+
+        const cellsX = this.CANVAS_WIDTH / this.ATTR_BLOCK_SIZE;
+        const cellsY = this.CANVAS_HEIGHT / this.ATTR_BLOCK_SIZE;
+        const cells = new Array(cellsY);
+        for (let cellY = 0; cellY < cellsY; cellY++) {
+            cells[cellY] = new Array(cellsX);
+            for (let cellX = 0; cellX < cellsX; cellX++) {
+                cells[cellY][cellX] = this.chooseCellColors(lab, cellX, cellY);
+            }
+        }
+
+        if (mode.kernel) {
+            this.diffuseError(imageData.data, cells, pixels, mode.kernel, strength);
+        } else if (mode.matrixSize) {
+            this.orderedDither(imageData.data, cells, pixels, this.buildBayerMatrix(mode.matrixSize), strength);
+        } else {
+            this.assignNearest(lab, cells, pixels);
+        }
+
+        const attributes = cells.map((row, cellY) =>
+            row.map((cell, cellX) => this.normalizeCell(cell, cellX, cellY, pixels)));
+
+        return { pixels, attributes };
+    }
+
+    /**
+     * Choose the best colour pair for one cell
+     * @param {Float32Array} lab - Image in CIELAB, 3 values per pixel
+     * @param {number} cellX - Cell column
+     * @param {number} cellY - Cell row
+     * @returns {Object} { ink, paper, bright }
+     */
+    chooseCellColors(lab, cellX, cellY) {
+        const size = this.ATTR_BLOCK_SIZE;
+        const count = size * size;
+        const best = { error: Infinity, ink: 0, paper: 7, bright: false };
+
+        [false, true].forEach(bright => {
+            const palette = bright ? this.paletteLab.bright : this.paletteLab.normal;
+
+            // Distance from every pixel in the cell to every palette colour
+            const distances = palette.map(color => {
+                const d = new Float32Array(count);
+                for (let i = 0; i < count; i++) {
+                    const idx = this.pixelIndex(cellX * size + (i % size), cellY * size + Math.floor(i / size)) * 3;
+                    d[i] = this.labDistance(lab[idx], lab[idx + 1], lab[idx + 2], color);
+                }
+                return d;
+            });
+
+            for (let a = 0; a < palette.length; a++) {
+                for (let b = a; b < palette.length; b++) {
+                    let error = 0;
+                    const da = distances[a];
+                    const db = distances[b];
+                    for (let i = 0; i < count && error < best.error; i++) {
+                        error += da[i] < db[i] ? da[i] : db[i];
+                    }
+
+                    // Strict comparison keeps the non-bright pair on ties (black is identical in both)
+                    if (error < best.error) {
+                        Object.assign(best, { error, ink: a, paper: b, bright });
+                    }
+                }
+            }
+        });
+
+        return { ink: best.ink, paper: best.paper, bright: best.bright };
+    }
+
+    /**
+     * Set every pixel to whichever of its cell's colours is perceptually closer
+     * @param {Float32Array} lab - Image in CIELAB
+     * @param {Array<Array<Object>>} cells - Cell colour pairs
+     * @param {Array<Uint8Array>} pixels - Output pixel rows (1 = cell ink)
+     */
+    assignNearest(lab, cells, pixels) {
+        const size = this.ATTR_BLOCK_SIZE;
+        for (let y = 0; y < this.CANVAS_HEIGHT; y++) {
+            for (let x = 0; x < this.CANVAS_WIDTH; x++) {
+                const cell = cells[Math.floor(y / size)][Math.floor(x / size)];
+                const palette = cell.bright ? this.paletteLab.bright : this.paletteLab.normal;
+                const idx = this.pixelIndex(x, y) * 3;
+                const toInk = this.labDistance(lab[idx], lab[idx + 1], lab[idx + 2], palette[cell.ink]);
+                const toPaper = this.labDistance(lab[idx], lab[idx + 1], lab[idx + 2], palette[cell.paper]);
+                pixels[y][x] = toInk < toPaper ? 1 : 0;
+            }
+        }
+    }
+
+    /**
+     * Error diffusion dither between each cell's two colours
+     * Quantisation error is carried across cell borders so tone is kept over the whole image.
+     * @param {Uint8ClampedArray} data - RGBA data
+     * @param {Array<Array<Object>>} cells - Cell colour pairs
+     * @param {Array<Uint8Array>} pixels - Output pixel rows (1 = cell ink)
+     * @param {Array<Array<number>>} kernel - [dx, dy, weight] triples
+     * @param {number} strength - Fraction of the error to diffuse (0-1)
+     */
+    diffuseError(data, cells, pixels, kernel, strength) {
+        const width = this.CANVAS_WIDTH;
+        const height = this.CANVAS_HEIGHT;
+        const size = this.ATTR_BLOCK_SIZE;
+
+        const work = new Float32Array(width * height * 3);
+        for (let i = 0; i < width * height; i++) {
+            work[i * 3] = data[i * 4];
+            work[i * 3 + 1] = data[i * 4 + 1];
+            work[i * 3 + 2] = data[i * 4 + 2];
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const cell = cells[Math.floor(y / size)][Math.floor(x / size)];
+                const palette = cell.bright ? this.paletteRgb.bright : this.paletteRgb.normal;
+                const ink = palette[cell.ink];
+                const paper = palette[cell.paper];
+
+                const idx = this.pixelIndex(x, y) * 3;
+                const r = work[idx];
+                const g = work[idx + 1];
+                const b = work[idx + 2];
+
+                const isInk = this.rgbDistance(r, g, b, ink) < this.rgbDistance(r, g, b, paper);
+                const chosen = isInk ? ink : paper;
+                pixels[y][x] = isInk ? 1 : 0;
+
+                const errR = (r - chosen.r) * strength;
+                const errG = (g - chosen.g) * strength;
+                const errB = (b - chosen.b) * strength;
+
+                for (const [dx, dy, weight] of kernel) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= width || ny >= height) continue;
+                    const nIdx = this.pixelIndex(nx, ny) * 3;
+                    work[nIdx] += errR * weight;
+                    work[nIdx + 1] += errG * weight;
+                    work[nIdx + 2] += errB * weight;
+                }
+            }
+        }
+    }
+
+    /**
+     * Ordered (Bayer) dither between each cell's two colours
+     * Each pixel is projected onto the line from PAPER to INK and compared with a
+     * threshold offset by the Bayer matrix, so strength 0 is a plain 50% cut.
+     * @param {Uint8ClampedArray} data - RGBA data
+     * @param {Array<Array<Object>>} cells - Cell colour pairs
+     * @param {Array<Uint8Array>} pixels - Output pixel rows (1 = cell ink)
+     * @param {Array<Array<number>>} matrix - Threshold offsets in (-0.5, 0.5)
+     * @param {number} strength - Scale of the threshold offsets (0-1)
+     */
+    orderedDither(data, cells, pixels, matrix, strength) {
+        const size = this.ATTR_BLOCK_SIZE;
+        const matrixSize = matrix.length;
+
+        for (let y = 0; y < this.CANVAS_HEIGHT; y++) {
+            for (let x = 0; x < this.CANVAS_WIDTH; x++) {
+                const cell = cells[Math.floor(y / size)][Math.floor(x / size)];
+                if (cell.ink === cell.paper) {
+                    pixels[y][x] = 0;
+                    continue;
+                }
+
+                const palette = cell.bright ? this.paletteRgb.bright : this.paletteRgb.normal;
+                const ink = palette[cell.ink];
+                const paper = palette[cell.paper];
+
+                const idx = this.pixelIndex(x, y) * 4;
+                const dr = ink.r - paper.r;
+                const dg = ink.g - paper.g;
+                const db = ink.b - paper.b;
+                const t = ((data[idx] - paper.r) * dr + (data[idx + 1] - paper.g) * dg + (data[idx + 2] - paper.b) * db) /
+                    (dr * dr + dg * dg + db * db);
+
+                const threshold = 0.5 + matrix[y % matrixSize][x % matrixSize] * strength;
+                pixels[y][x] = t > threshold ? 1 : 0;
+            }
+        }
+    }
+
+    /**
+     * Build a normalised Bayer threshold matrix
+     * @param {number} size - Matrix size (power of two)
+     * @returns {Array<Array<number>>} Offsets in (-0.5, 0.5)
+     */
+    buildBayerMatrix(size) {
+        let matrix = [[0]];
+        while (matrix.length < size) {
+            const n = matrix.length;
+            const next = [];
+            for (let y = 0; y < n * 2; y++) {
+                next.push(new Array(n * 2));
+            }
+            for (let y = 0; y < n; y++) {
+                for (let x = 0; x < n; x++) {
+                    const v = matrix[y][x] * 4;
+                    next[y][x] = v;
+                    next[y][x + n] = v + 2;
+                    next[y + n][x] = v + 3;
+                    next[y + n][x + n] = v + 1;
+                }
+            }
+            matrix = next;
+        }
+
+        const levels = size * size;
+        return matrix.map(row => row.map(v => (v + 0.5) / levels - 0.5));
+    }
+
+    /**
+     * Make the majority colour PAPER so INK marks the detail, and build the attribute
+     * @param {Object} cell - Cell colour pair
+     * @param {number} cellX - Cell column
+     * @param {number} cellY - Cell row
+     * @param {Array<Uint8Array>} pixels - Pixel rows, flipped in place when inverting
+     * @returns {Object} Cell attribute
+     */
+    normalizeCell(cell, cellX, cellY, pixels) {
+        const size = this.ATTR_BLOCK_SIZE;
+        const count = size * size;
+        const left = cellX * size;
+        const top = cellY * size;
+
+        let inkCount = 0;
+        for (let y = top; y < top + size; y++) {
+            for (let x = left; x < left + size; x++) {
+                inkCount += pixels[y][x];
+            }
+        }
+
+        let { ink, paper } = cell;
+        const flat = ink === paper;
+        const invert = !flat && inkCount > count / 2;
+        if (invert) {
+            [ink, paper] = [paper, ink];
+        }
+        if (flat) {
+            // No ink pixels: pick a contrasting ink for later editing
+            ink = paper === 0 ? 7 : 0;
+        }
+
+        if (flat || invert) {
+            for (let y = top; y < top + size; y++) {
+                for (let x = left; x < left + size; x++) {
+                    pixels[y][x] = flat ? 0 : 1 - pixels[y][x];
+                }
+            }
+        }
+
+        return { ink, paper, bright: cell.bright, flash: false };
+    }
+
+    /**
+     * Convert RGBA image data to CIELAB
+     * @param {Uint8ClampedArray} data - RGBA data
+     * @returns {Float32Array} Lab values, 3 per pixel
+     */
+    imageToLab(data) {
+        const total = this.CANVAS_WIDTH * this.CANVAS_HEIGHT;
+        const lab = new Float32Array(total * 3);
+        for (let i = 0; i < total; i++) {
+            const [l, a, b] = this.rgbToLab(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+            lab[i * 3] = l;
+            lab[i * 3 + 1] = a;
+            lab[i * 3 + 2] = b;
+        }
+        return lab;
+    }
+
+    /**
+     * Convert sRGB to CIELAB (D65)
+     * @param {number} r - Red 0-255
+     * @param {number} g - Green 0-255
+     * @param {number} b - Blue 0-255
+     * @returns {Array<number>} [L, a, b]
+     */
+    rgbToLab(r, g, b) {
+        const linear = (c) => {
+            const v = c / 255;
+            return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+        };
+        const lr = linear(r);
+        const lg = linear(g);
+        const lb = linear(b);
+
+        const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+        const y = (lr * 0.2126 + lg * 0.7152 + lb * 0.0722);
+        const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+
+        const f = (t) => (t > 0.008856 ? Math.cbrt(t) : (7.787 * t) + 16 / 116);
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+
+        return [(116 * fy) - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    /**
+     * Squared CIELAB distance
+     * @param {number} l - Lightness
+     * @param {number} a - a* component
+     * @param {number} b - b* component
+     * @param {Array<number>} color - Palette colour in Lab
+     * @returns {number} Squared distance
+     */
+    labDistance(l, a, b, color) {
+        const dl = l - color[0];
+        const da = a - color[1];
+        const db = b - color[2];
+        return dl * dl + da * da + db * db;
+    }
+
+    /**
+     * Squared RGB distance
+     * @param {number} r - Red
+     * @param {number} g - Green
+     * @param {number} b - Blue
+     * @param {Object} color - Palette colour { r, g, b }
+     * @returns {number} Squared distance
+     */
+    rgbDistance(r, g, b, color) {
+        const dr = r - color.r;
+        const dg = g - color.g;
+        const db = b - color.b;
+        return dr * dr + dg * dg + db * db;
+    }
+
+    /**
+     * Linear index of a pixel
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Index
+     */
+    pixelIndex(x, y) {
+        return y * this.CANVAS_WIDTH + x;
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageConverter;
+} else if (typeof window !== 'undefined') {
+    window.ImageConverter = ImageConverter;
+}
@@ -0,0 +1,329 @@
+/**
+ * Charset Manager - Font and UDG editing, and text layout
+ * Holds one 96-glyph font and one 21-glyph UDG set side by side. The mode picks
+ * which of the two the editor and the glyph tool work on. The text tool prints
+ * with either the ROM font or the edited one. Glyph edits are not part of the
+ * screen history; stamping glyphs or text onto the screen is.
+ *
+ * @class CharsetManager
+ */
+class CharsetManager {
+    constructor(eventBus, charsetFormat) {
+        if (!eventBus) {
+            throw new Error('CharsetManager: eventBus is required');
+        }
+        if (!charsetFormat) {
+            throw new Error('CharsetManager: charsetFormat is required');
+        }
+
+        this.eventBus = eventBus;
+        this.charsetFormat = charsetFormat;
+
+        this.GLYPH_SIZE = charsetFormat.BYTES_PER_GLYPH;
+        this.MODES = ['font', 'udg'];
+        this.TRANSFORMS = ['clear', 'invert', 'mirror', 'flip', 'rotate'];
+
+        this.sets = {
+            font: charsetFormat.getRomFont(),
+            udg: charsetFormat.getRomUDG()
+        };
+        this.mode = 'font';
+        // Start on "A" so there is something to look at
+        this.selected = { font: 33, udg: 0 };
+
+        this.romFont = charsetFormat.getRomFont();
+        this.TEXT_FONTS = ['rom', 'charset'];
+        this.textOptions = {
+            text: 'HELLO WORLD',
+            font: 'rom',
+            snap: true,
+            doubleWidth: false,
+            doubleHeight: false,
+            inverse: false
+        };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('charset-mode', (mode) => this.setMode(mode));
+        this.eventBus.on('charset-select', (index) => this.selectGlyph(index));
+        this.eventBus.on('charset-pixel', (data) => this.setGlyphPixel(data.x, data.y, data.value));
+        this.eventBus.on('charset-transform', (action) => this.transformGlyph(action));
+        this.eventBus.on('charset-reset', () => this.resetToROM());
+        this.eventBus.on('charset-loaded', (data) => this.setData(data.type, data.bytes, data.fileName));
+        this.eventBus.on('glyph-stamp', (data) => this.stampGlyph(data));
+        this.eventBus.on('text-options-changed', (options) => this.setTextOptions(options));
+        this.eventBus.on('text-stamp', (data) => this.stampText(data));
+        this.eventBus.on('text-hover', (position) => this.previewText(position));
+    }
+
+    /**
+     * Switch between the font and the UDG set
+     * @param {string} mode - 'font' or 'udg'
+     */
+    setMode(mode) {
+        if (!this.MODES.includes(mode)) {
+            throw new Error(`CharsetManager: unknown mode "${mode}"`);
+        }
+        this.mode = mode;
+        this.notify();
+    }
+
+    /**
+     * Select the glyph to edit and stamp
+     * @param {number} index - Glyph index in the current set
+     */
+    selectGlyph(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.getGlyphCount()) return;
+        this.selected[this.mode] = index;
+        this.notify();
+    }
+
+    /**
+     * Number of glyphs in the current set
+     * @returns {number} 96 or 21
+     */
+    getGlyphCount() {
+        return this.sets[this.mode].length / this.GLYPH_SIZE;
+    }
+
+    /**
+     * Get a glyph's bytes
+     * @param {number} index - Glyph index, defaults to the selected one
+     * @returns {Uint8Array} 8 bytes (a view into the set)
+     */
+    getGlyph(index = this.selected[this.mode]) {
+        const start = index * this.GLYPH_SIZE;
+        return this.sets[this.mode].subarray(start, start + this.GLYPH_SIZE);
+    }
+
+    /**
+     * Set or clear one pixel of the selected glyph
+     * @param {number} x - Column 0-7
+     * @param {number} y - Row 0-7
+     * @param {number} value - 1 for INK, 0 for PAPER
+     */
+    setGlyphPixel(x, y, value) {
+        if (x < 0 || x >= 8 || y < 0 || y >= 8) return;
+
+        const glyph = this.getGlyph();
+        const bit = 0x80 >> x;
+        const row = value ? glyph[y] | bit : glyph[y] & ~bit;
+        if (row === glyph[y]) return;
+
+        glyph[y] = row;
+        this.notify();
+    }
+
+    /**
+     * Apply a whole-glyph edit to the selected glyph
+     * @param {string} action - 'clear', 'invert', 'mirror', 'flip' or 'rotate' (90° clockwise)
+     */
+    transformGlyph(action) {
+        if (!this.TRANSFORMS.includes(action)) {
+            throw new Error(`CharsetManager: unknown glyph action "${action}"`);
+        }
+
+        const glyph = this.getGlyph();
+        const source = glyph.slice();
+        const read = (x, y) => (source[y] << x) & 0x80;
+        const pixelAt = {
+            clear: () => 0,
+            invert: (x, y) => !read(x, y),
+            mirror: (x, y) => read(7 - x, y),
+            flip: (x, y) => read(x, 7 - y),
+            // The top row ends up as the right-hand column
+            rotate: (x, y) => read(y, 7 - x)
+        }[action];
+
+        for (let y = 0; y < 8; y++) {
+            let row = 0;
+            for (let x = 0; x < 8; x++) {
+                if (pixelAt(x, y)) row |= 0x80 >> x;
+            }
+            glyph[y] = row;
+        }
+        this.notify();
+    }
+
+    /**
+     * Put back the ROM font and power-on UDGs for the current set
+     */
+    resetToROM() {
+        this.sets[this.mode] = this.mode === 'font' ? this.charsetFormat.getRomFont() : this.charsetFormat.getRomUDG();
+        this.notify();
+        this.eventBus.emit('status', {
+            message: this.mode === 'font' ? 'Font reset to the ROM character set' : 'UDGs reset to A-U',
+            type: 'info'
+        });
+    }
+
+    /**
+     * Replace a set with loaded data and switch to it
+     * Short UDG files only replace the glyphs they contain.
+     * @param {string} type - 'font' or 'udg'
+     * @param {Uint8Array} bytes - Glyph data from CharsetFormat.parse()
+     * @param {string} fileName - Source file name for the status message
+     */
+    setData(type, bytes, fileName = '') {
+        if (!this.MODES.includes(type)) {
+            throw new Error(`CharsetManager: unknown charset type "${type}"`);
+        }
+
+        this.sets[type].set(bytes.subarray(0, this.sets[type].length));
+        this.mode = type;
+        this.notify();
+
+        const glyphs = bytes.length / this.GLYPH_SIZE;
+        this.eventBus.emit('status', {
+            message: `⬆ ${fileName ? `${fileName}: ` : ''}${glyphs} ${type === 'font' ? 'font glyphs' : 'UDGs'} loaded`,
+            type: 'success'
+        });
+    }
+
+    /**
+     * Get a copy of a whole set for saving
+     * @param {string} type - 'font' or 'udg', defaults to the current mode
+     * @returns {Uint8Array} 768 or 168 bytes
+     */
+    getData(type = this.mode) {
+        return this.sets[type].slice();
+    }
+
+    /**
+     * Hand the selected glyph to DrawingService
+     * @param {Object} data - { x, y, erase } top-left corner in screen pixels
+     */
+    stampGlyph(data) {
+        this.eventBus.emit('draw-glyph', { ...data, bytes: this.getGlyph().slice() });
+    }
+
+    /**
+     * Change one or more text tool options
+     * @param {Object} options - Partial { text, font, snap, doubleWidth, doubleHeight, inverse }
+     */
+    setTextOptions(options) {
+        const next = { ...this.textOptions, ...options };
+        if (!this.TEXT_FONTS.includes(next.font)) {
+            throw new Error(`CharsetManager: unknown text font "${next.font}"`);
+        }
+
+        this.textOptions = {
+            text: String(next.text),
+            font: next.font,
+            snap: !!next.snap,
+            doubleWidth: !!next.doubleWidth,
+            doubleHeight: !!next.doubleHeight,
+            inverse: !!next.inverse
+        };
+    }
+
+    /**
+     * Get current text options
+     * @returns {Object} Options copy
+     */
+    getTextOptions() {
+        return { ...this.textOptions };
+    }
+
+    /**
+     * Work out where the text lands for a pointer position
+     * @param {Object} position - { x, y } in screen pixels
+     * @returns {Object} { x, y, width, height, scaleX, scaleY }
+     */
+    getTextLayout(position) {
+        const { text, snap, doubleWidth, doubleHeight } = this.textOptions;
+        const scaleX = doubleWidth ? 2 : 1;
+        const scaleY = doubleHeight ? 2 : 1;
+        const x = snap ? position.x & ~7 : position.x;
+        const y = snap ? position.y & ~7 : position.y;
+
+        return {
+            x,
+            y,
+            width: [...text].length * this.GLYPH_SIZE * scaleX,
+            height: this.GLYPH_SIZE * scaleY,
+            scaleX,
+            scaleY
+        };
+    }
+
+    /**
+     * Look up the glyph for one character of text
+     * Anything outside CHR$ 32-127 prints as "?".
+     * @param {string} char - Character
+     * @returns {Uint8Array} 8 bytes
+     */
+    getCharGlyph(char) {
+        const font = this.textOptions.font === 'rom' ? this.romFont : this.sets.font;
+        // The Spectrum has £ and © where ASCII has ` and DEL
+        const code = { '£': 96, '©': 127 }[char] || char.charCodeAt(0);
+        const index = code >= 32 && code <= 127 ? code - 32 : '?'.charCodeAt(0) - 32;
+        return font.slice(index * this.GLYPH_SIZE, (index + 1) * this.GLYPH_SIZE);
+    }
+
+    /**
+     * Hand the laid-out text to DrawingService
+     * @param {Object} data - { x, y, erase } pointer position; erase clears the text's INK pixels
+     */
+    stampText(data) {
+        const { text, inverse } = this.textOptions;
+        if (!text) {
+            this.eventBus.emit('status', { message: 'Type some text in the Text panel first', type: 'warning' });
+            return;
+        }
+
+        const layout = this.getTextLayout(data);
+        this.eventBus.emit('draw-text', {
+            x: layout.x,
+            y: layout.y,
+            glyphs: [...text].map(char => this.getCharGlyph(char)),
+            scaleX: layout.scaleX,
+            scaleY: layout.scaleY,
+            inverse,
+            erase: !!data.erase
+        });
+    }
+
+    /**
+     * Outline where the text would go
+     * @param {Object} position - { x, y } pointer position
+     */
+    previewText(position) {
+        const layout = this.getTextLayout(position);
+        this.eventBus.emit('text-preview', layout.width ? layout : null);
+    }
+
+    /**
+     * Current editor state
+     * @returns {Object} { mode, selected, count, glyphs, label }
+     */
+    getInfo() {
+        const selected = this.selected[this.mode];
+        return {
+            mode: this.mode,
+            selected,
+            count: this.getGlyphCount(),
+            glyphs: this.sets[this.mode],
+            label: this.charsetFormat.getGlyphLabel(this.mode, selected)
+        };
+    }
+
+    /**
+     * Tell the UI the charset changed
+     */
+    notify() {
+        this.eventBus.emit('charset-changed', this.getInfo());
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CharsetManager;
+} else if (typeof window !== 'undefined') {
+    window.CharsetManager = CharsetManager;
+}
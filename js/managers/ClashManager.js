@@ -0,0 +1,240 @@
+/**
+ * Clash Manager - Warns before a stroke recolours existing INK
+ * While the overlay is on, every pending edit (the brush or fill under the
+ * pointer, or a shape being dragged out) is compared with the screen. A cell
+ * clashes when the edit changes its INK colour and the cell already holds INK
+ * pixels that stay set, since those would silently take the new colour.
+ * The result only feeds the preview layer and status bar; nothing is drawn.
+ *
+ * @class ClashManager
+ */
+class ClashManager {
+    constructor(eventBus, stateManager, colorManager, drawingService, fillManager) {
+        if (!eventBus) {
+            throw new Error('ClashManager: eventBus is required');
+        }
+        if (!stateManager) {
+            throw new Error('ClashManager: stateManager is required');
+        }
+        if (!colorManager) {
+            throw new Error('ClashManager: colorManager is required');
+        }
+        if (!drawingService) {
+            throw new Error('ClashManager: drawingService is required');
+        }
+
+        this.eventBus = eventBus;
+        this.stateManager = stateManager;
+        this.colorManager = colorManager;
+        this.drawingService = drawingService;
+        // Optional: without it fills are checked as plain flood fills
+        this.fillManager = fillManager;
+
+        // ZX Spectrum constraints
+        this.CANVAS_WIDTH = 256;
+        this.CANVAS_HEIGHT = 192;
+        this.ATTR_BLOCK_SIZE = 8;
+        this.COLUMNS = this.CANVAS_WIDTH / this.ATTR_BLOCK_SIZE;
+        this.ROWS = this.CANVAS_HEIGHT / this.ATTR_BLOCK_SIZE;
+
+        // Fill types that paint solid INK and so do nothing when started on INK
+        this.SOLID_FILLS = ['flood', 'smart'];
+
+        this.enabled = false;
+        this.count = 0;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('clash-overlay-toggle', () => this.setEnabled(!this.enabled));
+        this.eventBus.on('tool-hover', (data) => this.inspectHover(data));
+        this.eventBus.on('pending-edit', (data) => this.inspect(data.before, data.after));
+        // Whatever was highlighted has gone with the preview
+        this.eventBus.on('clear-preview', () => this.report([]));
+    }
+
+    /**
+     * Turn the overlay on or off
+     * @param {boolean} enabled - Show clash highlights
+     */
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        this.eventBus.emit('clash-overlay-changed', { enabled: this.enabled });
+        this.eventBus.emit('status', {
+            message: this.enabled ? '⚠ Clash overlay ON' : 'Clash overlay OFF',
+            type: 'info'
+        });
+        if (!this.enabled) {
+            this.eventBus.emit('clear-preview');
+        }
+    }
+
+    /**
+     * Check what the current tool would do if clicked at the pointer
+     * @param {Object} data - { tool, position, brushSize }
+     */
+    inspectHover(data) {
+        if (!this.enabled) return;
+
+        const { tool, position, brushSize } = data;
+        const inBounds = position.x >= 0 && position.x < this.CANVAS_WIDTH &&
+            position.y >= 0 && position.y < this.CANVAS_HEIGHT;
+
+        // Hover highlights replace each other rather than piling up
+        this.eventBus.emit('clear-preview');
+        if (!inBounds) return;
+
+        const before = this.stateManager.getState();
+        const after = {
+            pixels: before.pixels.map(row => new Uint8Array(row)),
+            attributes: before.attributes.map(row => row.map(attr => ({ ...attr })))
+        };
+
+        if (tool === 'brush') {
+            this.drawingService.drawBrushToState({ x: position.x, y: position.y, value: 1, size: brushSize }, after);
+        } else if (tool === 'fill') {
+            if (!this.applyFill(position, after)) return;
+        } else {
+            return;
+        }
+
+        this.inspect(before, after);
+    }
+
+    /**
+     * Apply the current fill to a copy of the screen, as far as clash goes
+     * Every fill type covers the same connected region, so only that region
+     * matters: pixels inside it are replaced, attributes of its cells are set.
+     * @param {Object} position - { x, y } where the fill would start
+     * @param {Object} state - Screen copy to change
+     * @returns {boolean} False when the fill would change nothing
+     */
+    applyFill(position, state) {
+        const { type, options } = this.fillManager ? this.fillManager.currentFill : { type: 'flood', options: {} };
+        const target = state.pixels[position.y][position.x];
+        if (target && this.SOLID_FILLS.includes(type)) return false;
+
+        const region = this.getFillRegion(state.pixels, position.x, position.y);
+        const { paintMode } = this.colorManager.getState();
+        const setAttributes = !options.keepAttributes && paintMode !== 'pixels';
+        const touched = new Set();
+
+        for (let y = 0; y < this.CANVAS_HEIGHT; y++) {
+            for (let x = 0; x < this.CANVAS_WIDTH; x++) {
+                if (!region[y * this.CANVAS_WIDTH + x]) continue;
+                // Whatever the fill puts here, it is new rather than existing INK
+                if (paintMode !== 'attributes') state.pixels[y][x] = 0;
+                touched.add((y >> 3) * this.COLUMNS + (x >> 3));
+            }
+        }
+
+        if (setAttributes) {
+            touched.forEach(cell => {
+                const row = Math.floor(cell / this.COLUMNS);
+                const column = cell % this.COLUMNS;
+                state.attributes[row][column] = this.colorManager.getPaintAttribute(state.attributes[row][column]);
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Find the 4-connected region of pixels matching the start pixel
+     * @param {Array<Uint8Array>} pixels - Screen pixel rows
+     * @param {number} x - Start X
+     * @param {number} y - Start Y
+     * @returns {Uint8Array} One byte per screen pixel, 1 inside the region
+     */
+    getFillRegion(pixels, x, y) {
+        const width = this.CANVAS_WIDTH;
+        const height = this.CANVAS_HEIGHT;
+        const target = pixels[y][x];
+        const region = new Uint8Array(width * height);
+        const stack = [y * width + x];
+        region[y * width + x] = 1;
+
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const px = index % width;
+            const py = (index - px) / width;
+            const neighbours = [
+                px > 0 ? index - 1 : -1,
+                px < width - 1 ? index + 1 : -1,
+                py > 0 ? index - width : -1,
+                py < height - 1 ? index + width : -1
+            ];
+
+            neighbours.forEach(next => {
+                if (next < 0 || region[next]) return;
+                if (pixels[(next - next % width) / width][next % width] !== target) return;
+                region[next] = 1;
+                stack.push(next);
+            });
+        }
+
+        return region;
+    }
+
+    /**
+     * Compare the screen with a pending edit and report clashing cells
+     * @param {Object} before - { pixels, attributes } as the screen is now
+     * @param {Object} after - { pixels, attributes } with the edit applied
+     */
+    inspect(before, after) {
+        if (!this.enabled) return;
+        this.report(this.findClashes(before, after));
+    }
+
+    /**
+     * Find cells whose INK colour changes while existing INK pixels stay set
+     * @param {Object} before - { pixels, attributes } as the screen is now
+     * @param {Object} after - { pixels, attributes } with the edit applied
+     * @returns {Array<Object>} Clashing cells { x, y } in cell coordinates
+     */
+    findClashes(before, after) {
+        const cells = [];
+        const size = this.ATTR_BLOCK_SIZE;
+
+        for (let row = 0; row < this.ROWS; row++) {
+            for (let column = 0; column < this.COLUMNS; column++) {
+                const oldAttr = before.attributes[row][column];
+                const newAttr = after.attributes[row][column];
+                if (oldAttr.ink === newAttr.ink && !!oldAttr.bright === !!newAttr.bright) continue;
+
+                let keptInk = false;
+                for (let y = row * size; y < (row + 1) * size && !keptInk; y++) {
+                    for (let x = column * size; x < (column + 1) * size; x++) {
+                        if (before.pixels[y][x] && after.pixels[y][x]) {
+                            keptInk = true;
+                            break;
+                        }
+                    }
+                }
+                if (keptInk) cells.push({ x: column, y: row });
+            }
+        }
+
+        return cells;
+    }
+
+    /**
+     * Tell the preview layer and status bar about clashing cells
+     * @param {Array<Object>} cells - Clashing cells { x, y }
+     */
+    report(cells) {
+        if (cells.length === 0 && this.count === 0) return;
+        this.count = cells.length;
+        this.eventBus.emit('clash-detected', { cells, count: this.count });
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClashManager;
+} else if (typeof window !== 'undefined') {
+    window.ClashManager = ClashManager;
+}
@@ -195,7 +195,7 @@ class FillManager {
      * Maintains exact compatibility with existing implementation
      * @param {Object} params - Fill parameters
      */
-    floodFill({ x, y, erase }) {
+    floodFill({ x, y, erase, keepAttributes = false }) {
         const state = this.stateManager.getState();
         
         if (x < 0 || x > 255 || y < 0 || y > 191) return;
@@ -219,7 +219,7 @@ class FillManager {
             if (state.pixels[currentY][currentX] !== target) continue;
             
             visited.add(key);
-            this.drawPixel(currentX, currentY, fill, state);
+            this.drawPixel(currentX, currentY, fill, state, keepAttributes);
             changed++;
             
             // Add neighbors
@@ -229,14 +229,14 @@ class FillManager {
             stack.push({ x: currentX, y: currentY - 1 });
         }
         
-        this.handleFillCompletion('flood', changed, FILL_LIMIT, erase, target);
+        this.handleFillCompletion('flood', changed, FILL_LIMIT, erase, target, state);
     }
     
     /**
      * Pattern fill implementation
      * @param {Object} params - Fill parameters
      */
-    patternFill({ x, y, erase, patternName = 'dots', scale = 1 }) {
+    patternFill({ x, y, erase, patternName = 'dots', scale = 1, keepAttributes = false }) {
         const state = this.stateManager.getState();
         const pattern = this.patterns[patternName];
         
@@ -265,7 +265,7 @@ class FillManager {
             const patternValue = this.getPatternValue(pattern, currentX, currentY, scale);
             const fillValue = erase ? 0 : patternValue;
             
-            this.drawPixel(currentX, currentY, fillValue, state);
+            this.drawPixel(currentX, currentY, fillValue, state, keepAttributes);
             changed++;
             
             // Add neighbors
@@ -275,14 +275,14 @@ class FillManager {
             stack.push({ x: currentX, y: currentY - 1 });
         }
         
-        this.handleFillCompletion('pattern', changed, FILL_LIMIT, erase, target);
+        this.handleFillCompletion('pattern', changed, FILL_LIMIT, erase, target, state);
     }
     
     /**
      * Gradient fill implementation
      * @param {Object} params - Fill parameters
      */
-    gradientFill({ x, y, erase, gradientType = 'linear', direction = 0, radius = 100 }) {
+    gradientFill({ x, y, erase, gradientType = 'linear', direction = 0, radius = 100, keepAttributes = false }) {
         const state = this.stateManager.getState();
         const target = state.pixels[y][x];
         const stack = [{ x, y }];
@@ -311,7 +311,7 @@ class FillManager {
             );
             const fillValue = erase ? 0 : gradientValue;
             
-            this.drawPixel(currentX, currentY, fillValue, state);
+            this.drawPixel(currentX, currentY, fillValue, state, keepAttributes);
             changed++;
             
             // Add neighbors
@@ -321,14 +321,14 @@ class FillManager {
             stack.push({ x: currentX, y: currentY - 1 });
         }
         
-        this.handleFillCompletion('gradient', changed, FILL_LIMIT, erase, target);
+        this.handleFillCompletion('gradient', changed, FILL_LIMIT, erase, target, state);
     }
     
     /**
      * Fractal fill implementation
      * @param {Object} params - Fill parameters
      */
-    fractalFill({ x, y, erase, fractalType = 'mandelbrot', iterations = 50, zoom = 1 }) {
+    fractalFill({ x, y, erase, fractalType = 'mandelbrot', iterations = 50, zoom = 1, keepAttributes = false }) {
         const state = this.stateManager.getState();
         const target = state.pixels[y][x];
         const stack = [{ x, y }];
@@ -353,7 +353,7 @@ class FillManager {
             );
             const fillValue = erase ? 0 : fractalValue;
             
-            this.drawPixel(currentX, currentY, fillValue, state);
+            this.drawPixel(currentX, currentY, fillValue, state, keepAttributes);
             changed++;
             
             // Add neighbors
@@ -363,14 +363,14 @@ class FillManager {
             stack.push({ x: currentX, y: currentY - 1 });
         }
         
-        this.handleFillCompletion('fractal', changed, FILL_LIMIT, erase, target);
+        this.handleFillCompletion('fractal', changed, FILL_LIMIT, erase, target, state);
     }
     
     /**
      * Smart fill implementation with tolerance and edge detection
      * @param {Object} params - Fill parameters
      */
-    smartFill({ x, y, erase, tolerance = 0, edgeAware = false, regionConstrained = true }) {
+    smartFill({ x, y, erase, tolerance = 0, edgeAware = false, regionConstrained = true, keepAttributes = false }) {
         const state = this.stateManager.getState();
         const target = state.pixels[y][x];
         const fill = erase ? 0 : 1;
@@ -399,7 +399,7 @@ class FillManager {
             if (edgeAware && this.isEdgePixel(state, currentX, currentY)) continue;
             
             visited.add(key);
-            this.drawPixel(currentX, currentY, fill, state);
+            this.drawPixel(currentX, currentY, fill, state, keepAttributes);
             changed++;
             
             // Add neighbors
@@ -409,14 +409,14 @@ class FillManager {
             stack.push({ x: currentX, y: currentY - 1 });
         }
         
-        this.handleFillCompletion('smart', changed, FILL_LIMIT, erase, target);
+        this.handleFillCompletion('smart', changed, FILL_LIMIT, erase, target, state);
     }
     
     /**
      * Texture fill implementation
      * @param {Object} params - Fill parameters
      */
-    textureFill({ x, y, erase, textureType = 'brick', scale = 1, rotation = 0 }) {
+    textureFill({ x, y, erase, textureType = 'brick', scale = 1, rotation = 0, keepAttributes = false }) {
         const state = this.stateManager.getState();
         const target = state.pixels[y][x];
         const stack = [{ x, y }];
@@ -441,7 +441,7 @@ class FillManager {
             );
             const fillValue = erase ? 0 : textureValue;
             
-            this.drawPixel(currentX, currentY, fillValue, state);
+            this.drawPixel(currentX, currentY, fillValue, state, keepAttributes);
             changed++;
             
             // Add neighbors
@@ -451,7 +451,7 @@ class FillManager {
             stack.push({ x: currentX, y: currentY - 1 });
         }
         
-        this.handleFillCompletion('texture', changed, FILL_LIMIT, erase, target);
+        this.handleFillCompletion('texture', changed, FILL_LIMIT, erase, target, state);
     }
     
     /**
@@ -728,28 +728,28 @@ class FillManager {
     
     /**
      * Draw pixel with ZX Spectrum constraints
+     * The cell takes the selected colours like a brush stroke would, following the
+     * INK/PAPER/BRIGHT/FLASH write toggles, unless the fill keeps existing attributes.
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
      * @param {number} value - Pixel value
      * @param {Object} state - Canvas state
+     * @param {boolean} keepAttributes - Leave the cell attribute untouched
      */
-    drawPixel(x, y, value, state) {
+    drawPixel(x, y, value, state, keepAttributes = false) {
         if (x < 0 || x >= this.CANVAS_WIDTH || y < 0 || y >= this.CANVAS_HEIGHT) return;
         
-        state.pixels[y][x] = value;
+        // Attributes-only paint mode leaves the bitmap alone
+        const { paintMode } = this.colorManager.getState();
+        if (paintMode !== 'attributes') {
+            state.pixels[y][x] = value;
+        }
+        if (keepAttributes || paintMode === 'pixels') return;
         
-        // Update attribute block if needed (ZX Spectrum constraint)
+        // Update attribute block (ZX Spectrum constraint)
         const attrX = Math.floor(x / this.ATTR_BLOCK_SIZE);
         const attrY = Math.floor(y / this.ATTR_BLOCK_SIZE);
-        
-        if (attrX < 32 && attrY < 24) {
-            // Simple attribute update - maintain existing logic
-            const currentAttr = state.attributes[attrY][attrX];
-            if (currentAttr !== undefined) {
-                // Preserve existing attribute logic from main application
-                state.attributes[attrY][attrX] = currentAttr;
-            }
-        }
+        state.attributes[attrY][attrX] = this.colorManager.getPaintAttribute(state.attributes[attrY][attrX]);
     }
     
     /**
@@ -759,8 +759,9 @@ class FillManager {
      * @param {number} limit - Fill limit
      * @param {boolean} erase - Erase mode
      * @param {number} target - Target pixel value
+     * @param {Object} state - Filled canvas state
      */
-    handleFillCompletion(type, changed, limit, erase, target) {
+    handleFillCompletion(type, changed, limit, erase, target, state) {
         if (changed >= limit) {
             this.eventBus.emit('status', { 
                 message: `⚠ ${type} fill limited for performance (${changed} pixels)`, 
@@ -775,11 +776,13 @@ class FillManager {
             });
         }
         
+        // Commit the filled copy before saving, so the history entry holds the fill
+        this.stateManager.setPixels(state.pixels);
+        this.stateManager.setAttributes(state.attributes);
+        
         // Save to history for undo functionality
         this.stateManager.saveState(`${type}-fill`);
         
-        // Emit state change event
-        const state = this.stateManager.getState();
         this.eventBus.emit('state-changed', {
             pixels: state.pixels,
             attributes: state.attributes
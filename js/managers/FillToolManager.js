@@ -52,8 +52,10 @@ class FillToolManager {
                 name: 'Flood Fill',
                 description: 'Standard flood fill - fills connected areas of same color',
                 icon: '🌊',
-                options: {},
-                uiElements: []
+                options: {
+                    keepAttributes: false
+                },
+                uiElements: ['keepAttributesToggle']
             },
             pattern: {
                 name: 'Pattern Fill',
@@ -61,9 +63,10 @@ class FillToolManager {
                 icon: '🔲',
                 options: {
                     patternName: 'dots',
-                    scale: 1
+                    scale: 1,
+                    keepAttributes: false
                 },
-                uiElements: ['patternSelect', 'scaleSlider']
+                uiElements: ['patternSelect', 'scaleSlider', 'keepAttributesToggle']
             },
             gradient: {
                 name: 'Gradient Fill',
@@ -72,9 +75,10 @@ class FillToolManager {
                 options: {
                     gradientType: 'linear',
                     direction: 0,
-                    radius: 100
+                    radius: 100,
+                    keepAttributes: false
                 },
-                uiElements: ['gradientTypeSelect', 'directionSlider', 'radiusSlider']
+                uiElements: ['gradientTypeSelect', 'directionSlider', 'radiusSlider', 'keepAttributesToggle']
             },
             fractal: {
                 name: 'Fractal Fill',
@@ -83,9 +87,10 @@ class FillToolManager {
                 options: {
                     fractalType: 'mandelbrot',
                     iterations: 50,
-                    zoom: 1
+                    zoom: 1,
+                    keepAttributes: false
                 },
-                uiElements: ['fractalTypeSelect', 'iterationsSlider', 'zoomSlider']
+                uiElements: ['fractalTypeSelect', 'iterationsSlider', 'zoomSlider', 'keepAttributesToggle']
             },
             smart: {
                 name: 'Smart Fill',
@@ -94,9 +99,10 @@ class FillToolManager {
                 options: {
                     tolerance: 0,
                     edgeAware: false,
-                    regionConstrained: true
+                    regionConstrained: true,
+                    keepAttributes: false
                 },
-                uiElements: ['toleranceSlider', 'edgeAwareToggle', 'regionConstrainedToggle']
+                uiElements: ['toleranceSlider', 'edgeAwareToggle', 'regionConstrainedToggle', 'keepAttributesToggle']
             },
             texture: {
                 name: 'Texture Fill',
@@ -105,9 +111,10 @@ class FillToolManager {
                 options: {
                     textureType: 'brick',
                     scale: 1,
-                    rotation: 0
+                    rotation: 0,
+                    keepAttributes: false
                 },
-                uiElements: ['textureTypeSelect', 'scaleSlider', 'rotationSlider']
+                uiElements: ['textureTypeSelect', 'scaleSlider', 'rotationSlider', 'keepAttributesToggle']
             }
         };
     }
@@ -476,6 +483,16 @@ class FillToolManager {
                 `;
                 break;
                 
+            case 'keepAttributesToggle':
+                group.innerHTML = `
+                    <label class="control-checkbox" title="Only change pixels; leave INK/PAPER/BRIGHT/FLASH of filled cells as they are">
+                        <input type="checkbox" id="keep-attributes-toggle" ${options.keepAttributes ? 'checked' : ''}>
+                        <span class="checkmark"></span>
+                        Keep existing attributes
+                    </label>
+                `;
+                break;
+                
             case 'textureTypeSelect':
                 group.innerHTML = `
                     <label for="texture-type-select">Texture:</label>
@@ -565,6 +582,10 @@ class FillToolManager {
                 optionName = 'regionConstrained';
                 optionValue = checked;
                 break;
+            case 'keep-attributes-toggle':
+                optionName = 'keepAttributes';
+                optionValue = checked;
+                break;
         }
         
         if (optionName) {
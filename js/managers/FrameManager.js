@@ -0,0 +1,363 @@
+/**
+ * Frame Manager - Animation frames and playback
+ * Keeps a list of screens, each with its own undo history. The active frame
+ * lives in StateManager so every tool, file load and undo works on it
+ * unchanged; inactive frames are parked here until they are selected again.
+ *
+ * @class FrameManager
+ */
+class FrameManager {
+    constructor(eventBus, stateManager, createHistory) {
+        if (!eventBus) {
+            throw new Error('FrameManager: eventBus is required');
+        }
+        if (!stateManager) {
+            throw new Error('FrameManager: stateManager is required');
+        }
+        if (typeof createHistory !== 'function') {
+            throw new Error('FrameManager: createHistory factory is required');
+        }
+
+        this.eventBus = eventBus;
+        this.stateManager = stateManager;
+        this.createHistory = createHistory;
+
+        // Playback limits (frames per second)
+        this.MIN_FPS = 1;
+        this.MAX_FPS = 50;
+
+        this.nextId = 1;
+        // Frames { id, pixels, attributes, history }; pixels/attributes are null while active
+        this.frames = [this.createFrame(null, null, stateManager.history)];
+        this.activeIndex = 0;
+
+        this.fps = 8;
+        this.playTimer = null;
+        this.refreshTimer = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('frame-add', () => this.addFrame());
+        this.eventBus.on('frame-duplicate', () => this.duplicateFrame());
+        this.eventBus.on('frame-delete', () => this.deleteFrame());
+        this.eventBus.on('frame-move', (direction) => this.moveFrame(this.activeIndex, this.activeIndex + direction));
+        this.eventBus.on('frame-select', (index) => this.selectFrame(index));
+        this.eventBus.on('frame-play-toggle', () => this.togglePlayback());
+        this.eventBus.on('frame-fps', (fps) => this.setFPS(fps));
+
+        // Drawing while playing would land on whichever frame happens to be showing
+        this.eventBus.on('drawing-started', () => this.stop());
+        this.eventBus.on('selection-start', () => this.stop());
+
+        // Keep the active thumbnail in step with edits
+        this.eventBus.on('history-saved', () => this.scheduleRefresh());
+        this.eventBus.on('state-changed', () => this.scheduleRefresh());
+    }
+
+    /**
+     * Create a frame record
+     * @param {Array|null} pixels - Pixel rows, or null for the active frame
+     * @param {Array|null} attributes - Attribute rows, or null for the active frame
+     * @param {Object} history - OptimizedHistoryManager for this frame
+     * @returns {Object} Frame
+     */
+    createFrame(pixels, attributes, history) {
+        return { id: this.nextId++, pixels, attributes, history };
+    }
+
+    /**
+     * Number of frames
+     * @returns {number} Frame count
+     */
+    getFrameCount() {
+        return this.frames.length;
+    }
+
+    /**
+     * Index of the frame being edited
+     * @returns {number} Active frame index
+     */
+    getActiveIndex() {
+        return this.activeIndex;
+    }
+
+    /**
+     * Screen data of one frame
+     * @param {number} index - Frame index
+     * @returns {Object|null} { id, pixels, attributes } copies, or null if out of range
+     */
+    getFrame(index) {
+        const frame = this.frames[index];
+        if (!frame) return null;
+
+        if (index === this.activeIndex) {
+            const state = this.stateManager.getState();
+            return { id: frame.id, pixels: state.pixels, attributes: state.attributes };
+        }
+        return {
+            id: frame.id,
+            pixels: frame.pixels.map(row => new Uint8Array(row)),
+            attributes: frame.attributes.map(row => row.map(attr => ({ ...attr })))
+        };
+    }
+
+    /**
+     * Screen data of every frame, in order
+     * @returns {Array<Object>} Frames { id, pixels, attributes }
+     */
+    getFrames() {
+        return this.frames.map((frame, index) => this.getFrame(index));
+    }
+
+    /**
+     * Add a blank frame after the active one and switch to it
+     */
+    addFrame() {
+        const blank = this.stateManager.createBlankScreen();
+        this.insertFrame(blank.pixels, blank.attributes, 'initial-blank');
+        this.eventBus.emit('status', { message: `+ Frame ${this.activeIndex + 1} added`, type: 'success' });
+    }
+
+    /**
+     * Copy the active frame into a new frame after it and switch to it
+     */
+    duplicateFrame() {
+        const state = this.stateManager.getState();
+        this.insertFrame(state.pixels, state.attributes, 'frame-duplicate');
+        this.eventBus.emit('status', { message: `⧉ Frame duplicated as frame ${this.activeIndex + 1}`, type: 'success' });
+    }
+
+    /**
+     * Insert a frame after the active one with a fresh history
+     * @param {Array} pixels - Pixel rows
+     * @param {Array} attributes - Attribute rows
+     * @param {string} actionType - History entry for the frame's baseline
+     */
+    insertFrame(pixels, attributes, actionType) {
+        const history = this.createHistory();
+        history.saveState(pixels, attributes, actionType);
+
+        const frame = this.createFrame(pixels, attributes, history);
+        this.frames.splice(this.activeIndex + 1, 0, frame);
+        this.switchTo(this.activeIndex + 1);
+    }
+
+    /**
+     * Delete a frame (the active one by default)
+     * @param {number} index - Frame index
+     */
+    deleteFrame(index = this.activeIndex) {
+        if (this.frames.length <= 1) {
+            this.eventBus.emit('status', { message: 'Cannot delete the only frame', type: 'warning' });
+            return;
+        }
+        if (!this.frames[index]) return;
+
+        this.stop();
+        if (index === this.activeIndex) {
+            this.eventBus.emit('frame-changing', { from: index });
+            const [removed] = this.frames.splice(index, 1);
+            removed.history.clear();
+
+            this.activeIndex = Math.min(index, this.frames.length - 1);
+            this.activate(this.activeIndex);
+        } else {
+            const [removed] = this.frames.splice(index, 1);
+            removed.history.clear();
+            if (index < this.activeIndex) this.activeIndex--;
+            this.emitFramesChanged();
+        }
+
+        this.eventBus.emit('status', { message: `✕ Frame ${index + 1} deleted`, type: 'success' });
+    }
+
+    /**
+     * Move a frame to a new position
+     * @param {number} from - Current index
+     * @param {number} to - New index
+     */
+    moveFrame(from, to) {
+        if (!this.frames[from] || to < 0 || to >= this.frames.length || from === to) return;
+
+        const activeFrame = this.frames[this.activeIndex];
+        const [moved] = this.frames.splice(from, 1);
+        this.frames.splice(to, 0, moved);
+        this.activeIndex = this.frames.indexOf(activeFrame);
+
+        this.emitFramesChanged();
+    }
+
+    /**
+     * Make a frame the one being edited
+     * @param {number} index - Frame index
+     */
+    selectFrame(index) {
+        if (!this.frames[index] || index === this.activeIndex) return;
+        this.switchTo(index);
+    }
+
+    /**
+     * Park the active frame and activate another
+     * @param {number} index - Frame index
+     */
+    switchTo(index) {
+        // Let floating selections land on the frame they were made on
+        this.eventBus.emit('frame-changing', { from: this.activeIndex });
+        this.flushRefresh();
+
+        const current = this.frames[this.activeIndex];
+        if (current && this.frames.indexOf(current) !== index) {
+            const state = this.stateManager.getState();
+            current.pixels = state.pixels;
+            current.attributes = state.attributes;
+        }
+
+        this.activeIndex = index;
+        this.activate(index);
+    }
+
+    /**
+     * Hand a parked frame over to StateManager
+     * @param {number} index - Frame index
+     */
+    activate(index) {
+        const frame = this.frames[index];
+        this.stateManager.setActiveFrame(frame.pixels, frame.attributes, frame.history);
+        frame.pixels = null;
+        frame.attributes = null;
+
+        this.eventBus.emit('clear-preview');
+        this.emitFramesChanged();
+    }
+
+    /**
+     * Start or stop playback
+     */
+    togglePlayback() {
+        if (this.playTimer) {
+            this.stop();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Start cycling through the frames at the current FPS
+     */
+    play() {
+        if (this.playTimer || this.frames.length < 2) {
+            if (this.frames.length < 2) {
+                this.eventBus.emit('status', { message: 'Add another frame to play the animation', type: 'warning' });
+            }
+            return;
+        }
+
+        this.playTimer = setInterval(() => {
+            this.switchTo((this.activeIndex + 1) % this.frames.length);
+        }, 1000 / this.fps);
+        this.eventBus.emit('register-timer', this.playTimer);
+
+        this.emitFramesChanged();
+        this.eventBus.emit('status', { message: `▶ Playing at ${this.fps} FPS`, type: 'info' });
+    }
+
+    /**
+     * Stop playback, leaving the current frame active
+     */
+    stop() {
+        if (!this.playTimer) return;
+
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+        this.emitFramesChanged();
+        this.eventBus.emit('status', { message: `■ Stopped on frame ${this.activeIndex + 1}`, type: 'info' });
+    }
+
+    /**
+     * Check if playback is running
+     * @returns {boolean} Whether frames are cycling
+     */
+    isPlaying() {
+        return this.playTimer !== null;
+    }
+
+    /**
+     * Set the playback speed
+     * @param {number} fps - Frames per second
+     */
+    setFPS(fps) {
+        const value = Math.round(Number(fps));
+        if (!Number.isFinite(value)) return;
+
+        this.fps = Math.max(this.MIN_FPS, Math.min(this.MAX_FPS, value));
+        if (this.playTimer) {
+            // Restart the timer so the new speed applies straight away
+            clearInterval(this.playTimer);
+            this.playTimer = null;
+            this.play();
+        } else {
+            this.emitFramesChanged();
+        }
+    }
+
+    /**
+     * Drop every frame except the active one, which keeps its history
+     */
+    reset() {
+        this.stop();
+        const active = this.frames[this.activeIndex];
+        this.frames.forEach(frame => {
+            if (frame !== active) frame.history.clear();
+        });
+
+        active.history = this.stateManager.history;
+        this.frames = [active];
+        this.activeIndex = 0;
+        this.emitFramesChanged();
+    }
+
+    /**
+     * Refresh the active thumbnail shortly after edits, batching rapid changes
+     */
+    scheduleRefresh() {
+        if (this.refreshTimer) return;
+        this.refreshTimer = setTimeout(() => this.flushRefresh(), 150);
+    }
+
+    /**
+     * Send a pending thumbnail refresh now, before the active frame changes
+     */
+    flushRefresh() {
+        if (!this.refreshTimer) return;
+
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.eventBus.emit('frame-updated', { index: this.activeIndex, frame: this.getFrame(this.activeIndex) });
+    }
+
+    /**
+     * Tell the UI about the frame list
+     * Screens are fetched on demand through getFrame so playback stays cheap.
+     */
+    emitFramesChanged() {
+        this.eventBus.emit('frames-changed', {
+            frameIds: this.frames.map(frame => frame.id),
+            activeIndex: this.activeIndex,
+            playing: this.isPlaying(),
+            fps: this.fps,
+            getFrame: (index) => this.getFrame(index)
+        });
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameManager;
+} else if (typeof window !== 'undefined') {
+    window.FrameManager = FrameManager;
+}
@@ -0,0 +1,176 @@
+/**
+ * Onion Skin Manager - Ghosted neighbouring frames for animation work
+ * Draws the INK pixels of earlier and later frames beneath the preview layer,
+ * fading with distance from the active frame. Ghosts are only ever shown via
+ * CanvasService.setPreviewUnderlay(), so they never reach exports or history.
+ *
+ * @class OnionSkinManager
+ */
+class OnionSkinManager {
+    constructor(eventBus, frameManager, canvasService, colorManager) {
+        if (!eventBus) {
+            throw new Error('OnionSkinManager: eventBus is required');
+        }
+        if (!frameManager) {
+            throw new Error('OnionSkinManager: frameManager is required');
+        }
+        if (!canvasService) {
+            throw new Error('OnionSkinManager: canvasService is required');
+        }
+
+        this.eventBus = eventBus;
+        this.frameManager = frameManager;
+        this.canvasService = canvasService;
+        this.colorManager = colorManager;
+
+        // ZX Spectrum constraints
+        this.CANVAS_WIDTH = 256;
+        this.CANVAS_HEIGHT = 192;
+        this.ATTR_BLOCK_SIZE = 8;
+
+        // Most frames shown either side of the active one
+        this.MAX_RANGE = 5;
+
+        // Tint colours: earlier frames red, later frames blue
+        this.TINTS = {
+            previous: { r: 255, g: 64, b: 64 },
+            next: { r: 64, g: 160, b: 255 }
+        };
+
+        this.settings = {
+            enabled: false,
+            previous: 1,
+            next: 1,
+            opacity: 0.35,
+            tint: true
+        };
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('frames-changed', () => this.update());
+        this.eventBus.on('onion-skin-changed', (settings) => this.setSettings(settings));
+    }
+
+    /**
+     * Change one or more onion skin settings
+     * @param {Object} settings - Partial { enabled, previous, next, opacity, tint }
+     */
+    setSettings(settings) {
+        const clampRange = (value) => Math.max(0, Math.min(this.MAX_RANGE, Math.round(value)));
+        const next = { ...this.settings, ...settings };
+
+        this.settings = {
+            enabled: !!next.enabled,
+            previous: clampRange(next.previous),
+            next: clampRange(next.next),
+            opacity: Math.max(0.05, Math.min(1, Number(next.opacity))),
+            tint: !!next.tint
+        };
+
+        if ('enabled' in settings) {
+            this.eventBus.emit('status', {
+                message: this.settings.enabled ? '◎ Onion skin ON' : 'Onion skin OFF',
+                type: 'info'
+            });
+        }
+        this.update();
+    }
+
+    /**
+     * Get current settings
+     * @returns {Object} Settings copy
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Rebuild the ghosts for the active frame, or remove them
+     */
+    update() {
+        const { enabled } = this.settings;
+        if (!enabled || this.frameManager.isPlaying() || this.frameManager.getFrameCount() < 2) {
+            this.canvasService.setPreviewUnderlay(null);
+            return;
+        }
+
+        this.canvasService.setPreviewUnderlay(this.buildGhosts());
+    }
+
+    /**
+     * Compose ghost frames into one RGBA image
+     * Farthest frames are drawn first so the nearest ones end up on top.
+     * @returns {ImageData} 256×192 RGBA image
+     */
+    buildGhosts() {
+        const { previous, next, opacity } = this.settings;
+        const data = new Uint8ClampedArray(this.CANVAS_WIDTH * this.CANVAS_HEIGHT * 4);
+        const active = this.frameManager.getActiveIndex();
+        const count = this.frameManager.getFrameCount();
+
+        const layers = [];
+        for (let distance = Math.max(previous, next); distance >= 1; distance--) {
+            if (distance <= previous && active - distance >= 0) {
+                layers.push({ index: active - distance, distance, range: previous, tint: this.TINTS.previous });
+            }
+            if (distance <= next && active + distance < count) {
+                layers.push({ index: active + distance, distance, range: next, tint: this.TINTS.next });
+            }
+        }
+
+        layers.forEach(layer => {
+            const frame = this.frameManager.getFrame(layer.index);
+            // Fade linearly so the nearest frame has the full opacity
+            const alpha = opacity * (layer.range - layer.distance + 1) / layer.range;
+            this.drawGhost(data, frame, alpha, this.settings.tint ? layer.tint : null);
+        });
+
+        return new ImageData(data, this.CANVAS_WIDTH, this.CANVAS_HEIGHT);
+    }
+
+    /**
+     * Blend one frame's INK pixels over the ghost image
+     * @param {Uint8ClampedArray} data - Ghost RGBA data
+     * @param {Object} frame - { pixels, attributes }
+     * @param {number} alpha - Opacity 0-1
+     * @param {Object|null} tint - Tint colour, or null for the frame's real INK colours
+     */
+    drawGhost(data, frame, alpha, tint) {
+        const colorCaches = tint ? null : this.colorManager.getAllRgbCache();
+
+        for (let y = 0; y < this.CANVAS_HEIGHT; y++) {
+            const cellY = Math.floor(y / this.ATTR_BLOCK_SIZE);
+            for (let x = 0; x < this.CANVAS_WIDTH; x++) {
+                if (!frame.pixels[y][x]) continue;
+
+                let color = tint;
+                if (!color) {
+                    const attr = frame.attributes[cellY][Math.floor(x / this.ATTR_BLOCK_SIZE)];
+                    color = (attr.bright ? colorCaches.bright : colorCaches.normal)[attr.ink];
+                }
+
+                // Source-over blend on straight (non-premultiplied) alpha
+                const idx = (y * this.CANVAS_WIDTH + x) * 4;
+                const dstAlpha = data[idx + 3] / 255;
+                const outAlpha = alpha + dstAlpha * (1 - alpha);
+                const keep = dstAlpha * (1 - alpha);
+                data[idx] = (color.r * alpha + data[idx] * keep) / outAlpha;
+                data[idx + 1] = (color.g * alpha + data[idx + 1] * keep) / outAlpha;
+                data[idx + 2] = (color.b * alpha + data[idx + 2] * keep) / outAlpha;
+                data[idx + 3] = outAlpha * 255;
+            }
+        }
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OnionSkinManager;
+} else if (typeof window !== 'undefined') {
+    window.OnionSkinManager = OnionSkinManager;
+}
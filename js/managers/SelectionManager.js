@@ -0,0 +1,742 @@
+/**
+ * Selection Manager - Rectangular marquee, floating selections and clipboard
+ * Captures pixels together with the attributes of the cells they sit in so that
+ * moved or pasted graphics keep their colours. Nothing is written to the canvas
+ * until the floating selection is committed, at which point history is saved.
+ * In cell mode every rectangle snaps to 8×8 character cells, so blocks of cells
+ * move, copy, swap and clear together with their attributes and never clash.
+ *
+ * @class SelectionManager
+ */
+class SelectionManager {
+    constructor(eventBus, stateManager, canvasService, toolManager, colorManager) {
+        if (!eventBus) {
+            throw new Error('SelectionManager: eventBus is required');
+        }
+        if (!stateManager) {
+            throw new Error('SelectionManager: stateManager is required');
+        }
+        if (!canvasService) {
+            throw new Error('SelectionManager: canvasService is required');
+        }
+
+        this.eventBus = eventBus;
+        this.stateManager = stateManager;
+        this.canvasService = canvasService;
+        this.toolManager = toolManager;
+        this.colorManager = colorManager;
+
+        // ZX Spectrum constraints
+        this.CANVAS_WIDTH = 256;
+        this.CANVAS_HEIGHT = 192;
+        this.ATTR_BLOCK_SIZE = 8;
+
+        // Current marquee rectangle { x, y, width, height } or null
+        this.selection = null;
+        // Lifted or pasted graphics that have not been committed yet
+        this.floating = null;
+        // Last copied or cut graphics
+        this.clipboard = null;
+        // Snap selections to 8×8 character cells
+        this.cellMode = false;
+
+        // Active mouse interaction: 'marquee', 'move' or null
+        this.mode = null;
+        this.anchor = null;
+        this.dragOffset = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('selection-start', (data) => this.handleStart(data));
+        this.eventBus.on('selection-update', (data) => this.handleUpdate(data));
+        this.eventBus.on('selection-end', (data) => this.handleEnd(data));
+
+        this.eventBus.on('selection-copy', () => this.copy());
+        this.eventBus.on('selection-cut', () => this.cut());
+        this.eventBus.on('selection-paste', () => this.paste());
+        this.eventBus.on('selection-delete', () => this.deleteSelection());
+        this.eventBus.on('selection-commit', () => this.commit());
+        this.eventBus.on('selection-cancel', () => this.cancel());
+        this.eventBus.on('selection-swap', () => this.swap());
+        this.eventBus.on('selection-cell-mode', (enabled) => this.setCellMode(enabled));
+
+        // Leaving the select tool drops any floating graphics onto the canvas
+        this.eventBus.on('tool-changed', (data) => {
+            if (data.tool !== 'select') {
+                this.commit();
+                this.clearSelection();
+            }
+        });
+
+        // History and file operations replace the canvas underneath the selection
+        this.eventBus.on('undo', () => this.discard());
+        this.eventBus.on('redo', () => this.discard());
+        this.eventBus.on('file-loaded', () => this.discard());
+
+        // Switching animation frames drops floating graphics onto the frame they were made on
+        this.eventBus.on('frame-changing', () => {
+            this.commit();
+            this.clearSelection();
+        });
+
+        this.eventBus.on('flash-phase-changed', () => {
+            if (this.floating) {
+                this.renderPreview();
+            }
+        });
+    }
+
+    /**
+     * Handle mouse down with the select tool
+     * @param {Object} data - { position, isRightClick }
+     */
+    handleStart({ position, isRightClick }) {
+        if (isRightClick) {
+            this.commit();
+            this.clearSelection();
+            return;
+        }
+
+        const activeRect = this.getActiveRect();
+        if (activeRect && this.containsPoint(activeRect, position)) {
+            if (!this.floating) {
+                this.lift();
+            }
+            this.mode = 'move';
+            this.dragOffset = {
+                x: position.x - this.floating.x,
+                y: position.y - this.floating.y
+            };
+            this.renderPreview();
+            return;
+        }
+
+        // Clicking outside drops the current floating selection and starts a new marquee
+        this.commit();
+        this.mode = 'marquee';
+        this.anchor = this.clampPoint(position);
+        this.selection = this.buildMarquee(this.anchor, this.anchor);
+        this.renderPreview();
+    }
+
+    /**
+     * Handle mouse move with the select tool
+     * @param {Object} data - { position }
+     */
+    handleUpdate({ position }) {
+        if (this.mode === 'marquee') {
+            this.selection = this.buildMarquee(this.anchor, this.clampPoint(position));
+            this.renderPreview();
+        } else if (this.mode === 'move' && this.floating) {
+            this.floating.x = this.snap(position.x - this.dragOffset.x, this.floating.cellMode);
+            this.floating.y = this.snap(position.y - this.dragOffset.y, this.floating.cellMode);
+            this.renderPreview();
+        }
+    }
+
+    /**
+     * Handle mouse up with the select tool
+     */
+    handleEnd() {
+        if (this.mode === 'marquee' && this.selection) {
+            if (!this.cellMode && this.selection.width <= 1 && this.selection.height <= 1) {
+                // A plain click deselects
+                this.clearSelection();
+            } else {
+                this.eventBus.emit('status', {
+                    message: `⬚ Selected ${this.selection.width}×${this.selection.height} at ${this.selection.x},${this.selection.y}`,
+                    type: 'info'
+                });
+            }
+        } else if (this.mode === 'move' && this.floating) {
+            this.eventBus.emit('status', {
+                message: this.floating.source
+                    ? '✥ Selection moved - Enter to apply, Swap to exchange, Esc to cancel'
+                    : '✥ Selection moved - Enter to apply, Esc to cancel',
+                type: 'info'
+            });
+        }
+
+        this.mode = null;
+        this.anchor = null;
+        this.dragOffset = null;
+        this.renderPreview();
+    }
+
+    /**
+     * Copy the selection (or floating graphics) to the clipboard
+     */
+    copy() {
+        const clip = this.floating ? this.cloneClip(this.floating) : this.captureSelection();
+        if (!clip) {
+            this.eventBus.emit('status', { message: 'Nothing selected to copy', type: 'warning' });
+            return;
+        }
+
+        this.clipboard = clip;
+        this.eventBus.emit('status', {
+            message: `⧉ Copied ${clip.width}×${clip.height} pixels`,
+            type: 'success'
+        });
+    }
+
+    /**
+     * Copy the selection to the clipboard and clear it from the canvas
+     */
+    cut() {
+        if (!this.floating && !this.selection) {
+            this.eventBus.emit('status', { message: 'Nothing selected to cut', type: 'warning' });
+            return;
+        }
+
+        this.clipboard = this.floating ? this.cloneClip(this.floating) : this.captureSelection();
+        this.removeSelectedPixels('select-cut');
+
+        this.eventBus.emit('status', {
+            message: `✂ Cut ${this.clipboard.width}×${this.clipboard.height} pixels`,
+            type: 'success'
+        });
+    }
+
+    /**
+     * Paste the clipboard as a floating selection at its original position
+     */
+    paste() {
+        if (!this.clipboard) {
+            this.eventBus.emit('status', { message: 'Clipboard is empty', type: 'warning' });
+            return;
+        }
+
+        if (this.toolManager && this.toolManager.state.currentTool !== 'select') {
+            this.toolManager.selectTool('select');
+        }
+
+        this.commit();
+        this.floating = this.cloneClip(this.clipboard);
+        this.floating.source = null;
+        this.floating.action = 'select-paste';
+        this.floating.x = this.snap(this.floating.x, this.floating.cellMode);
+        this.floating.y = this.snap(this.floating.y, this.floating.cellMode);
+        this.selection = this.getActiveRect();
+        this.renderPreview();
+
+        this.eventBus.emit('status', {
+            message: '⎘ Pasted - drag to position, Enter to apply',
+            type: 'success'
+        });
+    }
+
+    /**
+     * Clear the selected pixels to paper
+     */
+    deleteSelection() {
+        if (!this.floating && !this.selection) return;
+
+        this.removeSelectedPixels('select-clear');
+        this.eventBus.emit('status', { message: '⌫ Selection cleared', type: 'success' });
+    }
+
+    /**
+     * Write the floating selection into the canvas and save history
+     */
+    commit() {
+        if (!this.floating) return;
+
+        const floating = this.floating;
+        const state = this.stateManager.getState();
+
+        if (floating.source) {
+            this.clearArea(state, floating.source, floating.cellMode);
+        }
+        this.stamp(state, floating);
+
+        this.floating = null;
+        this.selection = this.clipRect({
+            x: floating.x,
+            y: floating.y,
+            width: floating.width,
+            height: floating.height
+        });
+
+        this.applyState(state, floating.action);
+        this.renderPreview();
+    }
+
+    /**
+     * Drop the floating selection without touching the canvas
+     */
+    cancel() {
+        if (this.floating) {
+            const source = this.floating.source;
+            this.floating = null;
+            this.selection = source ? { ...source } : null;
+            this.eventBus.emit('status', { message: 'Selection move cancelled', type: 'info' });
+        } else {
+            this.selection = null;
+        }
+        this.renderPreview();
+    }
+
+    /**
+     * Forget selection and floating graphics without saving (canvas was replaced)
+     */
+    discard() {
+        this.floating = null;
+        this.selection = null;
+        this.mode = null;
+        this.eventBus.emit('clear-preview');
+    }
+
+    /**
+     * Remove the marquee
+     */
+    clearSelection() {
+        this.selection = null;
+        this.mode = null;
+        this.eventBus.emit('clear-preview');
+    }
+
+    /**
+     * Check whether there is an active selection
+     * @returns {boolean} Whether a selection or floating graphics exist
+     */
+    hasSelection() {
+        return !!(this.selection || this.floating);
+    }
+
+    /**
+     * Check whether there are copied graphics to paste
+     * @returns {boolean} Whether the clipboard holds a clip
+     */
+    hasClip() {
+        return !!this.clipboard;
+    }
+
+    /**
+     * Lift the selected pixels into a floating selection
+     */
+    lift() {
+        const clip = this.captureSelection();
+        if (!clip) return;
+
+        clip.source = { ...this.selection };
+        clip.action = 'select-move';
+        this.floating = clip;
+    }
+
+    /**
+     * Clear the selection area (or source of floating graphics) and save history
+     * @param {string} action - History action type
+     */
+    removeSelectedPixels(action) {
+        const state = this.stateManager.getState();
+
+        if (this.floating) {
+            const { source, cellMode } = this.floating;
+            this.floating = null;
+            this.selection = null;
+
+            // Pasted graphics were never written to the canvas
+            if (!source) {
+                this.eventBus.emit('clear-preview');
+                return;
+            }
+            this.clearArea(state, source, cellMode);
+        } else {
+            this.clearArea(state, this.selection, this.cellMode);
+        }
+
+        this.selection = null;
+        this.applyState(state, action);
+        this.eventBus.emit('clear-preview');
+    }
+
+    /**
+     * Capture the pixels and covered cell attributes inside the selection
+     * @returns {Object|null} Clip data
+     */
+    captureSelection() {
+        if (!this.selection) return null;
+
+        const { x, y, width, height } = this.selection;
+        const state = this.stateManager.getState();
+
+        const pixels = new Array(height);
+        for (let row = 0; row < height; row++) {
+            pixels[row] = state.pixels[y + row].slice(x, x + width);
+        }
+
+        // Attributes of every cell the rectangle touches
+        const cellX = Math.floor(x / this.ATTR_BLOCK_SIZE);
+        const cellY = Math.floor(y / this.ATTR_BLOCK_SIZE);
+        const cellRight = Math.floor((x + width - 1) / this.ATTR_BLOCK_SIZE);
+        const cellBottom = Math.floor((y + height - 1) / this.ATTR_BLOCK_SIZE);
+        const attributes = [];
+        for (let cy = cellY; cy <= cellBottom; cy++) {
+            const attrRow = [];
+            for (let cx = cellX; cx <= cellRight; cx++) {
+                attrRow.push({ ...state.attributes[cy][cx] });
+            }
+            attributes.push(attrRow);
+        }
+
+        return {
+            x,
+            y,
+            width,
+            height,
+            pixels,
+            attributes,
+            // Pixel position of the clip inside its first attribute cell
+            cellOffsetX: x - cellX * this.ATTR_BLOCK_SIZE,
+            cellOffsetY: y - cellY * this.ATTR_BLOCK_SIZE,
+            cellMode: this.cellMode
+        };
+    }
+
+    /**
+     * Deep copy clip data
+     * @param {Object} clip - Clip data
+     * @returns {Object} Copy of the clip
+     */
+    cloneClip(clip) {
+        return {
+            x: clip.x,
+            y: clip.y,
+            width: clip.width,
+            height: clip.height,
+            pixels: clip.pixels.map(row => new Uint8Array(row)),
+            attributes: clip.attributes.map(row => row.map(attr => ({ ...attr }))),
+            cellOffsetX: clip.cellOffsetX,
+            cellOffsetY: clip.cellOffsetY,
+            cellMode: clip.cellMode,
+            source: clip.source ? { ...clip.source } : null,
+            action: clip.action
+        };
+    }
+
+    /**
+     * Draw clip pixels and attributes into a state
+     * A destination cell takes the clip's attribute when the clip covers at least
+     * half of it, using the source cell that contributes the most pixels.
+     * @param {Object} state - Canvas state
+     * @param {Object} clip - Clip data with target x/y
+     */
+    stamp(state, clip) {
+        const cellVotes = new Map();
+
+        for (let row = 0; row < clip.height; row++) {
+            const destY = clip.y + row;
+            if (destY < 0 || destY >= this.CANVAS_HEIGHT) continue;
+
+            const srcCellRow = Math.floor((clip.cellOffsetY + row) / this.ATTR_BLOCK_SIZE);
+            const destCellY = Math.floor(destY / this.ATTR_BLOCK_SIZE);
+
+            for (let col = 0; col < clip.width; col++) {
+                const destX = clip.x + col;
+                if (destX < 0 || destX >= this.CANVAS_WIDTH) continue;
+
+                state.pixels[destY][destX] = clip.pixels[row][col];
+
+                const srcCellCol = Math.floor((clip.cellOffsetX + col) / this.ATTR_BLOCK_SIZE);
+                const destKey = destCellY * 32 + Math.floor(destX / this.ATTR_BLOCK_SIZE);
+                const srcKey = `${srcCellRow},${srcCellCol}`;
+
+                let votes = cellVotes.get(destKey);
+                if (!votes) {
+                    votes = { total: 0, sources: {} };
+                    cellVotes.set(destKey, votes);
+                }
+                votes.total++;
+                votes.sources[srcKey] = (votes.sources[srcKey] || 0) + 1;
+            }
+        }
+
+        const halfCell = (this.ATTR_BLOCK_SIZE * this.ATTR_BLOCK_SIZE) / 2;
+        cellVotes.forEach((votes, destKey) => {
+            if (votes.total < halfCell) return;
+
+            let bestKey = null;
+            let bestCount = 0;
+            Object.keys(votes.sources).forEach(key => {
+                if (votes.sources[key] > bestCount) {
+                    bestCount = votes.sources[key];
+                    bestKey = key;
+                }
+            });
+
+            const [srcRow, srcCol] = bestKey.split(',').map(Number);
+            const destCellY = Math.floor(destKey / 32);
+            const destCellX = destKey % 32;
+            state.attributes[destCellY][destCellX] = { ...clip.attributes[srcRow][srcCol] };
+        });
+    }
+
+    /**
+     * Clear pixels inside a rectangle to paper
+     * Whole cells also get the current colours so cleared blocks carry no stale attributes.
+     * @param {Object} state - Canvas state
+     * @param {Object} rect - Rectangle to clear
+     * @param {boolean} resetAttributes - Reset attributes of cells inside the rectangle
+     */
+    clearArea(state, rect, resetAttributes = false) {
+        for (let row = rect.y; row < rect.y + rect.height; row++) {
+            state.pixels[row].fill(0, rect.x, rect.x + rect.width);
+        }
+
+        if (!resetAttributes) return;
+
+        const cellX = Math.floor(rect.x / this.ATTR_BLOCK_SIZE);
+        const cellY = Math.floor(rect.y / this.ATTR_BLOCK_SIZE);
+        const cellRight = Math.floor((rect.x + rect.width - 1) / this.ATTR_BLOCK_SIZE);
+        const cellBottom = Math.floor((rect.y + rect.height - 1) / this.ATTR_BLOCK_SIZE);
+        for (let cy = cellY; cy <= cellBottom; cy++) {
+            for (let cx = cellX; cx <= cellRight; cx++) {
+                state.attributes[cy][cx] = this.getBlankAttribute(state.attributes[cy][cx]);
+            }
+        }
+    }
+
+    /**
+     * Get the attribute used for a cleared cell
+     * @param {Object} existing - Attribute currently in the cell
+     * @returns {Object} Current colours, honouring the INK/PAPER/BRIGHT/FLASH write toggles
+     */
+    getBlankAttribute(existing) {
+        if (this.colorManager) {
+            return this.colorManager.getPaintAttribute(existing);
+        }
+        return { ink: 0, paper: 7, bright: false, flash: false };
+    }
+
+    /**
+     * Store a modified state, save history and trigger a redraw
+     * @param {Object} state - Canvas state
+     * @param {string} action - History action type
+     */
+    applyState(state, action) {
+        this.stateManager.setPixels(state.pixels);
+        this.stateManager.setAttributes(state.attributes);
+        this.stateManager.saveState(action);
+
+        this.eventBus.emit('state-changed', {
+            pixels: state.pixels,
+            attributes: state.attributes
+        });
+    }
+
+    /**
+     * Exchange the floating selection with the area it was dropped on
+     * The displaced graphics move to the original position of the selection.
+     */
+    swap() {
+        const floating = this.floating;
+        if (!floating || !floating.source) {
+            this.eventBus.emit('status', { message: 'Drag a selection onto another area to swap', type: 'warning' });
+            return;
+        }
+
+        const target = { x: floating.x, y: floating.y, width: floating.width, height: floating.height };
+        const clipped = this.clipRect(target);
+        if (!clipped || clipped.width !== target.width || clipped.height !== target.height) {
+            this.eventBus.emit('status', { message: '⚠ Swap target must be fully on the canvas', type: 'warning' });
+            return;
+        }
+        if (this.rectsOverlap(target, floating.source)) {
+            this.eventBus.emit('status', { message: '⚠ Swap areas must not overlap', type: 'warning' });
+            return;
+        }
+
+        // Capture what is under the drop position before overwriting it
+        const previousSelection = this.selection;
+        this.selection = target;
+        const displaced = this.captureSelection();
+        this.selection = previousSelection;
+
+        displaced.x = floating.source.x;
+        displaced.y = floating.source.y;
+        displaced.cellMode = floating.cellMode;
+
+        const state = this.stateManager.getState();
+        this.stamp(state, floating);
+        this.stamp(state, displaced);
+
+        this.floating = null;
+        this.selection = target;
+        this.applyState(state, 'select-swap');
+        this.renderPreview();
+
+        this.eventBus.emit('status', {
+            message: `⇄ Swapped ${target.width}×${target.height} blocks`,
+            type: 'success'
+        });
+    }
+
+    /**
+     * Enable or disable character cell snapping
+     * @param {boolean} enabled - Whether selections snap to 8×8 cells
+     */
+    setCellMode(enabled) {
+        this.commit();
+        this.cellMode = !!enabled;
+
+        if (this.cellMode && this.selection) {
+            const { x, y, width, height } = this.selection;
+            this.selection = this.buildMarquee({ x, y }, { x: x + width - 1, y: y + height - 1 });
+        }
+        this.renderPreview();
+
+        this.eventBus.emit('selection-cell-mode-changed', this.cellMode);
+        this.eventBus.emit('status', {
+            message: this.cellMode ? '▦ Selection snaps to 8×8 cells' : '⬚ Free pixel selection',
+            type: 'info'
+        });
+    }
+
+    /**
+     * Render marquee and floating graphics on the preview canvas
+     */
+    renderPreview() {
+        if (!this.floating && !this.selection) {
+            this.canvasService.clearPreview();
+            return;
+        }
+
+        let composite = null;
+        if (this.floating) {
+            composite = this.stateManager.getState();
+            if (this.floating.source) {
+                this.clearArea(composite, this.floating.source, this.floating.cellMode);
+            }
+            this.stamp(composite, this.floating);
+        }
+
+        this.canvasService.renderSelection(this.getActiveRect(), composite, !!this.floating);
+    }
+
+    /**
+     * Get the rectangle currently shown by the marquee
+     * @returns {Object|null} Rectangle
+     */
+    getActiveRect() {
+        if (this.floating) {
+            return {
+                x: this.floating.x,
+                y: this.floating.y,
+                width: this.floating.width,
+                height: this.floating.height
+            };
+        }
+        return this.selection;
+    }
+
+    /**
+     * Build a rectangle spanning two corner points (inclusive)
+     * @param {Object} a - First corner
+     * @param {Object} b - Second corner
+     * @returns {Object} Rectangle
+     */
+    rectFromPoints(a, b) {
+        const x = Math.min(a.x, b.x);
+        const y = Math.min(a.y, b.y);
+        return {
+            x,
+            y,
+            width: Math.max(a.x, b.x) - x + 1,
+            height: Math.max(a.y, b.y) - y + 1
+        };
+    }
+
+    /**
+     * Build the marquee rectangle for two corners, expanding to whole cells in cell mode
+     * @param {Object} a - First corner
+     * @param {Object} b - Second corner
+     * @returns {Object} Rectangle
+     */
+    buildMarquee(a, b) {
+        const rect = this.rectFromPoints(a, b);
+        if (!this.cellMode) return rect;
+
+        const size = this.ATTR_BLOCK_SIZE;
+        const x = Math.floor(rect.x / size) * size;
+        const y = Math.floor(rect.y / size) * size;
+        return {
+            x,
+            y,
+            width: (Math.floor((rect.x + rect.width - 1) / size) + 1) * size - x,
+            height: (Math.floor((rect.y + rect.height - 1) / size) + 1) * size - y
+        };
+    }
+
+    /**
+     * Snap a coordinate to the cell grid when cell mode applies
+     * @param {number} value - Pixel coordinate
+     * @param {boolean} cellMode - Whether to snap
+     * @returns {number} Snapped coordinate
+     */
+    snap(value, cellMode) {
+        if (!cellMode) return value;
+        return Math.round(value / this.ATTR_BLOCK_SIZE) * this.ATTR_BLOCK_SIZE;
+    }
+
+    /**
+     * Check if two rectangles overlap
+     * @param {Object} a - First rectangle
+     * @param {Object} b - Second rectangle
+     * @returns {boolean} Whether they overlap
+     */
+    rectsOverlap(a, b) {
+        return a.x < b.x + b.width && b.x < a.x + a.width &&
+               a.y < b.y + b.height && b.y < a.y + a.height;
+    }
+
+    /**
+     * Clip a rectangle to the canvas
+     * @param {Object} rect - Rectangle
+     * @returns {Object|null} Clipped rectangle or null if fully outside
+     */
+    clipRect(rect) {
+        const x = Math.max(0, rect.x);
+        const y = Math.max(0, rect.y);
+        const right = Math.min(this.CANVAS_WIDTH, rect.x + rect.width);
+        const bottom = Math.min(this.CANVAS_HEIGHT, rect.y + rect.height);
+
+        if (right <= x || bottom <= y) return null;
+        return { x, y, width: right - x, height: bottom - y };
+    }
+
+    /**
+     * Clamp a point to the canvas
+     * @param {Object} point - Point
+     * @returns {Object} Clamped point
+     */
+    clampPoint(point) {
+        return {
+            x: Math.max(0, Math.min(this.CANVAS_WIDTH - 1, point.x)),
+            y: Math.max(0, Math.min(this.CANVAS_HEIGHT - 1, point.y))
+        };
+    }
+
+    /**
+     * Check if a point lies inside a rectangle
+     * @param {Object} rect - Rectangle
+     * @param {Object} point - Point
+     * @returns {boolean} Whether the point is inside
+     */
+    containsPoint(rect, point) {
+        return point.x >= rect.x && point.x < rect.x + rect.width &&
+               point.y >= rect.y && point.y < rect.y + rect.height;
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SelectionManager;
+} else if (typeof window !== 'undefined') {
+    window.SelectionManager = SelectionManager;
+}
@@ -0,0 +1,194 @@
+/**
+ * Tile Map Manager - Tile analysis and linked tile editing
+ * While tile mode is on, the screen is split into 8×8 or 16×16 tiles and the
+ * unique ones are counted after every change. With linked editing, a stroke
+ * that changes one copy of a tile is copied to every other copy of it when the
+ * stroke ends. Strokes save their history entry after the copies, so one undo
+ * reverts it all; fills save on mousedown, so their copies get an entry of their own.
+ *
+ * @class TileMapManager
+ */
+class TileMapManager {
+    constructor(eventBus, stateManager, tileMapFormat) {
+        if (!eventBus) {
+            throw new Error('TileMapManager: eventBus is required');
+        }
+        if (!stateManager) {
+            throw new Error('TileMapManager: stateManager is required');
+        }
+        if (!tileMapFormat) {
+            throw new Error('TileMapManager: tileMapFormat is required');
+        }
+
+        this.eventBus = eventBus;
+        this.stateManager = stateManager;
+        this.tileMapFormat = tileMapFormat;
+
+        this.settings = {
+            enabled: false,
+            tileSize: 8,
+            linked: false
+        };
+
+        // Tiles as they were when the current stroke started
+        this.baseline = null;
+        this.updateTimer = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('tile-map-options', (settings) => this.setSettings(settings));
+        this.eventBus.on('drawing-started', () => this.beginStroke());
+        this.eventBus.on('drawing-stopped', (data) => this.endStroke(data));
+
+        // Keep the count in step with edits, undo and frame changes
+        this.eventBus.on('history-saved', () => this.scheduleUpdate());
+        this.eventBus.on('state-changed', () => this.scheduleUpdate());
+    }
+
+    /**
+     * Change one or more tile mode settings
+     * @param {Object} settings - Partial { enabled, tileSize, linked }
+     */
+    setSettings(settings) {
+        const next = { ...this.settings, ...settings };
+        const tileSize = parseInt(next.tileSize, 10);
+        this.tileMapFormat.checkTileSize(tileSize);
+
+        this.settings = {
+            enabled: !!next.enabled,
+            tileSize,
+            linked: !!next.linked
+        };
+
+        if (this.settings.enabled) {
+            // Show the matching grid so tile edges are visible
+            const grid = `${tileSize}x${tileSize}`;
+            if (!this.stateManager.getState().grids[grid]) {
+                this.stateManager.toggleGrid(grid);
+            }
+        }
+
+        if ('enabled' in settings) {
+            this.eventBus.emit('status', {
+                message: this.settings.enabled ? '▦ Tile map mode ON' : 'Tile map mode OFF',
+                type: 'info'
+            });
+        }
+        this.update();
+    }
+
+    /**
+     * Get current settings
+     * @returns {Object} Settings copy
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Analyse the current screen with the current tile size
+     * @returns {Object} Result of TileMapFormat.analyse()
+     */
+    analyse() {
+        const state = this.stateManager.getState();
+        return this.tileMapFormat.analyse(state.pixels, state.attributes, this.settings.tileSize);
+    }
+
+    /**
+     * Remember the tiles before a stroke so changed ones can be found afterwards
+     */
+    beginStroke() {
+        this.baseline = this.settings.enabled && this.settings.linked ? this.analyse() : null;
+    }
+
+    /**
+     * Copy tiles changed by the stroke to their other instances
+     * When several copies of one tile were changed, the first one (in map order) wins
+     * and the other changed copies are left as drawn.
+     * @param {Object} data - { tool, wasDrawing } from the drawing-stopped event
+     */
+    endStroke(data) {
+        const baseline = this.baseline;
+        this.baseline = null;
+        if (!baseline || !data.wasDrawing || data.tool === 'select') return;
+
+        const state = this.stateManager.getState();
+        const { tileSize, columns, tiles, map } = baseline;
+        const position = (index) => ({ x: (index % columns) * tileSize, y: Math.floor(index / columns) * tileSize });
+
+        const edits = new Map();
+        const changed = new Uint8Array(map.length);
+        map.forEach((tileIndex, index) => {
+            const { x, y } = position(index);
+            const tile = this.tileMapFormat.readTile(state.pixels, state.attributes, x, y, tileSize);
+            if (tile.key === tiles[tileIndex].key) return;
+
+            changed[index] = 1;
+            if (!edits.has(tileIndex)) edits.set(tileIndex, tile);
+        });
+        if (edits.size === 0) return;
+
+        let updated = 0;
+        map.forEach((tileIndex, index) => {
+            if (changed[index] || !edits.has(tileIndex)) return;
+            const { x, y } = position(index);
+            this.tileMapFormat.writeTile(state.pixels, state.attributes, x, y, tileSize, edits.get(tileIndex));
+            updated++;
+        });
+        if (updated === 0) return;
+
+        this.stateManager.setPixels(state.pixels);
+        this.stateManager.setAttributes(state.attributes);
+        // Fills have already saved their entry, and drawing-stopped skips them
+        if (data.tool === 'fill') {
+            this.stateManager.saveState('tile-link');
+        }
+        this.eventBus.emit('state-changed', {
+            pixels: state.pixels,
+            attributes: state.attributes
+        });
+        this.eventBus.emit('status', { message: `⧉ Tile edit copied to ${updated} other instance(s)`, type: 'success' });
+    }
+
+    /**
+     * Recount tiles shortly after the screen changes
+     */
+    scheduleUpdate() {
+        if (!this.settings.enabled || this.updateTimer) return;
+        this.updateTimer = setTimeout(() => {
+            this.updateTimer = null;
+            this.update();
+        }, 150);
+    }
+
+    /**
+     * Recount tiles and tell the UI
+     */
+    update() {
+        const summary = { ...this.settings, uniqueCount: 0, total: 0, tilesetBytes: 0, mapBytes: 0 };
+
+        if (this.settings.enabled) {
+            const analysis = this.analyse();
+            const tileset = this.tileMapFormat.getTileset(analysis);
+            const map = this.tileMapFormat.getMapBytes(analysis);
+            summary.uniqueCount = analysis.tiles.length;
+            summary.total = analysis.map.length;
+            summary.tilesetBytes = tileset.pixels.length + tileset.attributes.length;
+            summary.mapBytes = map.bytes.length;
+        }
+
+        this.eventBus.emit('tile-map-updated', summary);
+    }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TileMapManager;
+} else if (typeof window !== 'undefined') {
+    window.TileMapManager = TileMapManager;
+}
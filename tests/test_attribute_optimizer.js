@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Attribute Optimizer Test - Checks the screen looks the same and packs no worse
+ * Independent of browser environment
+ */
+
+const path = require('path');
+const AttributeOptimizer = require(path.join(__dirname, '..', 'js', 'image', 'AttributeOptimizer.js'));
+const CompressionFormat = require(path.join(__dirname, '..', 'js', 'formats', 'CompressionFormat.js'));
+
+console.log('🧪 Attribute Optimizer Test');
+console.log('===========================');
+
+let failures = 0;
+function check(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+    } else {
+        console.log(`✗ ${message}`);
+        failures++;
+    }
+}
+
+function attr(ink, paper, bright = false, flash = false) {
+    return { ink, paper, bright, flash };
+}
+
+function blankScreen() {
+    return {
+        pixels: Array.from({ length: 192 }, () => new Uint8Array(256)),
+        attributes: Array.from({ length: 24 }, () => Array.from({ length: 32 }, () => attr(0, 7)))
+    };
+}
+
+function fillCell(screen, column, row, draw) {
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) screen.pixels[row * 8 + y][column * 8 + x] = draw(x, y) ? 1 : 0;
+    }
+}
+
+// One cell for each rule, plus ordinary artwork
+function testScreen() {
+    const screen = blankScreen();
+    for (let row = 0; row < 24; row++) {
+        for (let column = 0; column < 32; column++) {
+            fillCell(screen, column, row, (x, y) => (x * 3 + y * 5 + column + row) % 7 === 0);
+        }
+    }
+
+    // Solid: INK equals PAPER, pixels and FLASH do nothing
+    screen.attributes[0][0] = attr(4, 4, true, true);
+    // Mostly INK: inverts
+    fillCell(screen, 1, 0, (x, y) => x + y > 2);
+    screen.attributes[0][1] = attr(1, 6, false, true);
+    // Empty cells in a run with assorted, invisible INK
+    for (let column = 2; column < 10; column++) {
+        fillCell(screen, column, 0, () => false);
+        screen.attributes[0][column] = attr(column % 8, 5, true);
+    }
+    // Empty but flashing: INK shows in the other phase, so it must stay
+    fillCell(screen, 10, 0, () => false);
+    screen.attributes[0][10] = attr(2, 5, true, true);
+    return screen;
+}
+
+// Colour index (0-15) of every pixel in one FLASH phase
+function render(screen, phase) {
+    const colours = new Uint8Array(256 * 192);
+    for (let y = 0; y < 192; y++) {
+        for (let x = 0; x < 256; x++) {
+            const cell = screen.attributes[y >> 3][x >> 3];
+            const ink = screen.pixels[y][x] ? 1 : 0;
+            const showInk = cell.flash && phase ? !ink : ink;
+            colours[y * 256 + x] = (showInk ? cell.ink : cell.paper) + (cell.bright ? 8 : 0);
+        }
+    }
+    return colours;
+}
+
+function looksSame(a, b) {
+    return [false, true].every(phase => {
+        const before = render(a, phase);
+        const after = render(b, phase);
+        return before.every((value, i) => value === after[i]);
+    });
+}
+
+// SCR bytes in display-file order, for the packed size check
+function toSCR(screen) {
+    const scr = new Uint8Array(6912);
+    for (let y = 0; y < 192; y++) {
+        const address = ((y & 0xC0) << 5) | ((y & 0x07) << 8) | ((y & 0x38) << 2);
+        for (let column = 0; column < 32; column++) {
+            let byte = 0;
+            for (let bit = 0; bit < 8; bit++) byte |= screen.pixels[y][column * 8 + bit] << (7 - bit);
+            scr[address + column] = byte;
+        }
+    }
+    screen.attributes.flat().forEach((cell, i) => {
+        scr[6144 + i] = (cell.flash ? 0x80 : 0) | (cell.bright ? 0x40 : 0) | (cell.paper << 3) | cell.ink;
+    });
+    return scr;
+}
+
+const optimizer = new AttributeOptimizer();
+
+// Test 1: Appearance
+console.log('\n1. Testing that the screen looks the same...');
+try {
+    const screen = testScreen();
+    const snapshot = JSON.stringify({ pixels: screen.pixels.map(row => Array.from(row)), attributes: screen.attributes });
+    const result = optimizer.optimize(screen.pixels, screen.attributes);
+
+    check(looksSame(screen, result), 'every pixel keeps its colour in both FLASH phases');
+    check(JSON.stringify({ pixels: screen.pixels.map(row => Array.from(row)), attributes: screen.attributes }) === snapshot,
+        'input arrays are left untouched');
+    check(result.changedCells > 0 && result.changedCells <= result.solid + result.inverted + result.unified,
+        `${result.changedCells} cell(s) changed: ${result.solid} solid, ${result.inverted} inverted, ${result.unified} unified`);
+} catch (error) {
+    check(false, `appearance: ${error.message}`);
+}
+
+// Test 2: Each rule
+console.log('\n2. Testing each rewrite rule...');
+try {
+    const result = optimizer.optimize(testScreen().pixels, testScreen().attributes);
+    const cellInk = (column) => {
+        let count = 0;
+        for (let y = 0; y < 8; y++) for (let x = 0; x < 8; x++) count += result.pixels[y][column * 8 + x];
+        return count;
+    };
+
+    check(cellInk(0) === 0 && !result.attributes[0][0].flash, 'solid cell loses its pixels and FLASH');
+    check(cellInk(1) < 32 && result.attributes[0][1].ink === 6 && result.attributes[0][1].paper === 1,
+        'mostly-INK cell is inverted with INK and PAPER swapped');
+    const runInks = result.attributes[0].slice(2, 10).map(cell => cell.ink);
+    check(runInks.every(ink => ink === runInks[0]), 'empty run shares one INK so its attribute bytes repeat');
+    check(result.attributes[0][10].ink === 2, 'empty flashing cell keeps its INK');
+} catch (error) {
+    check(false, `rules: ${error.message}`);
+}
+
+// Test 3: Stability and packing
+console.log('\n3. Testing stability and packed size...');
+try {
+    const screen = testScreen();
+    const once = optimizer.optimize(screen.pixels, screen.attributes);
+    const twice = optimizer.optimize(once.pixels, once.attributes);
+    check(twice.changedCells === 0, 'optimising twice changes nothing more');
+
+    const blank = blankScreen();
+    check(optimizer.optimize(blank.pixels, blank.attributes).changedCells === 0, 'blank screen is already optimal');
+
+    const compression = new CompressionFormat();
+    const before = compression.compress('zx0', toSCR(screen)).length;
+    const after = compression.compress('zx0', toSCR(once)).length;
+    check(after <= before, `ZX0 size ${before} → ${after} bytes`);
+} catch (error) {
+    check(false, `stability: ${error.message}`);
+}
+
+console.log(failures === 0 ? '\n🎉 Attribute Optimizer Test Suite Passed!' : `\n✗ ${failures} check(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
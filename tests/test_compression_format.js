@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Compression Format Test - Round-trips every method through an independent decoder
+ * The decoders below follow the reference depackers, not CompressionFormat itself.
+ */
+
+const path = require('path');
+const CompressionFormat = require(path.join(__dirname, '..', 'js', 'formats', 'CompressionFormat.js'));
+
+console.log('🧪 Compression Format Round-Trip Test');
+console.log('====================================');
+
+let failures = 0;
+function check(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+    } else {
+        console.log(`✗ ${message}`);
+        failures++;
+    }
+}
+
+/**
+ * MSB-first bit reader over a byte stream with interleaved whole bytes
+ * backtrack makes the next bit the low bit of the last byte read (ZX0 offsets).
+ */
+function createReader(packed) {
+    let position = 0;
+    let bitMask = 0;
+    let bitValue = 0;
+    const reader = {
+        backtrack: false,
+        readByte() {
+            if (position >= packed.length) throw new Error('read past the end of the packed data');
+            return packed[position++];
+        },
+        readBit() {
+            if (reader.backtrack) {
+                reader.backtrack = false;
+                return packed[position - 1] & 1;
+            }
+            bitMask >>= 1;
+            if (bitMask === 0) {
+                bitMask = 0x80;
+                bitValue = reader.readByte();
+            }
+            return bitValue & bitMask ? 1 : 0;
+        },
+        get position() {
+            return position;
+        }
+    };
+    return reader;
+}
+
+function copyMatch(output, offset, length) {
+    if (offset < 1 || offset > output.length) throw new Error(`offset ${offset} outside ${output.length} bytes of output`);
+    for (let i = 0; i < length; i++) output.push(output[output.length - offset]);
+}
+
+// ZX0 v2, after dzx0.c from the reference ZX0 tools
+function decodeZX0(packed) {
+    const reader = createReader(packed);
+    const output = [];
+    const readGamma = (inverted) => {
+        let value = 1;
+        while (!reader.readBit()) value = (value << 1) | (reader.readBit() ^ (inverted ? 1 : 0));
+        return value;
+    };
+
+    let lastOffset = 1;
+    let state = 'literals';
+    for (;;) {
+        if (state === 'literals') {
+            const length = readGamma(false);
+            for (let i = 0; i < length; i++) output.push(reader.readByte());
+            state = reader.readBit() ? 'new-offset' : 'last-offset';
+        } else if (state === 'last-offset') {
+            copyMatch(output, lastOffset, readGamma(false));
+            state = reader.readBit() ? 'new-offset' : 'literals';
+        } else {
+            const msb = readGamma(true);
+            if (msb === 256) break;
+            lastOffset = msb * 128 - (reader.readByte() >> 1);
+            reader.backtrack = true;
+            copyMatch(output, lastOffset, readGamma(false) + 1);
+            state = reader.readBit() ? 'new-offset' : 'literals';
+        }
+    }
+    return { output: Uint8Array.from(output), consumed: reader.position };
+}
+
+// ZX7, after dzx7.c from the reference ZX7 tools
+function decodeZX7(packed) {
+    const reader = createReader(packed);
+    const output = [reader.readByte()];
+
+    for (;;) {
+        if (!reader.readBit()) {
+            output.push(reader.readByte());
+            continue;
+        }
+
+        let zeros = 0;
+        while (!reader.readBit()) zeros++;
+        if (zeros > 15) break;
+        let length = 1;
+        while (zeros-- > 0) length = (length << 1) | reader.readBit();
+
+        let offset = reader.readByte();
+        if (offset & 128) {
+            offset &= 127;
+            for (let bit = 10; bit >= 7; bit--) offset |= reader.readBit() << bit;
+            offset += 128;
+        }
+        copyMatch(output, offset + 1, length + 1);
+    }
+    return { output: Uint8Array.from(output), consumed: reader.position };
+}
+
+// RLE as documented for the drle depacker
+function decodeRLE(packed) {
+    const output = [];
+    let position = 0;
+    for (;;) {
+        if (position >= packed.length) throw new Error('missing end marker');
+        const control = packed[position++];
+        if (control === 0xFF) break;
+        if (control < 128) {
+            for (let i = 0; i <= control; i++) output.push(packed[position++]);
+        } else {
+            const value = packed[position++];
+            for (let i = 0; i < control - 126; i++) output.push(value);
+        }
+    }
+    return { output: Uint8Array.from(output), consumed: position };
+}
+
+// Raw LZ4 block, after the LZ4 block format description
+function decodeLZ4(packed) {
+    const output = [];
+    let position = 0;
+    const readLength = (length) => {
+        if (length !== 15) return length;
+        let extra;
+        do {
+            extra = packed[position++];
+            length += extra;
+        } while (extra === 255);
+        return length;
+    };
+
+    for (;;) {
+        const token = packed[position++];
+        const literals = readLength(token >> 4);
+        for (let i = 0; i < literals; i++) output.push(packed[position++]);
+        if (position >= packed.length) break;
+
+        const offset = packed[position] | (packed[position + 1] << 8);
+        position += 2;
+        copyMatch(output, offset, readLength(token & 15) + 4);
+    }
+    return { output: Uint8Array.from(output), consumed: position };
+}
+
+const decoders = { zx0: decodeZX0, zx7: decodeZX7, rle: decodeRLE, lz4: decodeLZ4 };
+
+// Test inputs
+function pseudoRandom(size, seed) {
+    const data = new Uint8Array(size);
+    let state = seed;
+    for (let i = 0; i < size; i++) {
+        state = (state * 1103515245 + 12345) >>> 0;
+        data[i] = state >>> 24;
+    }
+    return data;
+}
+
+function screenLike() {
+    // Repeating patterns at several distances, long runs and noise, like a drawn screen
+    const data = new Uint8Array(6912);
+    const noise = pseudoRandom(6912, 7);
+    for (let i = 0; i < 6144; i++) {
+        const row = Math.floor(i / 32);
+        if (row % 24 < 8) data[i] = 0;
+        else if (row % 24 < 16) data[i] = [0x3C, 0x42, 0x81, 0xFF][i % 4];
+        else data[i] = noise[i] & 0xF0;
+    }
+    data.fill(0x38, 6144);
+    for (let i = 6144; i < 6912; i += 97) data[i] = 0x47;
+    return data;
+}
+
+const inputs = [
+    ['1 byte', Uint8Array.of(0xA5)],
+    ['2 equal bytes', Uint8Array.of(7, 7)],
+    ['all-zero screen', new Uint8Array(6912)],
+    ['300-byte run after a literal', Uint8Array.from({ length: 301 }, (_, i) => i === 0 ? 1 : 9)],
+    ['incompressible noise', pseudoRandom(1500, 42)],
+    ['screen-like data', screenLike()]
+];
+
+const format = new CompressionFormat();
+let testNumber = 0;
+format.getMethods().forEach(method => {
+    testNumber++;
+    console.log(`\n${testNumber}. Testing ${method.name} round trip...`);
+    inputs.forEach(([name, data]) => {
+        try {
+            const packed = format.compress(method.id, data);
+            const { output, consumed } = decoders[method.id](packed);
+            const same = output.length === data.length && output.every((value, i) => value === data[i]);
+            check(same, `${name}: ${data.length} → ${packed.length} bytes, unpacked ${same ? 'identical' : 'DIFFERENT'}`);
+            check(consumed === packed.length, `${name}: depacker stops at the end of the packed data`);
+        } catch (error) {
+            check(false, `${name}: ${error.message}`);
+        }
+    });
+});
+
+testNumber++;
+console.log(`\n${testNumber}. Testing packing gains...`);
+['zx0', 'zx7', 'rle', 'lz4'].forEach(method => {
+    const packed = format.compress(method, new Uint8Array(6912));
+    check(packed.length < 200, `${method} packs an all-zero screen to ${packed.length} bytes`);
+});
+const rle = format.compress('rle', screenLike()).length;
+['zx0', 'zx7', 'lz4'].forEach(method => {
+    const packed = format.compress(method, screenLike());
+    check(packed.length < rle, `${method} (${packed.length} bytes) beats RLE (${rle} bytes) on screen-like data`);
+});
+
+testNumber++;
+console.log(`\n${testNumber}. Testing error handling...`);
+['zx0', 'zx7'].forEach(method => {
+    try {
+        format.compress(method, new Uint8Array(0));
+        check(false, `${method} rejects empty input`);
+    } catch (error) {
+        check(/nothing to compress/.test(error.message), `${method} rejects empty input`);
+    }
+});
+try {
+    format.compress('zip', new Uint8Array(1));
+    check(false, 'unknown method is rejected');
+} catch (error) {
+    check(/unknown method/.test(error.message), 'unknown method is rejected');
+}
+
+console.log(failures === 0 ? '\n🎉 Compression Format Test Suite Passed!' : `\n✗ ${failures} check(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Snapshot Format Test - Builds SNA and Z80 snapshots and reads their screens back
+ * Independent of browser environment
+ */
+
+const path = require('path');
+const SnapshotFormat = require(path.join(__dirname, '..', 'js', 'formats', 'SnapshotFormat.js'));
+
+console.log('🧪 Snapshot Format Test');
+console.log('=======================');
+
+let failures = 0;
+function check(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+    } else {
+        console.log(`✗ ${message}`);
+        failures++;
+    }
+}
+
+function sameBytes(a, b) {
+    return a.length === b.length && Array.from(a).every((value, i) => value === b[i]);
+}
+
+const BANK = 16384;
+
+// Each bank starts with a recognisable screen, including runs and 0xED bytes for Z80 packing
+function makeBank(seed) {
+    const bank = new Uint8Array(BANK);
+    for (let i = 0; i < BANK; i++) {
+        if (i % 512 < 64) bank[i] = 0xED;
+        else if (i % 512 < 256) bank[i] = seed;
+        else bank[i] = (i * 31 + seed) & 0xFF;
+    }
+    return bank;
+}
+
+function concat(parts) {
+    return Uint8Array.from(parts.flatMap(part => Array.from(part)));
+}
+
+// Z80 run-length packing: ED ED nn bb for runs of 5+ (2+ for 0xED); a lone ED swallows the next byte
+function packZ80(bytes) {
+    const output = [];
+    let i = 0;
+    while (i < bytes.length) {
+        let run = 1;
+        while (i + run < bytes.length && bytes[i + run] === bytes[i] && run < 255) run++;
+        if (run >= 5 || (bytes[i] === 0xED && run >= 2)) {
+            output.push(0xED, 0xED, run, bytes[i]);
+            i += run;
+        } else if (bytes[i] === 0xED) {
+            output.push(0xED);
+            if (i + 1 < bytes.length) output.push(bytes[i + 1]);
+            i += 2;
+        } else {
+            output.push(bytes[i++]);
+        }
+    }
+    return output;
+}
+
+function z80Header(pc, flags) {
+    const header = new Uint8Array(30);
+    header[6] = pc & 0xFF;
+    header[7] = pc >> 8;
+    header[12] = flags;
+    return header;
+}
+
+function z80Paged(extraLength, pages) {
+    const extra = new Uint8Array(2 + extraLength);
+    extra[0] = extraLength;
+    return concat([
+        z80Header(0, 0),
+        extra,
+        ...pages.map(([page, bank, packed]) => {
+            const body = packed ? packZ80(bank) : Array.from(bank);
+            const length = packed ? body.length : 0xFFFF;
+            return [length & 0xFF, length >> 8, page, ...body];
+        })
+    ]);
+}
+
+const banks = Array.from({ length: 8 }, (_, bank) => makeBank(bank + 1));
+const format = new SnapshotFormat();
+
+function checkScreens(snapshot, expected, label) {
+    const screens = format.getScreens(snapshot);
+    check(screens.length === expected.length, `${label}: ${screens.length} screen(s) offered`);
+    expected.forEach((bank, i) => {
+        check(screens[i] && screens[i].bank === bank && sameBytes(screens[i].data, banks[bank].subarray(0, 6912)),
+            `${label}: bank ${bank} screen matches`);
+    });
+}
+
+// Test 1: SNA
+console.log('\n1. Testing SNA snapshots...');
+try {
+    const header = new Uint8Array(27);
+    const sna48 = concat([header, banks[5], banks[2], banks[0]]);
+    const snapshot48 = format.parse(sna48, 'sna');
+    check(!snapshot48.is128K, '49179-byte SNA is 48K');
+    checkScreens(snapshot48, [5], '48K SNA');
+
+    // 128K layout: banks 5, 2, the paged bank, PC, 0x7FFD, TR-DOS, then the rest in order
+    const tail = (paged, port) => concat([
+        [0x00, 0x80, port, 0x00],
+        ...[0, 1, 3, 4, 6, 7].filter(bank => bank !== paged).map(bank => banks[bank])
+    ]);
+    const sna128 = concat([header, banks[5], banks[2], banks[0], tail(0, 0x08)]);
+    const snapshot128 = format.parse(sna128, 'sna');
+    check(snapshot128.is128K && snapshot128.shadowActive, '128K SNA with the shadow screen bit set');
+    checkScreens(snapshot128, [5, 7], '128K SNA');
+
+    const snaPaged7 = concat([header, banks[5], banks[2], banks[7], tail(7, 0x07)]);
+    const snapshotPaged7 = format.parse(snaPaged7, 'sna');
+    check(!snapshotPaged7.shadowActive, '128K SNA with bank 7 paged in and the normal screen shown');
+    checkScreens(snapshotPaged7, [5, 7], '128K SNA, bank 7 paged');
+
+    try {
+        format.parse(sna48.subarray(0, 10000), 'sna');
+        check(false, 'short SNA is rejected');
+    } catch (error) {
+        check(/too small/.test(error.message), 'short SNA is rejected');
+    }
+} catch (error) {
+    check(false, `SNA: ${error.message}`);
+}
+
+// Test 2: Z80 version 1
+console.log('\n2. Testing Z80 version 1 snapshots...');
+try {
+    const ram = concat([banks[5], banks[2], banks[0]]);
+    const raw = concat([z80Header(0x8000, 0x00), ram]);
+    checkScreens(format.parse(raw, 'z80'), [5], 'uncompressed v1');
+
+    const packed = concat([z80Header(0x8000, 0x20), packZ80(ram), [0x00, 0xED, 0xED, 0x00]]);
+    check(packed.length < raw.length, `packed v1 is smaller (${packed.length} bytes)`);
+    checkScreens(format.parse(packed, 'z80'), [5], 'compressed v1');
+
+    const legacyFlags = concat([z80Header(0x8000, 0xFF), ram]);
+    checkScreens(format.parse(legacyFlags, 'z80'), [5], 'v1 with flags byte 255');
+} catch (error) {
+    check(false, `Z80 v1: ${error.message}`);
+}
+
+// Test 3: Z80 version 2/3
+console.log('\n3. Testing paged Z80 snapshots...');
+try {
+    const z80v2 = z80Paged(23, [[4, banks[2], true], [5, banks[0], false], [8, banks[5], true]]);
+    const snapshot48 = format.parse(z80v2, 'z80');
+    check(snapshot48.version === 2 && !snapshot48.is128K, '48K v2 snapshot with pages 4, 5 and 8');
+    checkScreens(snapshot48, [5], '48K v2');
+
+    const z80v3 = z80Paged(54, banks.map((bank, number) => [number + 3, bank, number % 2 === 0]));
+    const snapshot128 = format.parse(z80v3, 'z80');
+    check(snapshot128.version === 3 && snapshot128.is128K, '128K v3 snapshot with all eight banks');
+    checkScreens(snapshot128, [5, 7], '128K v3');
+
+    try {
+        format.parse(z80Paged(54, [[4, banks[2], true]]), 'z80');
+        check(false, 'Z80 without page 8 is rejected');
+    } catch (error) {
+        check(/no screen memory/.test(error.message), 'Z80 without page 8 is rejected');
+    }
+} catch (error) {
+    check(false, `Z80 paged: ${error.message}`);
+}
+
+console.log(failures === 0 ? '\n🎉 Snapshot Format Test Suite Passed!' : `\n✗ ${failures} check(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+
+/**
+ * Tape Format Test - Checks TAP blocks and BASIC lines byte for byte and reads screens back from TAP and TZX
+ * Independent of browser environment
+ */
+
+const path = require('path');
+const TapeFormat = require(path.join(__dirname, '..', 'js', 'formats', 'TapeFormat.js'));
+
+console.log('🧪 Tape Format Test');
+console.log('===================');
+
+let failures = 0;
+function check(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+    } else {
+        console.log(`✗ ${message}`);
+        failures++;
+    }
+}
+
+function sameBytes(a, b) {
+    return a.length === b.length && Array.from(a).every((value, i) => value === b[i]);
+}
+
+function xor(bytes) {
+    return bytes.reduce((sum, value) => sum ^ value, 0);
+}
+
+function testScreen() {
+    const screen = new Uint8Array(6912);
+    for (let i = 0; i < 6144; i++) screen[i] = (i * 37) & 0xFF;
+    screen.fill(0x47, 6144);
+    return screen;
+}
+
+const tape = new TapeFormat();
+
+// Test 1: TAP block framing
+console.log('\n1. Testing TAP block framing...');
+try {
+    const data = Uint8Array.of(1, 2, 3, 0x80);
+    const block = tape.createBlock(0xFF, data);
+    check(block.length === 8, `block is length word + flag + ${data.length} bytes + checksum`);
+    check(block[0] === 6 && block[1] === 0, 'length word counts flag, data and checksum');
+    check(block[2] === 0xFF, 'flag byte follows the length');
+    check(block[7] === xor([0xFF, ...data]), 'checksum is the XOR of flag and data');
+} catch (error) {
+    check(false, `block framing: ${error.message}`);
+}
+
+// Test 2: Screen tape with loader
+console.log('\n2. Testing SCREEN$ tape with BASIC loader...');
+try {
+    const screen = testScreen();
+    const tap = tape.createScreenTape(screen, { name: 'picture' });
+
+    const expectedProgram = [
+        0x00, 0x0A, 0x05, 0x00, 0xEF, 0x22, 0x22, 0xAA, 0x0D,                           // 10 LOAD "" SCREEN$
+        0x00, 0x14, 0x09, 0x00, 0xF2, 0x30, 0x0E, 0x00, 0x00, 0x00, 0x00, 0x00, 0x0D    // 20 PAUSE 0
+    ];
+    const name = Array.from('picture   ', char => char.charCodeAt(0));
+    const programHeader = [0x00, ...name, expectedProgram.length, 0x00, 10, 0x00, expectedProgram.length, 0x00];
+    const codeHeader = [0x03, ...name, 0x00, 0x1B, 0x00, 0x40, 0x00, 0x80];
+    const frame = (flag, bytes) => [(bytes.length + 2) & 0xFF, (bytes.length + 2) >> 8, flag, ...bytes, xor([flag, ...bytes])];
+    const expected = [
+        ...frame(0x00, programHeader),
+        ...frame(0xFF, expectedProgram),
+        ...frame(0x00, codeHeader),
+        ...frame(0xFF, Array.from(screen))
+    ];
+
+    check(sameBytes(tap, expected), `tape matches the ROM layout byte for byte (${tap.length} bytes)`);
+
+    const bare = tape.createScreenTape(screen, { includeLoader: false, name: 'picture' });
+    check(sameBytes(bare, expected.slice(expected.length - bare.length)), 'without the loader only the CODE header and data remain');
+} catch (error) {
+    check(false, `screen tape: ${error.message}`);
+}
+
+// Test 3: Reading screens back from TAP
+console.log('\n3. Testing TAP screen detection...');
+try {
+    const screen = testScreen();
+    const tap = tape.createScreenTape(screen, { name: 'picture' });
+    const blocks = tape.parseTAP(tap);
+    check(blocks.length === 4, `${blocks.length} blocks parsed`);
+    check(blocks.every(block => block.checksumValid), 'every checksum verifies');
+
+    const screens = tape.findScreenBlocks(blocks);
+    check(screens.length === 1, 'one screen found');
+    check(screens[0].name === 'picture' && screens[0].start === 16384, 'screen keeps its header name and start address');
+    check(sameBytes(screens[0].data, screen), 'screen data round-trips');
+
+    const corrupt = tap.slice();
+    corrupt[corrupt.length - 1] ^= 0xFF;
+    const corruptScreens = tape.findScreenBlocks(tape.parseTAP(corrupt));
+    check(corruptScreens.length === 1 && !corruptScreens[0].checksumValid, 'bad checksum is reported, not dropped');
+
+    try {
+        tape.parseTAP(tap.subarray(0, tap.length - 10));
+        check(false, 'truncated TAP is rejected');
+    } catch (error) {
+        check(/truncated/.test(error.message), 'truncated TAP is rejected');
+    }
+} catch (error) {
+    check(false, `TAP detection: ${error.message}`);
+}
+
+// Test 4: Reading screens from TZX
+console.log('\n4. Testing TZX screen detection...');
+try {
+    const screen = testScreen();
+    const pixelsOnly = screen.subarray(0, 6144);
+    const [codeHeader, codeData] = tape.createCodeBlocks('pixels', pixelsOnly, 16384);
+    const turbo = tape.createBlock(0xFF, screen).subarray(2);
+
+    const word = (value) => [value & 0xFF, value >> 8];
+    const triple = (value) => [value & 0xFF, (value >> 8) & 0xFF, value >> 16];
+    const dword = (value) => [...triple(value), 0];
+    const tzx = Uint8Array.from([
+        ...Array.from('ZXTape!', char => char.charCodeAt(0)), 0x1A, 1, 20,
+        0x30, 4, ...Array.from('test', char => char.charCodeAt(0)),          // text description
+        0x10, ...word(1000), ...Array.from(codeHeader),                      // standard header
+        0x10, ...word(1000), ...Array.from(codeData),                        // standard data
+        0x20, ...word(0),                                                    // stop the tape
+        0x35, ...Array.from('POKEs           ', char => char.charCodeAt(0)),  // custom info: 16-byte id,
+        ...dword(5), 1, 2, 3, 4, 5,                                          // then a DWORD length
+        0x11, ...new Array(15).fill(0), ...triple(turbo.length), ...turbo    // turbo, headerless
+    ]);
+
+    check(tape.isTZX(tzx) && !tape.isTZX(tape.createScreenTape(screen)), 'TZX signature is recognised');
+    const blocks = tape.parseTZX(tzx);
+    check(blocks.length === 3, `${blocks.length} data blocks kept, other blocks skipped`);
+
+    const screens = tape.findScreenBlocks(blocks);
+    check(screens.length === 2, 'pixel-only CODE at 16384 and the headerless 6912-byte block are both found');
+    check(sameBytes(screens[0].data.subarray(0, 6144), pixelsOnly) && screens[0].data[6144] === 0x38,
+        'pixel-only screen gets default attributes');
+    check(screens[1].name === '(headerless)' && screens[1].source === 'turbo', 'headerless turbo block is labelled');
+    check(sameBytes(screens[1].data, screen), 'turbo screen data round-trips');
+} catch (error) {
+    check(false, `TZX detection: ${error.message}`);
+}
+
+// Test 5: BASIC tokenising
+console.log('\n5. Testing BASIC tokenising...');
+try {
+    const text = (string) => Array.from(string, char => char.charCodeAt(0));
+    const number = (digits, value) => [...text(digits), 0x0E, 0x00, 0x00, value & 0xFF, value >> 8, 0x00];
+    const line = (lineNumber, bytes) => [lineNumber >> 8, lineNumber & 0xFF, (bytes.length + 1) & 0xFF, (bytes.length + 1) >> 8, ...bytes, 0x0D];
+
+    check(sameBytes(tape.tokenizeLine('10 FOR a=1 TO 5: NEXT a'),
+        line(10, [0xEB, ...text('a='), ...number('1', 1), 0xCC, ...number('5', 5), ...text(':'), 0xF3, ...text('a')])),
+        'keywords become tokens, spaces are dropped and numbers get their binary form');
+    check(sameBytes(tape.tokenizeLine('20 LET a1=300'), line(20, [0xF1, ...text('a1='), ...number('300', 300)])),
+        'digits in a variable name stay text');
+    check(sameBytes(tape.tokenizeLine('30 DATA "A B",255'), line(30, [0xE4, ...text('"A B",'), ...number('255', 255)])),
+        'strings are kept as typed');
+    check(sameBytes(tape.tokenizeLine('40 REM keep  FOR 1'), line(40, [0xEA, ...text('keep  FOR 1')])),
+        'everything after REM is kept as typed');
+    check(sameBytes(tape.encodeNumber(-1), [...text('-1'), 0x0E, 0x00, 0xFF, 0xFF, 0xFF, 0x00]),
+        'negative numbers use the small integer sign byte');
+    check(sameBytes(tape.tokenizeProgram(['10 PAUSE 0', '20 POKE 16384,255']),
+        [...tape.tokenizeLine('10 PAUSE 0'), ...tape.tokenizeLine('20 POKE 16384,255')]),
+        'a program is its lines in order');
+
+    ['10000 REM', 'PAUSE 0'].forEach(bad => {
+        try {
+            tape.tokenizeLine(bad);
+            check(false, `"${bad}" is rejected`);
+        } catch (error) {
+            check(true, `"${bad}" is rejected: ${error.message}`);
+        }
+    });
+
+    const program = tape.tokenizeProgram(['10 PAUSE 0']);
+    const header = tape.parseTAP(tape.concat(tape.createProgramBlocks('listing', program, 10)))[0];
+    const fields = tape.readHeader(header.payload);
+    check(fields.type === 0 && fields.param1 === 10 && fields.param2 === program.length && fields.length === program.length,
+        'PROGRAM header holds the autostart line and program length');
+} catch (error) {
+    check(false, `BASIC tokenising: ${error.message}`);
+}
+
+console.log(failures === 0 ? '\n🎉 Tape Format Test Suite Passed!' : `\n✗ ${failures} check(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
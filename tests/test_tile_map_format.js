@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Tile Map Format Test - Rebuilds screens from the exported tileset and map bytes
+ * Independent of browser environment
+ */
+
+const path = require('path');
+const TileMapFormat = require(path.join(__dirname, '..', 'js', 'formats', 'TileMapFormat.js'));
+
+console.log('🧪 Tile Map Format Test');
+console.log('=======================');
+
+let failures = 0;
+function check(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+    } else {
+        console.log(`✗ ${message}`);
+        failures++;
+    }
+}
+
+function blankScreen() {
+    return {
+        pixels: Array.from({ length: 192 }, () => new Uint8Array(256)),
+        attributes: Array.from({ length: 24 }, () => Array.from({ length: 32 }, () => ({ ink: 0, paper: 7, bright: false, flash: false })))
+    };
+}
+
+// Brick wall with a coloured band, a flashing cell and a pixel-identical cell in another colour
+function patternScreen() {
+    const screen = blankScreen();
+    for (let y = 0; y < 192; y++) {
+        for (let x = 0; x < 256; x++) {
+            const brick = y % 8 === 7 || (x + (Math.floor(y / 8) % 2) * 4) % 8 === 0;
+            screen.pixels[y][x] = y < 96 && brick ? 1 : 0;
+        }
+    }
+    for (let column = 0; column < 32; column++) {
+        screen.attributes[4][column] = { ink: 2, paper: 6, bright: true, flash: false };
+    }
+    screen.attributes[20][5] = { ink: 1, paper: 7, bright: false, flash: true };
+    screen.attributes[2][9] = { ink: 3, paper: 7, bright: false, flash: false };
+    return screen;
+}
+
+// Decode the exported bytes without TileMapFormat, the way a game would draw them
+function rebuild(tileset, mapBytes, tileSize) {
+    const screen = blankScreen();
+    const columns = 256 / tileSize;
+    const bytesPerRow = tileSize / 8;
+    const cells = tileSize / 8;
+    const entries = mapBytes.bytes.length / mapBytes.entrySize;
+
+    for (let entry = 0; entry < entries; entry++) {
+        const tile = mapBytes.entrySize === 1 ? mapBytes.bytes[entry] : mapBytes.bytes[entry * 2] | (mapBytes.bytes[entry * 2 + 1] << 8);
+        const x = (entry % columns) * tileSize;
+        const y = Math.floor(entry / columns) * tileSize;
+
+        for (let row = 0; row < tileSize; row++) {
+            for (let col = 0; col < tileSize; col++) {
+                const byte = tileset.pixels[tile * tileset.bytesPerTile + row * bytesPerRow + (col >> 3)];
+                screen.pixels[y + row][x + col] = (byte >> (7 - (col & 7))) & 1;
+            }
+        }
+        for (let cell = 0; cell < cells * cells; cell++) {
+            const value = tileset.attributes[tile * tileset.attributesPerTile + cell];
+            screen.attributes[y / 8 + Math.floor(cell / cells)][x / 8 + cell % cells] = {
+                ink: value & 7, paper: (value >> 3) & 7, bright: !!(value & 0x40), flash: !!(value & 0x80)
+            };
+        }
+    }
+    return screen;
+}
+
+function sameScreen(a, b) {
+    return a.pixels.every((row, y) => row.every((value, x) => value === b.pixels[y][x])) &&
+        a.attributes.every((row, y) => row.every((attr, x) => JSON.stringify(attr) === JSON.stringify(b.attributes[y][x])));
+}
+
+const format = new TileMapFormat();
+
+// Test 1-2: Tileset and map rebuild the screen
+[8, 16].forEach((tileSize, i) => {
+    console.log(`\n${i + 1}. Testing ${tileSize}×${tileSize} tiles...`);
+    try {
+        const screen = patternScreen();
+        const analysis = format.analyse(screen.pixels, screen.attributes, tileSize);
+        const tileset = format.getTileset(analysis);
+        const mapBytes = format.getMapBytes(analysis);
+
+        check(analysis.map.length === (256 / tileSize) * (192 / tileSize), `map has ${analysis.map.length} entries`);
+        check(analysis.tiles.length < analysis.map.length, `${analysis.tiles.length} unique tile(s) found`);
+        check(analysis.tiles.reduce((sum, tile) => sum + tile.count, 0) === analysis.map.length, 'tile counts add up to the map size');
+        check(tileset.bytesPerTile === tileSize * tileSize / 8 && tileset.attributesPerTile === (tileSize / 8) ** 2,
+            `${tileset.bytesPerTile} pixel and ${tileset.attributesPerTile} attribute byte(s) per tile`);
+        check(mapBytes.entrySize === 1, 'map fits in one byte per entry');
+        check(sameScreen(rebuild(tileset, mapBytes, tileSize), screen), 'exported bytes rebuild the screen exactly');
+    } catch (error) {
+        check(false, `${tileSize}×${tileSize} tiles: ${error.message}`);
+    }
+});
+
+// Test 3: Attributes split tiles
+console.log('\n3. Testing attribute-aware matching...');
+try {
+    const screen = patternScreen();
+    const analysis = format.analyse(screen.pixels, screen.attributes, 8);
+    check(analysis.map[2 * 32 + 9] !== analysis.map[2 * 32 + 8], 'same pixels in another colour make a new tile');
+    check(analysis.map[20 * 32 + 5] !== analysis.map[20 * 32 + 4], 'FLASH makes a new tile');
+    check(analysis.map[1 * 32 + 3] === analysis.map[3 * 32 + 3], 'repeated bricks share a tile');
+    const blank = analysis.tiles[analysis.map[23 * 32 + 31]];
+    check(blank.x === 0 && blank.y === 96, 'tiles remember where they first appear');
+} catch (error) {
+    check(false, `attribute matching: ${error.message}`);
+}
+
+// Test 4: Word-sized map
+console.log('\n4. Testing maps with more than 256 tiles...');
+try {
+    const screen = blankScreen();
+    // Give every cell its own number in the top two pixel rows
+    for (let cell = 0; cell < 768; cell++) {
+        const x = (cell % 32) * 8;
+        const y = Math.floor(cell / 32) * 8;
+        for (let bit = 0; bit < 10; bit++) {
+            screen.pixels[y + (bit >> 3)][x + (bit & 7)] = (cell >> bit) & 1;
+        }
+    }
+    const analysis = format.analyse(screen.pixels, screen.attributes, 8);
+    const mapBytes = format.getMapBytes(analysis);
+    check(analysis.tiles.length === 768, '768 unique tiles');
+    check(mapBytes.entrySize === 2 && mapBytes.bytes.length === 1536, 'map switches to little-endian words');
+    check(sameScreen(rebuild(format.getTileset(analysis), mapBytes, 8), screen), 'word map rebuilds the screen exactly');
+} catch (error) {
+    check(false, `word map: ${error.message}`);
+}
+
+// Test 5: Tile editing helpers
+console.log('\n5. Testing tile read/write...');
+try {
+    const screen = patternScreen();
+    const tile = format.readTile(screen.pixels, screen.attributes, 16, 32, 16);
+    const target = blankScreen();
+    format.writeTile(target.pixels, target.attributes, 48, 64, 16, tile);
+    const copy = format.readTile(target.pixels, target.attributes, 48, 64, 16);
+    check(copy.key === tile.key, 'a written tile reads back the same');
+    check(format.encodeAttribute({ ink: 5, paper: 2, bright: true, flash: true }) === 0xD5, 'attributes encode as FLASH, BRIGHT, PAPER, INK');
+
+    try {
+        format.analyse(screen.pixels, screen.attributes, 12);
+        check(false, '12×12 tiles are rejected');
+    } catch (error) {
+        check(/tile size/.test(error.message), '12×12 tiles are rejected');
+    }
+} catch (error) {
+    check(false, `tile read/write: ${error.message}`);
+}
+
+console.log(failures === 0 ? '\n🎉 Tile Map Format Test Suite Passed!' : `\n✗ ${failures} check(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
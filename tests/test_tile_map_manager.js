@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Tile Map Manager Test - Checks linked tile edits land in history so undo and redo cover them
+ * Independent of browser environment
+ */
+
+const path = require('path');
+const EventBus = require(path.join(__dirname, '..', 'js', 'core', 'EventBus.js'));
+const OptimizedHistoryManager = require(path.join(__dirname, '..', 'js', 'managers', 'HistoryManager.js'));
+const TileMapFormat = require(path.join(__dirname, '..', 'js', 'formats', 'TileMapFormat.js'));
+const TileMapManager = require(path.join(__dirname, '..', 'js', 'managers', 'TileMapManager.js'));
+
+console.log('🧪 Tile Map Manager Test');
+console.log('========================');
+
+let failures = 0;
+function check(condition, message) {
+    if (condition) {
+        console.log(`✓ ${message}`);
+    } else {
+        console.log(`✗ ${message}`);
+        failures++;
+    }
+}
+
+/**
+ * The parts of the app's StateManager that tile linking uses, saving and
+ * restoring through the real history manager
+ */
+function createStateManager(eventBus) {
+    const history = new OptimizedHistoryManager();
+    const state = {
+        pixels: Array.from({ length: 192 }, () => new Uint8Array(256)),
+        attributes: Array.from({ length: 24 }, () => Array.from({ length: 32 }, () => ({ ink: 0, paper: 7, bright: false, flash: false }))),
+        grids: { '1x1': false, '8x8': false, '16x16': false }
+    };
+    const restore = (result) => {
+        state.pixels = result.pixels;
+        state.attributes = result.attributes;
+    };
+
+    return {
+        history,
+        getState: () => ({
+            pixels: state.pixels.map(row => new Uint8Array(row)),
+            attributes: state.attributes.map(row => row.map(attr => ({ ...attr }))),
+            grids: { ...state.grids }
+        }),
+        setPixels: (pixels) => { state.pixels = pixels.map(row => new Uint8Array(row)); },
+        setAttributes: (attributes) => { state.attributes = attributes.map(row => row.map(attr => ({ ...attr }))); },
+        toggleGrid: (grid) => { state.grids[grid] = !state.grids[grid]; },
+        saveState: (type) => {
+            history.saveState(state.pixels, state.attributes, type);
+            eventBus.emit('history-saved', type);
+        },
+        undo: () => restore(history.undo()),
+        redo: () => restore(history.redo())
+    };
+}
+
+// Three copies of one patterned tile on a blank screen
+const COPIES = [[0, 0], [5, 0], [10, 3]];
+
+function setup() {
+    const eventBus = new EventBus();
+    const stateManager = createStateManager(eventBus);
+    const manager = new TileMapManager(eventBus, stateManager, new TileMapFormat());
+
+    // Registered after the manager, like the app's own drawing-stopped save
+    eventBus.on('drawing-stopped', (data) => {
+        if (data.wasDrawing && data.tool !== 'select' && data.tool !== 'fill') {
+            stateManager.saveState('draw');
+        }
+    });
+
+    const state = stateManager.getState();
+    COPIES.forEach(([column, row]) => {
+        for (let y = 0; y < 8; y++) state.pixels[row * 8 + y][column * 8 + y] = 1;
+    });
+    stateManager.setPixels(state.pixels);
+    stateManager.saveState('initial-blank');
+    manager.setSettings({ enabled: true, tileSize: 8, linked: true });
+    return { eventBus, stateManager, manager };
+}
+
+// Change the first copy the way a tool would, saving when the tool saves
+function edit(eventBus, stateManager, tool, change) {
+    eventBus.emit('drawing-started', { tool });
+    const state = stateManager.getState();
+    change(state.pixels);
+    stateManager.setPixels(state.pixels);
+    if (tool === 'fill') {
+        // FillManager saves its entry on mousedown
+        stateManager.saveState('pixel-fill');
+    }
+    eventBus.emit('drawing-stopped', { tool, wasDrawing: true, isRightClick: false });
+}
+
+function cellInk(stateManager, column, row) {
+    const { pixels } = stateManager.getState();
+    let count = 0;
+    for (let y = 0; y < 8; y++) for (let x = 0; x < 8; x++) count += pixels[row * 8 + y][column * 8 + x];
+    return count;
+}
+
+const inks = (stateManager) => COPIES.map(([column, row]) => cellInk(stateManager, column, row)).join(', ');
+
+const managers = [];
+
+// Test 1: Linked fill
+console.log('\n1. Testing a linked fill, then undo and redo...');
+try {
+    const { eventBus, stateManager, manager } = setup();
+    managers.push(manager);
+    edit(eventBus, stateManager, 'fill', (pixels) => {
+        for (let y = 0; y < 8; y++) pixels[y].fill(1, 0, 8);
+    });
+
+    check(inks(stateManager) === '64, 64, 64', `fill is copied to every instance (${inks(stateManager)})`);
+    check(stateManager.history.getInfo().currentIndex === 2, 'the copies get a history entry after the fill\'s own');
+
+    stateManager.undo();
+    check(inks(stateManager) === '64, 8, 8', `undo takes the copies back off (${inks(stateManager)})`);
+    stateManager.undo();
+    check(inks(stateManager) === '8, 8, 8', `a second undo reverts the fill (${inks(stateManager)})`);
+    stateManager.redo();
+    stateManager.redo();
+    check(inks(stateManager) === '64, 64, 64', `redo restores the fill and its copies (${inks(stateManager)})`);
+} catch (error) {
+    check(false, `linked fill: ${error.message}`);
+}
+
+// Test 2: Linked stroke
+console.log('\n2. Testing a linked stroke, then undo...');
+try {
+    const { eventBus, stateManager, manager } = setup();
+    managers.push(manager);
+    edit(eventBus, stateManager, 'pencil', (pixels) => {
+        pixels[0][7] = 1;
+    });
+
+    check(inks(stateManager) === '9, 9, 9', `stroke is copied to every instance (${inks(stateManager)})`);
+    check(stateManager.history.getInfo().currentIndex === 1, 'stroke and copies share one history entry');
+
+    stateManager.undo();
+    check(inks(stateManager) === '8, 8, 8', `one undo reverts it all (${inks(stateManager)})`);
+} catch (error) {
+    check(false, `linked stroke: ${error.message}`);
+}
+
+// Recount timers would otherwise keep the process alive a little longer
+managers.forEach(manager => clearTimeout(manager.updateTimer));
+
+console.log(failures === 0 ? '\n🎉 Tile Map Manager Test Suite Passed!' : `\n✗ ${failures} check(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;